@@ -3,6 +3,10 @@ const express = require('express');
 const mongoose = require('mongoose');
 const session = require('express-session');
 const path = require('path');
+const { startDigestScheduler } = require('./services/sellerDigest');
+const { startOutboundWorker } = require('./services/outboundQueue');
+const { startTrashPurger } = require('./services/productTrash');
+const { startDraftScheduler } = require('./services/productDrafts');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -16,6 +20,10 @@ if (!MONGODB_URI) {
 mongoose.connect(MONGODB_URI)
     .then(() => {
         console.log('✅ Connected to MongoDB');
+        startDigestScheduler();
+        startOutboundWorker();
+        startTrashPurger();
+        startDraftScheduler();
     })
     .catch(err => console.error('❌ MongoDB connection error:', err));
 
@@ -24,7 +32,15 @@ app.set('view engine', 'ejs');
 app.set('views', path.join(__dirname, 'views'));
 
 // Middleware
-app.use(express.json({ limit: '50mb' }));
+app.use(express.json({
+    limit: '50mb',
+    // Keep the raw body for WhatsApp webhook signature verification
+    verify: (req, res, buf) => {
+        if (req.originalUrl.startsWith('/whatsapp')) {
+            req.rawBody = buf;
+        }
+    }
+}));
 app.use(express.urlencoded({ extended: true }));
 app.use(express.static(path.join(__dirname, 'public')));
 
@@ -0,0 +1,484 @@
+/**
+ * WhatsApp bot messages - English
+ * The reference catalog: every key used by the bot must exist here.
+ * Title keys (btn.*, row.*, desc.*, section.*, list.*) have WhatsApp length
+ * limits, checked when services/i18n.js loads.
+ */
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+module.exports = {
+    // ===== General =====
+    'general.useButtons': "I work best with buttons! Tap below to get started.",
+    'general.registerFirst': "Please complete your registration first!",
+    'general.unsupportedType': "I can process text messages, images, and button selections.",
+    'general.error': "Sorry, something went wrong. Please try again.",
+    'general.cancelled': "✅ Cancelled.",
+    'general.yourStore': 'Your Store',
+    'general.page': 'Page {page} of {total}',
+
+    // ===== Language =====
+    'language.header': '🌐 Language',
+    'language.body': "Which language should I use?\n\nآپ کس زبان میں بات کرنا چاہیں گے؟\n\nAap kis zaban mein baat karna chahenge?",
+    'language.tapToChoose': "👆 Please tap a language below.",
+    'language.saved': "✅ Language set to English.",
+
+    // ===== Onboarding =====
+    'onboarding.welcomeHeader': '👋 Welcome!',
+    'onboarding.welcomeBody': "I'm your inventory assistant. Let's set up your store in just 2 steps!",
+    'onboarding.askName': "Welcome! 👋\n\nLet's set up your store.\n\nFirst, what's your name?",
+    'onboarding.askStoreName': "Nice to meet you, *{name}*! 👋\n\nWhat's your store name?",
+    'onboarding.complete': "🎉 *Welcome, {name}!*\n\n" +
+        "Your store *{storeName}* has been created.\n\n" +
+        "📌 *Status:* Pending admin approval\n" +
+        "_Your products are private until verified._",
+    'onboarding.failed': "Failed to complete registration. Please try again.",
+
+    // ===== Main menu =====
+    'menu.body': "Hello {name}! What would you like to do?",
+    'menu.there': 'there',
+    'menu.footer': 'Tap Menu to see all options',
+    'list.menu': 'Menu',
+    'section.inventory': 'Inventory',
+    'section.orders': 'Orders',
+    'section.store': 'Store',
+    'section.account': 'Account',
+    'row.addProduct': '➕ Add Product',
+    'desc.addProduct': 'List a new item with photos',
+    'row.viewProducts': '📦 View Products',
+    'desc.viewProducts': 'See your inventory',
+    'row.updateProduct': '✏️ Update Product',
+    'desc.updateProduct': 'Edit details, photos or mark sold',
+    'row.deleteProduct': '🗑️ Delete Product',
+    'desc.deleteProduct': 'Remove a listing',
+    'row.myOrders': '📬 My Orders',
+    'desc.myOrders': 'Your most recent orders',
+    'row.storeStats': '📊 Store Stats',
+    'desc.storeStats': 'Stock, orders and revenue',
+    'row.storeLink': '🔗 My Store Link',
+    'desc.storeLink': 'Share your storefront',
+    'row.approvalStatus': '✅ Approval Status',
+    'desc.approvalStatus': 'Check if your store is live',
+    'row.webLogin': '🌐 Get Web Login',
+    'desc.webLogin': 'Log in to the seller portal',
+    'row.language': '🗣️ Language',
+    'desc.language': 'English, اردو or Roman Urdu',
+
+    // ===== Buttons =====
+    'btn.menu': '🏠 Menu',
+    'btn.cancel': '❌ Cancel',
+    'btn.undo': '↩️ Undo',
+    'btn.skip': '⏭️ Skip',
+    'btn.done': '✅ Done',
+    'btn.addMore': '➕ Add More',
+    'btn.save': '✅ Save',
+    'btn.editDetails': '✏️ Edit Details',
+    'btn.getStarted': '🚀 Get Started',
+    'btn.previous': '⬅️ Previous',
+    'btn.next': '➡️ Next',
+    'btn.confirmDelete': '🗑️ Yes, Delete',
+    'btn.markSold': '🏷️ Mark Sold',
+    'btn.reserve': '📌 Reserve',
+    'btn.archive': '📦 Archive',
+    'btn.available': '✅ Available Again',
+    'btn.relist': '✅ Relist',
+    'btn.clear': '🧹 Clear',
+    'btn.conditionNew': '✨ New',
+    'btn.conditionUsed': '♻️ Used',
+    'btn.addPhotos': '➕ Add Photos',
+    'btn.replacePhotos': '🔁 Replace All',
+    'btn.removePhoto': '➖ Remove One',
+    'btn.searchAgain': '🔍 Search Again',
+    'btn.showAll': '📋 Show All',
+    'btn.shareStore': '🔗 Share Store',
+    'btn.storeStats': '📊 Store Stats',
+    'btn.myOrders': '📬 My Orders',
+    'btn.accept': '✅ Accept',
+    'btn.reject': '❌ Reject',
+
+    // ===== Photos & video =====
+    'media.start': "📷 Send up to {max} photos of your product (different angles help buyers!).\n\n" +
+        "🎬 You can also send one short video.\n\n" +
+        "_Make sure each photo is clear and under 2MB._",
+    'media.unsolicitedImage': "To add a product, tap 'Add Product' first, then send the image.",
+    'media.unsolicitedVideo': "🎬 To add a product video, tap 'Add Product' first, then send your photos and video.",
+    'media.processingImage': "⏳ Processing your image...",
+    'media.imageTooLarge': "❌ Image is too large ({size}MB).\nMaximum allowed: 2MB",
+    'media.imageFailed': "❌ Failed to process image. Please try again.",
+    'media.processingVideo': "⏳ Processing your video...",
+    'media.videoTooLarge': "❌ Video is too large ({size}MB).\nMaximum allowed: 16MB",
+    'media.videoFailed': "❌ Failed to process video. Please try again.",
+    'media.photoLimit': "⚠️ You can add up to {max} photos per product.",
+    'media.videoLimit': "⚠️ You've already added a video. Only one video is allowed per product.",
+    'media.progress': ({ count, max }) => `✅ ${count}/${max} photo${count === 1 ? '' : 's'} added.`,
+    'media.progressWithVideo': ({ count, max }) => `✅ ${count}/${max} photo${count === 1 ? '' : 's'} + 1 video added.`,
+    'media.nextLimitReached': "Photo limit reached. Send a short video or tap Done to continue.",
+    'media.nextPhotos': "Send more photos, or tap Done to continue.",
+    'media.nextPhotosOrVideo': "Send more photos or a short video, or tap Done to continue.",
+    'media.nextPhoto': "📷 Send your next photo ({remaining} left).",
+    'media.nextPhotoOrVideo': "📷 Send your next photo ({remaining} left) or a short video.",
+    'media.limitReached': "🎬 You've reached the photo limit. Send a short video or tap Done.",
+    'media.needPhoto': "📷 Please send at least one photo of your product first.",
+    'media.saved': ({ count }) => `✅ ${plural(count, 'photo')} saved!`,
+    'media.savedWithVideo': ({ count }) => `✅ ${plural(count, 'photo')} and 1 video saved!`,
+
+    // ===== Product details & wizard =====
+    'details.prompt': "Now describe your product. Include:\n" +
+        "• Product name\n" +
+        "• Price (in PKR)\n" +
+        "• Any other details\n\n" +
+        "_Example: Astrox 88D 4U, 15k, used 8/10, 2 pcs_",
+    'details.reenter': "✏️ OK, send the product details again.\n\n" +
+        "_Example: Astrox 88D 4U, 15k, used 8/10, 2 pcs_",
+    'wizard.categoryHeader': '📂 Category',
+    'wizard.categoryBody': 'Which category does this product belong to?',
+    'wizard.pickCategory': "👆 Please pick a category from the list (or Skip).",
+    'wizard.tapOption': "👆 Please tap one of the options (or Skip).",
+    'wizard.typeOrSkip': '_Type your answer or tap Skip._',
+    'wizard.notListed': '_Not listed? Just type it._',
+    'list.chooseCategory': 'Choose Category',
+    'list.choose': 'Choose',
+    'section.categories': 'Categories',
+    'section.options': 'Options',
+    'row.category.rackets': '🏸 Rackets',
+    'row.category.shoes': '👟 Shoes',
+    'row.category.accessories': '🎒 Accessories',
+    'row.skip': '⏭️ Skip',
+    'desc.skipCategory': 'Files it under Accessories',
+    'spec.brand': 'Which brand is it?',
+    'spec.weightClass': 'Weight class?',
+    'spec.balance': 'Balance point?',
+    'spec.flexibility': 'Shaft flexibility?',
+    'spec.gripSize': 'Grip size?',
+    'spec.stringStatus': 'Is it strung?',
+    'spec.sizeEU': 'EU size? (e.g. 42)',
+    'spec.sizeUK': 'UK size? (e.g. 8)',
+    'spec.sizeUS': 'US size? (e.g. 9)',
+    'spec.width': 'Shoe width?',
+    'spec.closureType': 'Closure type?',
+    'spec.accessoryType': 'What type of accessory?',
+
+    // ===== Product summary =====
+    'confirm.title': '📝 *Please confirm your product*',
+    'confirm.noPrice': '⚠️ _No price found - buyers will see PKR 0._',
+    'confirm.tapToContinue': "👆 Please tap Save, Edit Details or Cancel.",
+    'product.defaultName': 'New Product',
+    'product.new': 'New',
+    'product.used': 'Used',
+    'product.category': '📂 Category: {category}',
+    'product.brand': '🏷️ Brand: {brand}',
+    'product.price': '💰 Price: PKR {price}',
+    'product.stock': '📊 Stock: {stock}',
+    'product.condition': '✨ Condition: {condition}',
+    'product.specs': '⚙️ Specs: {specs}',
+    'product.media': ({ count }) => `📷 Media: ${plural(count, 'photo')}`,
+    'product.mediaWithVideo': ({ count }) => `📷 Media: ${plural(count, 'photo')} + 1 video`,
+    'product.created': '✅ *Product Created!*',
+    'product.zeroPriceTip': '_💡 Tip: Update the price using the menu._',
+    'product.createFailed': "Failed to create product. Please try again.",
+    'product.notFound': "❌ Product not found.",
+    'product.loadFailed': "Failed to load product. Please try again.",
+
+    // ===== Ownership =====
+    'auth.sellersOnly': "❌ Only registered sellers can add products.",
+    'auth.sellersOnlyManage': "❌ Only registered sellers can manage products.",
+    'auth.notYourProduct': "❌ You can only manage your own products.",
+
+    // ===== Inventory & product picker =====
+    'inventory.empty': "📦 *Your inventory is empty!*\n\nTap 'Add Product' to add your first item.",
+    'inventory.title': '📦 *Your Products ({count})*',
+    'inventory.line': '💰 PKR {price} | 📊 Stock: {stock}',
+    'inventory.failed': "Failed to fetch products. Please try again.",
+    'inventory.bulkTip': "💡 _Quick edits: send *stock <product> <qty>* or *price <product> <amount>*, or a CSV/XLSX sheet with product, stock and price columns._",
+    'picker.noProducts': "📦 You don't have any products yet!",
+    'picker.noMatch': '😕 No products match "{search}".',
+    'picker.searchPrompt': "🔍 Type part of the product name to search:",
+    'picker.header.update': 'Update Product',
+    'picker.header.delete': 'Delete Product',
+    'picker.body.update': 'Select a product to update:',
+    'picker.body.delete': 'Select a product to delete:',
+    'picker.bodySearch.update': 'Products matching "{search}" - select one to update:',
+    'picker.bodySearch.delete': 'Products matching "{search}" - select one to delete:',
+    'picker.footer': '{count} products · Page {page} of {total}',
+    'picker.rowDescription': 'PKR {price} | Stock: {stock}',
+    'productStatus.draft': '📝 Draft',
+    'productStatus.active': '🟢 Active',
+    'productStatus.reserved': '📌 Reserved',
+    'productStatus.sold': '🏷️ Sold',
+    'productStatus.archived': '📦 Archived',
+    'picker.failed': "Failed to load products. Please try again.",
+    'list.selectProduct': 'Select Product',
+    'section.searchResults': 'Search Results',
+    'section.yourProducts': 'Your Products',
+    'section.more': 'More',
+    'row.previousPage': '⬅️ Previous page',
+    'row.nextPage': '➡️ Next page',
+    'row.showAll': '📋 Show all products',
+    'row.searchByName': '🔍 Search by name',
+
+    // ===== Update & delete =====
+    'update.header': 'Update Product',
+    'update.body': 'What do you want to change?',
+    'section.details': 'Details',
+    'section.listing': 'Listing',
+    'row.field.price': '💰 Price',
+    'row.field.stock': '📊 Stock',
+    'row.field.name': '📝 Name',
+    'row.field.description': '📄 Description',
+    'row.field.brand': '🔖 Brand',
+    'row.field.category': '📂 Category',
+    'row.field.condition': '✨ Condition',
+    'row.field.specs': '⚙️ Specs',
+    'row.field.photos': '📷 Photos',
+    'row.field.status': '🏷️ Status',
+    'desc.field.price': 'Now PKR {price}',
+    'desc.field.stock': 'Now {stock} in stock',
+    'desc.field.photos': '{count} of {max} · Add, replace or remove',
+    'desc.field.status': '{status} · Mark sold, reserve or archive',
+    'desc.notSet': 'Not set',
+    'update.prompt.price': "Enter the new price (numbers only, in PKR):",
+    'update.prompt.stock': "Enter the new stock quantity:",
+    'update.prompt.name': "Enter the new product name:",
+    'update.prompt.description': "Send the new description (condition, what's included, etc.):",
+    'update.prompt.category': "It's listed under {category}. Which category should it be in?",
+    'update.prompt.condition': "It's listed as {condition}. Is it new or used?\n\n_You can also type it, e.g. \"used 8/10\"._",
+    'update.prompt.conditionRating': "How would you rate its condition out of 10?\n\n_Pick a rating or type it, e.g. 8._",
+    'update.typeOrClear': '_Type your answer or tap Clear._',
+    'update.specsHeader': '⚙️ Specs',
+    'update.specsBody': 'Which spec do you want to change?',
+    'section.specs': 'Specs',
+    'row.spec.weightClass': 'Weight class',
+    'row.spec.balance': 'Balance',
+    'row.spec.flexibility': 'Flexibility',
+    'row.spec.gripSize': 'Grip size',
+    'row.spec.stringStatus': 'Strung / unstrung',
+    'row.spec.sizeEU': 'EU size',
+    'row.spec.sizeUK': 'UK size',
+    'row.spec.sizeUS': 'US size',
+    'row.spec.width': 'Width',
+    'row.spec.closureType': 'Closure',
+    'row.spec.accessoryType': 'Accessory type',
+    'row.clear': '🧹 Clear',
+    'update.invalidPrice': "❌ Invalid price. Please enter numbers only.",
+    'update.invalidStock': "❌ Invalid stock. Please enter a valid number.",
+    'update.unknownField': "❌ Unknown field.",
+    'update.emptyText': "❌ This can't be empty. Please type it again.",
+    'update.invalidRating': "❌ Please enter a rating from 1 to 10.",
+    'update.pickOption': "👆 Please tap one of the options.",
+    'update.done': "✅ *Product updated!*",
+    'update.failed': "Failed to update product. Please try again.",
+    'delete.header': '⚠️ Confirm Delete',
+    'delete.body': "Are you sure you want to delete *{name}*?\n\nIt stays in your trash for {days} days, so you can still restore it.",
+    'delete.done': "🗑️ *{name}* moved to trash.\n\nTap Undo to restore it - after {days} days it's deleted for good.",
+    'delete.restored': "♻️ *{name}* is back in your store.",
+    'delete.undoExpired': "This product can no longer be restored.",
+    'delete.cancelled': "❌ Delete cancelled.",
+    'delete.soldHint': "_Sold it? Tap Mark Sold instead - it leaves your store but stays in your records._",
+    'delete.failed': "Failed to delete product. Please try again.",
+
+    // ===== Product photos =====
+    'photos.header': '📷 Photos',
+    'photos.body': "*{name}* has {count} of {max} photos.\n\nAdd more, replace them all, or remove one.",
+    'photos.addPrompt': "📷 Send up to {remaining} more photos. Each one is added as soon as it arrives.",
+    'photos.replacePrompt': "📷 Send up to {max} new photos, then tap Done. Your current photos stay until you do.",
+    'photos.limitReached': "Photo limit reached - tap Done to finish.",
+    'photos.sendPhoto': "📷 Send a photo, or tap Done when you're finished.",
+    'photos.caption': 'Photo {number}',
+    'photos.removeBody': 'Which photo should be removed?',
+    'section.photos': 'Photos',
+    'row.photo': '📷 Photo {number}',
+    'photos.keepOne': "⚠️ A product needs at least one photo. Add another before removing this one.",
+
+    // ===== Listing status =====
+    'status.header': '🏷️ Listing Status',
+    'status.body': "*{name}* is {status}.\n\n" +
+        "🏷️ *Sold* and 📦 *Archived* items leave your store but stay in your inventory.\n" +
+        "📌 *Reserved* items stay listed, but buyers can't order them.",
+    'status.done.active': "✅ *{name}* is live in your store again.",
+    'status.done.reserved': "📌 *{name}* is reserved. Buyers still see it, but can't order it.",
+    'status.done.sold': "🎉 *{name}* marked as sold and taken off your store.",
+    'status.done.archived': "📦 *{name}* archived and hidden from your store.",
+    'status.done.draft': "📝 *{name}* is a draft again and hidden from your store.",
+    'status.notAllowed': "⚠️ *{name}* is {status} - that change isn't available for it anymore.",
+    'status.failed': "Failed to change the listing status. Please try again.",
+
+    // ===== Orders, stats & store =====
+    'orderStatus.pending': '⏳ Pending',
+    'orderStatus.processing': '✅ Accepted',
+    'orderStatus.shipped': '🚚 Shipped',
+    'orderStatus.delivered': '📬 Delivered',
+    'orderStatus.cancelled': '❌ Cancelled',
+    'orders.none': "📬 You have no orders yet.",
+    'orders.title': '📬 *Recent Orders* (last {count})',
+    'orders.pendingHint': "_Accept or reject pending orders from their order notification._",
+    'orders.failed': "Failed to fetch your orders. Please try again.",
+    'stats.body': "📊 *{store} Stats*\n\n" +
+        "📦 Listed products: {products}\n" +
+        "⚠️ Low stock (under 5): {lowStock}\n" +
+        "🚫 Out of stock: {outOfStock}\n" +
+        "🏷️ Sold: {sold}\n\n" +
+        "📬 Orders: {orders}\n" +
+        "⏳ Awaiting your reply: {pending}\n" +
+        "💰 Revenue: PKR {revenue}",
+    'stats.failed': "Failed to fetch your stats. Please try again.",
+    'store.shareHint': "_Share this link with your customers._",
+    'store.pendingHint': "_Your store page goes live once an admin approves it._",
+    'approval.pending': "⏳ *Pending approval*\n\nAn admin is reviewing your store. Your products stay private until it is approved.",
+    'approval.active': "✅ *Approved*\n\nYour store is live and buyers can see and order your products.",
+    'approval.deactivated': "🚫 *Deactivated*\n\nYour store has been disabled by an admin and is hidden from buyers. Please contact support.",
+    'approval.other': 'Status: {status}',
+
+    // ===== Web login =====
+    'webLogin.disabled': "🚫 Your store is deactivated, so web login is disabled. Please contact support.",
+    'webLogin.body': "🌐 *Seller Portal Login*\n\n" +
+        "Tap to log in:\n{link}\n\n" +
+        "Or enter this code at {codeUrl}\n" +
+        "🔢 *{code}*\n\n" +
+        "_Works once and expires in {minutes} minutes. Never share it with anyone._",
+    'webLogin.setPassword': "After logging in you'll be asked to set a password.",
+    'webLogin.failed': "Failed to create a login link. Please try again.",
+
+    // ===== New order notifications =====
+    'newOrder.header': '🛒 New Order #{orderNumber}',
+    'newOrder.intro': 'You have a new order for *{store}*:',
+    'newOrder.total': '💰 Your total: PKR {total}',
+    'newOrder.footer': 'Cash on delivery',
+    'order.notFound': "❌ Order not found.",
+    'order.notYours': "❌ This order doesn't contain any of your products.",
+    'order.alreadyAnswered': "ℹ️ You've already responded to order #{orderNumber}.",
+    'order.accepted': "✅ Order #{orderNumber} accepted.\n\nPlease contact the customer to arrange delivery.",
+    'order.rejected': "❌ Order #{orderNumber} rejected. The items have been restocked.",
+    'order.failed': "Failed to update the order. Please try again.",
+
+    // ===== Performance digest =====
+    'btn.digest': '🔔 Digest',
+    'btn.digestDaily': '📅 Daily',
+    'btn.digestWeekly': '🗓️ Weekly',
+    'btn.digestOff': '🔕 Off',
+    'digest.settingsHeader': '🔔 Store Digest',
+    'digest.settingsBody': "Get a WhatsApp summary of new orders, revenue, low stock, unpriced listings and listing views.\n\nCurrent setting: *{current}*",
+    'digest.frequency.off': 'Off',
+    'digest.frequency.daily': 'Daily',
+    'digest.frequency.weekly': 'Weekly (Mondays)',
+    'digest.saved.daily': "✅ You'll get a store summary every morning.",
+    'digest.saved.weekly': "✅ You'll get a store summary every Monday morning.",
+    'digest.saved.off': "🔕 Store summaries turned off.",
+    'digest.failed': "Failed to update your digest settings. Please try again.",
+    'digest.title.daily': '📊 *{store} - Daily Summary*',
+    'digest.title.weekly': '📊 *{store} - Weekly Summary*',
+    'digest.orders': '🛒 New orders: {count}',
+    'digest.revenue': '💰 Revenue: PKR {revenue}',
+    'digest.views': '👀 Listing views: {count}',
+    'digest.topProduct': '⭐ Most viewed: {name} ({count})',
+    'digest.sold': '🏷️ Marked sold: {count}',
+    'digest.lowStock': '⚠️ *Low stock (under 5): {count}*',
+    'digest.zeroPrice': '🏷️ *Listings without a price: {count}*',
+    'digest.andMore': '_...and {count} more_',
+    'digest.footer': "_Tap Digest to change or stop these summaries._",
+
+    // ===== Bulk inventory updates =====
+    'bulk.usage': "To update quickly, send:\n*stock <product> <qty>* - e.g. stock Astrox 88D 5\n*price <product> <amount>* - e.g. price Nanoflare 700 22000\n\nOr send a CSV/XLSX sheet with *product*, *stock* and *price* columns.",
+    'bulk.commandOk': "✅ *{name}* updated: {changes}",
+    'bulk.commandFailed': "❌ Couldn't update \"{query}\": {reason}",
+    'bulk.change.stock': "stock {value}",
+    'bulk.change.price': "price PKR {value}",
+    'bulk.rowOk': "✅ Row {row}: *{name}* - {changes}",
+    'bulk.rowFailed': "❌ Row {row}: {label} - {reason}",
+    'bulk.error.notFound': "no matching product",
+    'bulk.error.ambiguous': "matches several products ({matches}), use the full name",
+    'bulk.error.invalidStock': "stock must be a whole number, 0 or more",
+    'bulk.error.invalidPrice': "price must be a number in PKR",
+    'bulk.error.noChanges': "no stock or price given",
+    'bulk.error.saveFailed': "could not be saved",
+    'bulk.unsupportedFile': "📄 I can only read CSV or XLSX spreadsheets for bulk updates.",
+    'bulk.processing': "📄 Reading your spreadsheet...",
+    'bulk.fileTooLarge': "❌ That file is too large ({size}MB). Spreadsheets must be under 1MB.",
+    'bulk.sheetError.empty': "❌ The spreadsheet has no product rows.",
+    'bulk.sheetError.noProductColumn': "❌ Add a *product* (or *id*) column to the first row so I know which products to update.",
+    'bulk.sheetError.noValueColumn': "❌ Add a *stock* and/or *price* column to the first row.",
+    'bulk.sheetError.tooManyRows': "❌ Please send at most {max} rows per spreadsheet.",
+    'bulk.sheetError.unreadable': "❌ I couldn't read that spreadsheet. Please check the file and try again.",
+    'bulk.reportTitle': "📦 *Bulk update: {updated} of {total} rows updated*",
+    'bulk.reportMore': "_...and {count} more rows._",
+    'bulk.failed': "Failed to process the spreadsheet. Please try again.",
+
+    // ===== Account status (set by an admin) =====
+    'accountStatus.approved': "🎉 *Your store is approved!*\n\n" +
+        "*{store}* is now live on RacketBazaar and buyers can see and order your products.\n\n" +
+        "Say *hi* to open your seller menu.",
+    'accountStatus.reactivated': "✅ *Your store is active again*\n\n*{store}* has been reactivated and is visible to buyers.",
+    'accountStatus.deactivated': "🚫 *Your store has been deactivated*\n\n*{store}* is now hidden from buyers.",
+    'accountStatus.rejected': "❌ *Your seller registration was not approved*\n\nThe registration for *{store}* has been removed.",
+    'accountStatus.adminNote': "📝 *Note from admin:* {note}",
+    'accountStatus.questions': "_Reply here if you have any questions._",
+    // Status wording for the seller_status_update template (outside the 24h window)
+    'accountStatus.label.approved': 'approved and live',
+    'accountStatus.label.reactivated': 'active again',
+    'accountStatus.label.deactivated': 'deactivated',
+    'accountStatus.label.rejected': 'not approved',
+
+    // ===== Human handoff (admin takes over) =====
+    'handoff.started': "🙋 You're now chatting with our support team. Send your message and a person will reply here.",
+    'handoff.released': "🤖 Thanks for your patience! You're back with the assistant - type *hi* for the menu.",
+
+    // ===== Product drafts (unfinished Add Product) =====
+    'btn.continueDraft': '▶️ Continue',
+    'btn.discardDraft': '🗑️ Discard',
+    'draft.offer': "📝 *Continue your draft of {name}?*\n\nYou started adding it earlier ({photos} photos). Pick up where you left off, or discard it.",
+    'draft.resumed': "📝 Continuing your draft of *{name}*.",
+    'draft.reminder': "⏰ You haven't finished adding *{name}* ({photos} photos). The draft is deleted in {hours} hours - tap Continue to finish it.",
+    'draft.discarded': "🗑️ Draft *{name}* moved to trash. You can restore it from the seller portal for {days} days.",
+    'draft.gone': "This draft is no longer available.",
+
+    // ===== Buyer shopping flow =====
+    'buyer.menuHeader': '🏸 RacketBazaar',
+    'buyer.menuBody': "Welcome! Shop rackets, shoes and accessories from verified sellers.\n\n_Tip: just type what you're looking for, e.g. \"Astrox 88D\"._",
+    'buyer.menuFooter': 'Tap a button below',
+    'btn.search': '🔍 Search',
+    'btn.categories': '📂 Categories',
+    'btn.sellWithUs': '🏪 Sell With Us',
+    'buyer.searchPrompt': "🔍 What are you looking for?\n\n_Example: Astrox 88D, Power Cushion, grip_",
+    'buyer.searchHeader': '🔍 Search Results',
+    'buyer.searchBody': 'Results for "{query}":',
+    'buyer.noResults': "😕 No products found for \"{query}\".\n\nTry another name or browse by category.",
+    'buyer.searchFailed': "Failed to search products. Please try again.",
+    'buyer.categoriesHeader': '📂 Categories',
+    'buyer.categoriesBody': 'What are you shopping for?',
+    'list.browse': 'Browse',
+    'desc.itemsAvailable': ({ count }) => `${plural(count, 'item')} available`,
+    'buyer.categoriesFailed': "Failed to load categories. Please try again.",
+    'buyer.categoryBody': 'Tap a product to see details:',
+    'buyer.categoryEmpty': "😕 Nothing in {category} right now. Please check back soon!",
+    'buyer.productsFailed': "Failed to load products. Please try again.",
+    'section.products': 'Products',
+    'list.viewProducts': 'View Products',
+    'buyer.productsFound': ({ count }) => `${plural(count, 'product')} found`,
+    'desc.buyerProduct': 'PKR {price} | {store}',
+    'buyer.productUnavailable': "❌ This product is no longer available.",
+    'buyer.seller': '🏪 Seller: {store}',
+    'buyer.orderPrompt': 'Would you like to order this item?',
+    'buyer.cashOnDelivery': 'Cash on delivery',
+    'btn.orderNow': '🛒 Order Now',
+    'btn.keepBrowsing': '📂 Keep Browsing',
+    'buyer.outOfStock': "❌ Sorry, this product is out of stock.",
+    'buyer.orderHeader': '🛒 Order',
+    'buyer.askQuantity': "How many *{name}* would you like?\n\n_{stock} in stock. You can also type a number._",
+    'buyer.orderStartFailed': "Failed to start your order. Please try again.",
+    'buyer.invalidQuantity': "❌ Please enter a quantity between 1 and {max}.",
+    'buyer.askName': "👤 Great! What's your full name?",
+    'buyer.askAddress': "📍 Please send your delivery address (house, street, area):",
+    'buyer.askCity': "🏙️ Which city should we deliver to?",
+    'buyer.confirmHeader': '🧾 Confirm Order',
+    'buyer.total': '💰 Total: PKR {total}',
+    'buyer.payment': '💵 Payment: Cash on Delivery',
+    'btn.placeOrder': '✅ Place Order',
+    'buyer.sessionExpired': "⌛ Your order session has expired. Please start again.",
+    'buyer.notEnoughStock': "❌ Sorry, there isn't enough stock left for this order.",
+    'buyer.orderPlaced': "🎉 *Order placed!*\n\n🧾 Order #{orderNumber}",
+    'buyer.sellerWillContact': "The seller will contact you on this number to arrange delivery.",
+    'buyer.orderFailed': "Failed to place your order. Please try again.",
+    'buyerOrder.accepted': "✅ *{store}* confirmed your order #{orderNumber} ({items}). They'll contact you soon for delivery.",
+    'buyerOrder.rejected': "😔 *{store}* couldn't fulfil {items} from order #{orderNumber}. Sorry for the inconvenience!",
+    'buyerOrder.acceptedUpdate': "{store} confirmed {items} and will contact you for delivery.",
+    'buyerOrder.rejectedUpdate': "{store} couldn't fulfil {items}. Sorry for the inconvenience!"
+};
@@ -0,0 +1,480 @@
+/**
+ * WhatsApp bot messages - Roman Urdu (Urdu in Latin script)
+ * Keys mirror en.js; anything missing here falls back to English.
+ * Spec option values (4U, G5, head-heavy ...) and "PKR" stay untranslated.
+ */
+
+module.exports = {
+    // ===== General =====
+    'general.useButtons': "Main buttons ke zariye behtar kaam karta hoon! Shuru karne ke liye neeche tap karein.",
+    'general.registerFirst': "Pehle apni registration mukammal karein!",
+    'general.unsupportedType': "Main text messages, tasveerein aur button selections samajh sakta hoon.",
+    'general.error': "Maazrat, kuch ghalat ho gaya. Dobara koshish karein.",
+    'general.cancelled': "✅ Cancel kar diya gaya.",
+    'general.yourStore': 'Aap ka Store',
+    'general.page': 'Safha {page} / {total}',
+
+    // ===== Language =====
+    'language.header': '🌐 Zaban',
+    'language.body': "Aap kis zaban mein baat karna chahenge?",
+    'language.tapToChoose': "👆 Neeche se zaban chunein.",
+    'language.saved': "✅ Zaban Roman Urdu kar di gayi hai.",
+
+    // ===== Onboarding =====
+    'onboarding.welcomeHeader': '👋 Khush Aamdeed!',
+    'onboarding.welcomeBody': "Main aap ka inventory assistant hoon. Sirf 2 steps mein apna store banayein!",
+    'onboarding.askName': "Khush aamdeed! 👋\n\nAayein aap ka store banayein.\n\nPehle apna naam batayein?",
+    'onboarding.askStoreName': "Aap se mil kar khushi hui, *{name}*! 👋\n\nAap ke store ka naam kya hai?",
+    'onboarding.complete': "🎉 *Khush aamdeed, {name}!*\n\n" +
+        "Aap ka store *{storeName}* ban gaya hai.\n\n" +
+        "📌 *Status:* Admin approval ka intezar\n" +
+        "_Verification tak aap ke products buyers ko nazar nahi aayenge._",
+    'onboarding.failed': "Registration mukammal nahi ho saki. Dobara koshish karein.",
+
+    // ===== Main menu =====
+    'menu.body': "Assalam o Alaikum {name}! Aap kya karna chahenge?",
+    'menu.there': 'janab',
+    'menu.footer': 'Tamam options ke liye Menu tap karein',
+    'list.menu': 'Menu',
+    'section.inventory': 'Inventory',
+    'section.orders': 'Orders',
+    'section.store': 'Store',
+    'section.account': 'Account',
+    'row.addProduct': '➕ Product Add Karein',
+    'desc.addProduct': 'Tasveeron ke saath nayi cheez list karein',
+    'row.viewProducts': '📦 Products Dekhein',
+    'desc.viewProducts': 'Apni inventory dekhein',
+    'row.updateProduct': '✏️ Product Badlein',
+    'desc.updateProduct': 'Tafseelat, tasveerein ya bik gaya',
+    'row.deleteProduct': '🗑️ Product Delete',
+    'desc.deleteProduct': 'Listing hatayein',
+    'row.myOrders': '📬 Mere Orders',
+    'desc.myOrders': 'Aap ke haaliya orders',
+    'row.storeStats': '📊 Store Stats',
+    'desc.storeStats': 'Stock, orders aur aamdani',
+    'row.storeLink': '🔗 Store ka Link',
+    'desc.storeLink': 'Apna store share karein',
+    'row.approvalStatus': '✅ Approval Status',
+    'desc.approvalStatus': 'Dekhein aap ka store live hai ya nahi',
+    'row.webLogin': '🌐 Web Login',
+    'desc.webLogin': 'Seller portal mein login karein',
+    'row.language': '🗣️ Zaban',
+    'desc.language': 'English, اردو ya Roman Urdu',
+
+    // ===== Buttons =====
+    'btn.menu': '🏠 Menu',
+    'btn.cancel': '❌ Cancel',
+    'btn.undo': '↩️ Undo',
+    'btn.skip': '⏭️ Chhorein',
+    'btn.done': '✅ Mukammal',
+    'btn.addMore': '➕ Aur Add Karein',
+    'btn.save': '✅ Save Karein',
+    'btn.editDetails': '✏️ Tafseel Badlein',
+    'btn.getStarted': '🚀 Shuru Karein',
+    'btn.previous': '⬅️ Pichla',
+    'btn.next': '➡️ Agla',
+    'btn.clear': '🧹 Saaf Karein',
+    'btn.conditionNew': '✨ Naya',
+    'btn.conditionUsed': '♻️ Used',
+    'btn.addPhotos': '➕ Tasveerein Add',
+    'btn.replacePhotos': '🔁 Sab Badlein',
+    'btn.removePhoto': '➖ Aik Hatayein',
+    'btn.confirmDelete': '🗑️ Haan, Delete',
+    'btn.markSold': '🏷️ Bik Gaya',
+    'btn.reserve': '📌 Reserve Karein',
+    'btn.archive': '📦 Archive',
+    'btn.available': '✅ Dobara Dastyab',
+    'btn.relist': '✅ Dobara List',
+    'btn.searchAgain': '🔍 Dobara Talash',
+    'btn.showAll': '📋 Sab Dikhayein',
+    'btn.shareStore': '🔗 Store Share',
+    'btn.storeStats': '📊 Store Stats',
+    'btn.myOrders': '📬 Mere Orders',
+    'btn.accept': '✅ Qabool',
+    'btn.reject': '❌ Mustarad',
+
+    // ===== Photos & video =====
+    'media.start': "📷 Apne product ki zyada se zyada {max} tasveerein bhejein (mukhtalif angles se buyers ko madad milti hai!).\n\n" +
+        "🎬 Aap aik choti video bhi bhej sakte hain.\n\n" +
+        "_Har tasveer saaf aur 2MB se kam honi chahiye._",
+    'media.unsolicitedImage': "Product add karne ke liye pehle 'Product Add Karein' tap karein, phir tasveer bhejein.",
+    'media.unsolicitedVideo': "🎬 Product video ke liye pehle 'Product Add Karein' tap karein, phir tasveerein aur video bhejein.",
+    'media.processingImage': "⏳ Aap ki tasveer process ho rahi hai...",
+    'media.imageTooLarge': "❌ Tasveer bohat bari hai ({size}MB).\nZyada se zyada ijazat: 2MB",
+    'media.imageFailed': "❌ Tasveer process nahi ho saki. Dobara koshish karein.",
+    'media.processingVideo': "⏳ Aap ki video process ho rahi hai...",
+    'media.videoTooLarge': "❌ Video bohat bari hai ({size}MB).\nZyada se zyada ijazat: 16MB",
+    'media.videoFailed': "❌ Video process nahi ho saki. Dobara koshish karein.",
+    'media.photoLimit': "⚠️ Aik product ki zyada se zyada {max} tasveerein add ho sakti hain.",
+    'media.videoLimit': "⚠️ Aap video pehle hi add kar chuke hain. Har product ki sirf aik video ho sakti hai.",
+    'media.progress': "✅ {count}/{max} tasveerein add ho gayin.",
+    'media.progressWithVideo': "✅ {count}/{max} tasveerein + 1 video add ho gayi.",
+    'media.nextLimitReached': "Tasveeron ki had poori ho gayi. Choti video bhejein ya aage barhne ke liye Mukammal tap karein.",
+    'media.nextPhotos': "Aur tasveerein bhejein, ya aage barhne ke liye Mukammal tap karein.",
+    'media.nextPhotosOrVideo': "Aur tasveerein ya choti video bhejein, ya aage barhne ke liye Mukammal tap karein.",
+    'media.nextPhoto': "📷 Agli tasveer bhejein ({remaining} baqi).",
+    'media.nextPhotoOrVideo': "📷 Agli tasveer ({remaining} baqi) ya choti video bhejein.",
+    'media.limitReached': "🎬 Tasveeron ki had poori ho gayi hai. Choti video bhejein ya Mukammal tap karein.",
+    'media.needPhoto': "📷 Pehle apne product ki kam az kam aik tasveer bhejein.",
+    'media.saved': "✅ {count} tasveerein save ho gayin!",
+    'media.savedWithVideo': "✅ {count} tasveerein aur 1 video save ho gayi!",
+
+    // ===== Product details & wizard =====
+    'details.prompt': "Ab apne product ki tafseel likhein. Shamil karein:\n" +
+        "• Product ka naam\n" +
+        "• Qeemat (PKR mein)\n" +
+        "• Koi aur tafseel\n\n" +
+        "_Misaal: Astrox 88D 4U, 15k, used 8/10, 2 pcs_",
+    'details.reenter': "✏️ Theek hai, product ki tafseel dobara bhejein.\n\n" +
+        "_Misaal: Astrox 88D 4U, 15k, used 8/10, 2 pcs_",
+    'wizard.categoryHeader': '📂 Category',
+    'wizard.categoryBody': 'Yeh product kis category mein hai?',
+    'wizard.pickCategory': "👆 List se category chunein (ya Chhorein).",
+    'wizard.tapOption': "👆 Koi aik option tap karein (ya Chhorein).",
+    'wizard.typeOrSkip': '_Apna jawab likhein ya Chhorein tap karein._',
+    'wizard.notListed': '_List mein nahi? Bas likh dein._',
+    'list.chooseCategory': 'Category Chunein',
+    'list.choose': 'Chunein',
+    'section.categories': 'Categories',
+    'section.options': 'Options',
+    'row.category.rackets': '🏸 Rackets',
+    'row.category.shoes': '👟 Joote',
+    'row.category.accessories': '🎒 Accessories',
+    'row.skip': '⏭️ Chhorein',
+    'desc.skipCategory': 'Accessories mein shamil ho jayegi',
+    'spec.brand': 'Kaunsa brand hai?',
+    'spec.weightClass': 'Weight class?',
+    'spec.balance': 'Balance point?',
+    'spec.flexibility': 'Shaft kitni flexible hai?',
+    'spec.gripSize': 'Grip size?',
+    'spec.stringStatus': 'Kya string lagi hui hai?',
+    'spec.sizeEU': 'EU size? (maslan 42)',
+    'spec.sizeUK': 'UK size? (maslan 8)',
+    'spec.sizeUS': 'US size? (maslan 9)',
+    'spec.width': 'Joote ki chaurai?',
+    'spec.closureType': 'Band karne ka tareeqa?',
+    'spec.accessoryType': 'Kis qism ki accessory hai?',
+
+    // ===== Product summary =====
+    'confirm.title': '📝 *Apne product ki tasdeeq karein*',
+    'confirm.noPrice': '⚠️ _Qeemat nahi mili - buyers ko PKR 0 nazar aayega._',
+    'confirm.tapToContinue': "👆 Save Karein, Tafseel Badlein ya Cancel tap karein.",
+    'product.defaultName': 'Naya Product',
+    'product.new': 'Naya',
+    'product.used': 'Used',
+    'product.category': '📂 Category: {category}',
+    'product.brand': '🏷️ Brand: {brand}',
+    'product.price': '💰 Qeemat: PKR {price}',
+    'product.stock': '📊 Stock: {stock}',
+    'product.condition': '✨ Halat: {condition}',
+    'product.specs': '⚙️ Specs: {specs}',
+    'product.media': '📷 Media: {count} tasveerein',
+    'product.mediaWithVideo': '📷 Media: {count} tasveerein + 1 video',
+    'product.created': '✅ *Product ban gaya!*',
+    'product.zeroPriceTip': '_💡 Mashwara: Menu se qeemat update karein._',
+    'product.createFailed': "Product nahi ban saka. Dobara koshish karein.",
+    'product.notFound': "❌ Product nahi mila.",
+    'product.loadFailed': "Product load nahi ho saka. Dobara koshish karein.",
+
+    // ===== Ownership =====
+    'auth.sellersOnly': "❌ Sirf registered sellers products add kar sakte hain.",
+    'auth.sellersOnlyManage': "❌ Sirf registered sellers products mein tabdeeli kar sakte hain.",
+    'auth.notYourProduct': "❌ Aap sirf apne products mein tabdeeli kar sakte hain.",
+
+    // ===== Inventory & product picker =====
+    'inventory.empty': "📦 *Aap ki inventory khaali hai!*\n\nPehli cheez add karne ke liye 'Product Add Karein' tap karein.",
+    'inventory.title': '📦 *Aap ke Products ({count})*',
+    'inventory.line': '💰 PKR {price} | 📊 Stock: {stock}',
+    'inventory.failed': "Products nahi mil sake. Dobara koshish karein.",
+    'inventory.bulkTip': "💡 _Fori tabdeeli: *stock <product> <qty>* ya *price <product> <amount>* bhejein, ya product, stock aur price columns wali CSV/XLSX sheet bhejein._",
+    'picker.noProducts': "📦 Aap ka abhi koi product nahi hai!",
+    'picker.noMatch': '😕 "{search}" se koi product nahi mila.',
+    'picker.searchPrompt': "🔍 Talash ke liye product ke naam ka kuch hissa likhein:",
+    'picker.header.update': 'Product Badlein',
+    'picker.header.delete': 'Product Delete Karein',
+    'picker.body.update': 'Badalne ke liye product chunein:',
+    'picker.body.delete': 'Delete karne ke liye product chunein:',
+    'picker.bodySearch.update': '"{search}" se milte products - badalne ke liye aik chunein:',
+    'picker.bodySearch.delete': '"{search}" se milte products - delete karne ke liye aik chunein:',
+    'picker.footer': '{count} products · Safha {page} / {total}',
+    'picker.rowDescription': 'PKR {price} | Stock: {stock}',
+    'productStatus.draft': '📝 Draft',
+    'productStatus.active': '🟢 Active',
+    'productStatus.reserved': '📌 Reserved',
+    'productStatus.sold': '🏷️ Bik gaya',
+    'productStatus.archived': '📦 Archived',
+    'picker.failed': "Products load nahi ho sake. Dobara koshish karein.",
+    'list.selectProduct': 'Product Chunein',
+    'section.searchResults': 'Talash ke Nataij',
+    'section.yourProducts': 'Aap ke Products',
+    'section.more': 'Mazeed',
+    'row.previousPage': '⬅️ Pichla safha',
+    'row.nextPage': '➡️ Agla safha',
+    'row.showAll': '📋 Tamam products',
+    'row.searchByName': '🔍 Naam se talash',
+
+    // ===== Update & delete =====
+    'update.header': 'Product Badlein',
+    'update.body': 'Aap kya badalna chahte hain?',
+    'section.details': 'Tafseelat',
+    'section.listing': 'Listing',
+    'row.field.price': '💰 Qeemat',
+    'row.field.stock': '📊 Stock',
+    'row.field.name': '📝 Naam',
+    'row.field.description': '📄 Tafseel',
+    'row.field.brand': '🔖 Brand',
+    'row.field.category': '📂 Category',
+    'row.field.condition': '✨ Haalat',
+    'row.field.specs': '⚙️ Specs',
+    'row.field.photos': '📷 Tasveerein',
+    'row.field.status': '🏷️ Status',
+    'desc.field.price': 'Abhi PKR {price}',
+    'desc.field.stock': 'Abhi stock mein {stock}',
+    'desc.field.photos': '{max} mein se {count} · Add karein, badlein ya hatayein',
+    'desc.field.status': '{status} · Bik gaya, reserve ya archive karein',
+    'desc.notSet': 'Darj nahi',
+    'update.prompt.price': "Nayi qeemat likhein (sirf numbers, PKR mein):",
+    'update.prompt.stock': "Nayi stock tadaad likhein:",
+    'update.prompt.name': "Product ka naya naam likhein:",
+    'update.prompt.description': "Nayi tafseel bhejein (haalat, saath kya milega, waghera):",
+    'update.prompt.category': "Yeh abhi {category} mein hai. Isay kis category mein hona chahiye?",
+    'update.prompt.condition': "Yeh abhi {condition} darj hai. Kya yeh naya hai ya used?\n\n_Aap likh bhi sakte hain, maslan \"used 8/10\"._",
+    'update.prompt.conditionRating': "10 mein se iski haalat ko kitne number denge?\n\n_Rating chunein ya likhein, maslan 8._",
+    'update.typeOrClear': '_Apna jawab likhein ya Saaf Karein tap karein._',
+    'update.specsHeader': '⚙️ Specs',
+    'update.specsBody': 'Aap kaunsi spec badalna chahte hain?',
+    'section.specs': 'Specs',
+    'row.spec.weightClass': 'Weight class',
+    'row.spec.balance': 'Balance',
+    'row.spec.flexibility': 'Flexibility',
+    'row.spec.gripSize': 'Grip size',
+    'row.spec.stringStatus': 'Strung / unstrung',
+    'row.spec.sizeEU': 'EU size',
+    'row.spec.sizeUK': 'UK size',
+    'row.spec.sizeUS': 'US size',
+    'row.spec.width': 'Chaurai',
+    'row.spec.closureType': 'Band karne ka tareeqa',
+    'row.spec.accessoryType': 'Accessory ki qism',
+    'row.clear': '🧹 Saaf Karein',
+    'update.invalidPrice': "❌ Ghalat qeemat. Sirf numbers likhein.",
+    'update.invalidStock': "❌ Ghalat stock. Durust number likhein.",
+    'update.unknownField': "❌ Na-maloom field.",
+    'update.emptyText': "❌ Yeh khali nahi ho sakta. Dobara likhein.",
+    'update.invalidRating': "❌ 1 se 10 tak rating likhein.",
+    'update.pickOption': "👆 Diye gaye options mein se aik tap karein.",
+    'update.done': "✅ *Product update ho gaya!*",
+    'update.failed': "Product update nahi ho saka. Dobara koshish karein.",
+    'delete.header': '⚠️ Delete ki Tasdeeq',
+    'delete.body': "Kya aap waqai *{name}* delete karna chahte hain?\n\nYeh {days} din tak trash mein rahegi, is dauran aap isay wapas la sakte hain.",
+    'delete.done': "🗑️ *{name}* trash mein chali gayi.\n\nWapas lane ke liye Undo dabayein - {days} din baad yeh hamesha ke liye delete ho jayegi.",
+    'delete.restored': "♻️ *{name}* aap ke store mein wapas aa gayi.",
+    'delete.undoExpired': "Yeh product ab wapas nahi lai ja sakti.",
+    'delete.cancelled': "❌ Delete cancel kar diya gaya.",
+    'delete.soldHint': "_Bech di? Iski bajaye Bik Gaya dabayein - yeh store se hat jayegi magar aap ke record mein rahegi._",
+    'delete.failed': "Product delete nahi ho saka. Dobara koshish karein.",
+
+    // ===== Product photos =====
+    'photos.header': '📷 Tasveerein',
+    'photos.body': "*{name}* ki {max} mein se {count} tasveerein hain.\n\nAur add karein, sab badlein, ya aik hatayein.",
+    'photos.addPrompt': "📷 Mazeed {remaining} tasveerein tak bhejein. Har tasveer aate hi add ho jayegi.",
+    'photos.replacePrompt': "📷 {max} tak nayi tasveerein bhejein, phir Mukammal tap karein. Tab tak maujooda tasveerein rahengi.",
+    'photos.limitReached': "Tasveeron ki had poori ho gayi - khatam karne ke liye Mukammal tap karein.",
+    'photos.sendPhoto': "📷 Tasveer bhejein, ya khatam hone par Mukammal tap karein.",
+    'photos.caption': 'Tasveer {number}',
+    'photos.removeBody': 'Kaunsi tasveer hatani hai?',
+    'section.photos': 'Tasveerein',
+    'row.photo': '📷 Tasveer {number}',
+    'photos.keepOne': "⚠️ Product ki kam az kam aik tasveer zaroori hai. Isay hatane se pehle doosri add karein.",
+
+    // ===== Listing status =====
+    'status.header': '🏷️ Listing Status',
+    'status.body': "*{name}* abhi {status} hai.\n\n" +
+        "🏷️ *Bik gaya* aur 📦 *Archived* products store se hat jate hain magar inventory mein rehte hain.\n" +
+        "📌 *Reserved* products store par nazar aate hain, magar buyers order nahi kar sakte.",
+    'status.done.active': "✅ *{name}* dobara aap ke store mein live hai.",
+    'status.done.reserved': "📌 *{name}* reserve ho gayi. Buyers isay dekh sakte hain magar order nahi kar sakte.",
+    'status.done.sold': "🎉 *{name}* bik gayi aur store se hata di gayi.",
+    'status.done.archived': "📦 *{name}* archive ho gayi aur store se chhupa di gayi.",
+    'status.done.draft': "📝 *{name}* dobara draft ban gayi aur store se chhupa di gayi.",
+    'status.notAllowed': "⚠️ *{name}* abhi {status} hai - yeh tabdeeli ab mumkin nahi.",
+    'status.failed': "Listing status tabdeel nahi ho saka. Dobara koshish karein.",
+
+    // ===== Orders, stats & store =====
+    'orderStatus.pending': '⏳ Pending',
+    'orderStatus.processing': '✅ Qabool shuda',
+    'orderStatus.shipped': '🚚 Rawana',
+    'orderStatus.delivered': '📬 Pohanch gaya',
+    'orderStatus.cancelled': '❌ Cancel',
+    'orders.none': "📬 Aap ka abhi koi order nahi hai.",
+    'orders.title': '📬 *Haaliya Orders* (aakhri {count})',
+    'orders.pendingHint': "_Pending orders unke notification se qabool ya mustarad karein._",
+    'orders.failed': "Aap ke orders nahi mil sake. Dobara koshish karein.",
+    'stats.body': "📊 *{store} Stats*\n\n" +
+        "📦 Listed products: {products}\n" +
+        "⚠️ Kam stock (5 se kam): {lowStock}\n" +
+        "🚫 Stock khatam: {outOfStock}\n" +
+        "🏷️ Farokht shuda: {sold}\n\n" +
+        "📬 Orders: {orders}\n" +
+        "⏳ Aap ke jawab ke muntazir: {pending}\n" +
+        "💰 Aamdani: PKR {revenue}",
+    'stats.failed': "Aap ke stats nahi mil sake. Dobara koshish karein.",
+    'store.shareHint': "_Yeh link apne customers ke saath share karein._",
+    'store.pendingHint': "_Admin approval ke baad aap ka store page live ho jayega._",
+    'approval.pending': "⏳ *Approval ka intezar*\n\nAdmin aap ke store ka jaiza le raha hai. Approval tak aap ke products buyers ko nazar nahi aayenge.",
+    'approval.active': "✅ *Approved*\n\nAap ka store live hai aur buyers aap ke products dekh aur order kar sakte hain.",
+    'approval.deactivated': "🚫 *Deactivated*\n\nAdmin ne aap ka store band kar diya hai aur yeh buyers se chhupa hua hai. Support se rabta karein.",
+    'approval.other': 'Status: {status}',
+
+    // ===== Web login =====
+    'webLogin.disabled': "🚫 Aap ka store deactivated hai, is liye web login band hai. Support se rabta karein.",
+    'webLogin.body': "🌐 *Seller Portal Login*\n\n" +
+        "Login ke liye tap karein:\n{link}\n\n" +
+        "Ya yeh code {codeUrl} par likhein\n" +
+        "🔢 *{code}*\n\n" +
+        "_Yeh sirf aik baar chalta hai aur {minutes} minute mein khatam ho jata hai. Kisi ke saath share na karein._",
+    'webLogin.setPassword': "Login ke baad aap se password banane ko kaha jayega.",
+    'webLogin.failed': "Login link nahi ban saka. Dobara koshish karein.",
+
+    // ===== New order notifications =====
+    'newOrder.header': '🛒 Naya Order #{orderNumber}',
+    'newOrder.intro': '*{store}* ke liye aap ka naya order aaya hai:',
+    'newOrder.total': '💰 Aap ka total: PKR {total}',
+    'newOrder.footer': 'Cash on delivery',
+    'order.notFound': "❌ Order nahi mila.",
+    'order.notYours': "❌ Is order mein aap ka koi product nahi hai.",
+    'order.alreadyAnswered': "ℹ️ Aap order #{orderNumber} ka jawab pehle hi de chuke hain.",
+    'order.accepted': "✅ Order #{orderNumber} qabool kar liya gaya.\n\nDelivery ke liye customer se rabta karein.",
+    'order.rejected': "❌ Order #{orderNumber} mustarad kar diya gaya. Cheezein dobara stock mein shamil kar di gayin.",
+    'order.failed': "Order update nahi ho saka. Dobara koshish karein.",
+
+    // ===== Performance digest =====
+    'btn.digest': '🔔 Khulasa',
+    'btn.digestDaily': '📅 Rozana',
+    'btn.digestWeekly': '🗓️ Haftawar',
+    'btn.digestOff': '🔕 Band',
+    'digest.settingsHeader': '🔔 Store ka Khulasa',
+    'digest.settingsBody': "Naye orders, aamdani, kam stock, baghair qeemat listings aur listing views ka khulasa WhatsApp par payein.\n\nMaujooda setting: *{current}*",
+    'digest.frequency.off': 'Band',
+    'digest.frequency.daily': 'Rozana',
+    'digest.frequency.weekly': 'Haftawar (Peer ko)',
+    'digest.saved.daily': "✅ Aap ko har subah store ka khulasa milega.",
+    'digest.saved.weekly': "✅ Aap ko har Peer ki subah store ka khulasa milega.",
+    'digest.saved.off': "🔕 Store ka khulasa band kar diya gaya.",
+    'digest.failed': "Khulase ki setting update nahi ho saki. Dobara koshish karein.",
+    'digest.title.daily': '📊 *{store} - Rozana Khulasa*',
+    'digest.title.weekly': '📊 *{store} - Haftawar Khulasa*',
+    'digest.orders': '🛒 Naye orders: {count}',
+    'digest.revenue': '💰 Aamdani: PKR {revenue}',
+    'digest.views': '👀 Listing views: {count}',
+    'digest.topProduct': '⭐ Sab se zyada dekha gaya: {name} ({count})',
+    'digest.sold': '🏷️ Farokht shuda: {count}',
+    'digest.lowStock': '⚠️ *Kam stock (5 se kam): {count}*',
+    'digest.zeroPrice': '🏷️ *Baghair qeemat listings: {count}*',
+    'digest.andMore': '_...aur {count} mazeed_',
+    'digest.footer': "_Yeh khulasa badalne ya band karne ke liye Khulasa tap karein._",
+
+    // ===== Bulk inventory updates =====
+    'bulk.usage': "Jaldi update ke liye bhejein:\n*stock <product> <qty>* - maslan stock Astrox 88D 5\n*price <product> <amount>* - maslan price Nanoflare 700 22000\n\nYa *product*, *stock* aur *price* columns wali CSV/XLSX sheet bhejein.",
+    'bulk.commandOk': "✅ *{name}* update ho gaya: {changes}",
+    'bulk.commandFailed': "❌ \"{query}\" update nahi ho saka: {reason}",
+    'bulk.change.stock': "stock {value}",
+    'bulk.change.price': "qeemat PKR {value}",
+    'bulk.rowOk': "✅ Row {row}: *{name}* - {changes}",
+    'bulk.rowFailed': "❌ Row {row}: {label} - {reason}",
+    'bulk.error.notFound': "koi product nahi mili",
+    'bulk.error.ambiguous': "kai products se milta hai ({matches}), poora naam likhein",
+    'bulk.error.invalidStock': "stock 0 ya us se zyada poora number hona chahiye",
+    'bulk.error.invalidPrice': "qeemat PKR mein number honi chahiye",
+    'bulk.error.noChanges': "stock ya qeemat nahi di gayi",
+    'bulk.error.saveFailed': "save nahi ho saka",
+    'bulk.unsupportedFile': "📄 Bulk update ke liye main sirf CSV ya XLSX sheets parh sakta hoon.",
+    'bulk.processing': "📄 Aap ki sheet parhi ja rahi hai...",
+    'bulk.fileTooLarge': "❌ Yeh file bohat bari hai ({size}MB). Sheet 1MB se kam honi chahiye.",
+    'bulk.sheetError.empty': "❌ Sheet mein koi product row nahi hai.",
+    'bulk.sheetError.noProductColumn': "❌ Pehli row mein *product* (ya *id*) column add karein taake pata chale kaun si products update karni hain.",
+    'bulk.sheetError.noValueColumn': "❌ Pehli row mein *stock* aur/ya *price* column add karein.",
+    'bulk.sheetError.tooManyRows': "❌ Ek sheet mein zyada se zyada {max} rows bhejein.",
+    'bulk.sheetError.unreadable': "❌ Yeh sheet parhi nahi ja saki. File check kar ke dobara bhejein.",
+    'bulk.reportTitle': "📦 *Bulk update: {total} mein se {updated} rows update hui*",
+    'bulk.reportMore': "_...aur {count} mazeed rows._",
+    'bulk.failed': "Sheet process nahi ho saki. Dobara koshish karein.",
+
+    // ===== Account status (set by an admin) =====
+    'accountStatus.approved': "🎉 *Aap ka store approve ho gaya!*\n\n" +
+        "*{store}* ab RacketBazaar par live hai aur buyers aap ki products dekh aur order kar sakte hain.\n\n" +
+        "Seller menu kholne ke liye *hi* likhein.",
+    'accountStatus.reactivated': "✅ *Aap ka store dobara active hai*\n\n*{store}* dobara active kar diya gaya hai aur buyers ko nazar aa raha hai.",
+    'accountStatus.deactivated': "🚫 *Aap ka store deactivate kar diya gaya hai*\n\n*{store}* ab buyers se chhupa hua hai.",
+    'accountStatus.rejected': "❌ *Aap ki seller registration approve nahi hui*\n\n*{store}* ki registration khatam kar di gayi hai.",
+    'accountStatus.adminNote': "📝 *Admin ka note:* {note}",
+    'accountStatus.questions': "_Koi sawal ho to yahin reply karein._",
+    'accountStatus.label.approved': 'approved aur live',
+    'accountStatus.label.reactivated': 'dobara active',
+    'accountStatus.label.deactivated': 'deactivated',
+    'accountStatus.label.rejected': 'approve nahi hui',
+
+    // ===== Human handoff (admin takes over) =====
+    'handoff.started': "🙋 Ab aap hamari support team se baat kar rahe hain. Apna message bhejein, hamari team ka koi fard yahin jawab dega.",
+    'handoff.released': "🤖 Intezar ka shukriya! Ab aap dobara assistant se baat kar rahe hain - menu ke liye *hi* likhein.",
+
+    // ===== Product drafts (unfinished Add Product) =====
+    'btn.continueDraft': '▶️ Jari rakhein',
+    'btn.discardDraft': '🗑️ Khatam karein',
+    'draft.offer': "📝 *Kya aap {name} ka draft jari rakhna chahenge?*\n\nAap ne ise pehle add karna shuru kiya tha ({photos} photos). Wahin se jari rakhein ya ise khatam kar dein.",
+    'draft.resumed': "📝 *{name}* ka draft jari hai.",
+    'draft.reminder': "⏰ Aap ne *{name}* ({photos} photos) add karna mukammal nahi kiya. Yeh draft {hours} ghante mein delete ho jayega - mukammal karne ke liye Jari rakhein dabayein.",
+    'draft.discarded': "🗑️ Draft *{name}* trash mein chala gaya. Aap ise {days} din tak seller portal se wapas la sakte hain.",
+    'draft.gone': "Yeh draft ab dastiyab nahi hai.",
+
+    // ===== Buyer shopping flow =====
+    'buyer.menuHeader': '🏸 RacketBazaar',
+    'buyer.menuBody': "Khush amdeed! Verified sellers se rackets, joote aur accessories khareedein.\n\n_Tip: jo chahiye bas likh dein, maslan \"Astrox 88D\"._",
+    'buyer.menuFooter': 'Neeche koi button dabayein',
+    'btn.search': '🔍 Talash karein',
+    'btn.categories': '📂 Categories',
+    'btn.sellWithUs': '🏪 Yahan bechein',
+    'buyer.searchPrompt': "🔍 Aap kya dhoond rahe hain?\n\n_Misal: Astrox 88D, Power Cushion, grip_",
+    'buyer.searchHeader': '🔍 Talash ke nataij',
+    'buyer.searchBody': '"{query}" ke nataij:',
+    'buyer.noResults': "😕 \"{query}\" ke liye koi product nahi mili.\n\nKoi aur naam try karein ya category se dekhein.",
+    'buyer.searchFailed': "Products talash nahi ho sakin. Dobara koshish karein.",
+    'buyer.categoriesHeader': '📂 Categories',
+    'buyer.categoriesBody': 'Aap kya khareedna chahte hain?',
+    'list.browse': 'Dekhein',
+    'desc.itemsAvailable': '{count} items dastiyab',
+    'buyer.categoriesFailed': "Categories load nahi ho sakin. Dobara koshish karein.",
+    'buyer.categoryBody': 'Tafseel dekhne ke liye product par tap karein:',
+    'buyer.categoryEmpty': "😕 Abhi {category} mein kuch dastiyab nahi. Jald dobara dekhein!",
+    'buyer.productsFailed': "Products load nahi ho sakin. Dobara koshish karein.",
+    'section.products': 'Products',
+    'list.viewProducts': 'Products dekhein',
+    'buyer.productsFound': '{count} products milin',
+    'desc.buyerProduct': 'PKR {price} | {store}',
+    'buyer.productUnavailable': "❌ Yeh product ab dastiyab nahi hai.",
+    'buyer.seller': '🏪 Seller: {store}',
+    'buyer.orderPrompt': 'Kya aap yeh item order karna chahenge?',
+    'buyer.cashOnDelivery': 'Cash on delivery',
+    'btn.orderNow': '🛒 Abhi order karein',
+    'btn.keepBrowsing': '📂 Mazeed dekhein',
+    'buyer.outOfStock': "❌ Maazrat, yeh product stock mein nahi hai.",
+    'buyer.orderHeader': '🛒 Order',
+    'buyer.askQuantity': "Aap ko *{name}* kitne chahiye?\n\n_{stock} stock mein hain. Aap tadaad likh bhi sakte hain._",
+    'buyer.orderStartFailed': "Order shuru nahi ho saka. Dobara koshish karein.",
+    'buyer.invalidQuantity': "❌ Baraye meharbani 1 se {max} ke darmiyan tadaad likhein.",
+    'buyer.askName': "👤 Bohat khoob! Aap ka poora naam kya hai?",
+    'buyer.askAddress': "📍 Apna delivery address bhejein (ghar, gali, ilaqa):",
+    'buyer.askCity': "🏙️ Delivery kis sheher mein karni hai?",
+    'buyer.confirmHeader': '🧾 Order ki tasdeeq',
+    'buyer.total': '💰 Kul: PKR {total}',
+    'buyer.payment': '💵 Adaigi: Cash on Delivery',
+    'btn.placeOrder': '✅ Order karein',
+    'buyer.sessionExpired': "⌛ Aap ka order session khatam ho gaya. Dobara shuru karein.",
+    'buyer.notEnoughStock': "❌ Maazrat, is order ke liye kafi stock nahi bacha.",
+    'buyer.orderPlaced': "🎉 *Order ho gaya!*\n\n🧾 Order #{orderNumber}",
+    'buyer.sellerWillContact': "Delivery ke liye seller isi number par aap se rabta karega.",
+    'buyer.orderFailed': "Order nahi ho saka. Dobara koshish karein.",
+    'buyerOrder.accepted': "✅ *{store}* ne aap ka order #{orderNumber} ({items}) confirm kar diya. Woh jald delivery ke liye rabta karenge.",
+    'buyerOrder.rejected': "😔 *{store}* order #{orderNumber} mein se {items} faraham nahi kar saka. Takleef ke liye maazrat!",
+    'buyerOrder.acceptedUpdate': "{store} ne {items} confirm kar diya aur delivery ke liye rabta karega.",
+    'buyerOrder.rejectedUpdate': "{store} {items} faraham nahi kar saka. Takleef ke liye maazrat!"
+};
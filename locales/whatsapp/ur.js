@@ -0,0 +1,480 @@
+/**
+ * WhatsApp bot messages - Urdu (Nastaliq script)
+ * Keys mirror en.js; anything missing here falls back to English.
+ * Spec option values (4U, G5, head-heavy ...) and "PKR" stay untranslated.
+ */
+
+module.exports = {
+    // ===== General =====
+    'general.useButtons': "میں بٹنوں کے ذریعے بہتر کام کرتا ہوں! شروع کرنے کے لیے نیچے ٹیپ کریں۔",
+    'general.registerFirst': "براہ کرم پہلے اپنی رجسٹریشن مکمل کریں!",
+    'general.unsupportedType': "میں ٹیکسٹ میسج، تصاویر اور بٹن کے انتخاب سمجھ سکتا ہوں۔",
+    'general.error': "معذرت، کچھ غلط ہو گیا۔ براہ کرم دوبارہ کوشش کریں۔",
+    'general.cancelled': "✅ منسوخ کر دیا گیا۔",
+    'general.yourStore': 'آپ کا اسٹور',
+    'general.page': 'صفحہ {page} از {total}',
+
+    // ===== Language =====
+    'language.header': '🌐 زبان',
+    'language.body': "آپ کس زبان میں بات کرنا چاہیں گے؟",
+    'language.tapToChoose': "👆 براہ کرم نیچے سے زبان منتخب کریں۔",
+    'language.saved': "✅ زبان اردو کر دی گئی ہے۔",
+
+    // ===== Onboarding =====
+    'onboarding.welcomeHeader': '👋 خوش آمدید!',
+    'onboarding.welcomeBody': "میں آپ کا انوینٹری اسسٹنٹ ہوں۔ صرف 2 مراحل میں اپنا اسٹور بنائیں!",
+    'onboarding.askName': "خوش آمدید! 👋\n\nآئیں آپ کا اسٹور بنائیں۔\n\nپہلے اپنا نام بتائیں؟",
+    'onboarding.askStoreName': "آپ سے مل کر خوشی ہوئی، *{name}*! 👋\n\nآپ کے اسٹور کا نام کیا ہے؟",
+    'onboarding.complete': "🎉 *خوش آمدید، {name}!*\n\n" +
+        "آپ کا اسٹور *{storeName}* بن گیا ہے۔\n\n" +
+        "📌 *اسٹیٹس:* ایڈمن کی منظوری کا انتظار\n" +
+        "_تصدیق تک آپ کی پروڈکٹس خریداروں کو نظر نہیں آئیں گی۔_",
+    'onboarding.failed': "رجسٹریشن مکمل نہیں ہو سکی۔ براہ کرم دوبارہ کوشش کریں۔",
+
+    // ===== Main menu =====
+    'menu.body': "السلام علیکم {name}! آپ کیا کرنا چاہیں گے؟",
+    'menu.there': 'جناب',
+    'menu.footer': 'تمام آپشنز کے لیے مینو ٹیپ کریں',
+    'list.menu': 'مینو',
+    'section.inventory': 'انوینٹری',
+    'section.orders': 'آرڈرز',
+    'section.store': 'اسٹور',
+    'section.account': 'اکاؤنٹ',
+    'row.addProduct': '➕ پروڈکٹ شامل کریں',
+    'desc.addProduct': 'تصاویر کے ساتھ نئی چیز لسٹ کریں',
+    'row.viewProducts': '📦 پروڈکٹس دیکھیں',
+    'desc.viewProducts': 'اپنی انوینٹری دیکھیں',
+    'row.updateProduct': '✏️ پروڈکٹ تبدیل کریں',
+    'desc.updateProduct': 'تفصیلات، تصاویر یا فروخت شدہ',
+    'row.deleteProduct': '🗑️ پروڈکٹ حذف کریں',
+    'desc.deleteProduct': 'لسٹنگ ہٹائیں',
+    'row.myOrders': '📬 میرے آرڈرز',
+    'desc.myOrders': 'آپ کے حالیہ آرڈرز',
+    'row.storeStats': '📊 اسٹور کے اعداد',
+    'desc.storeStats': 'اسٹاک، آرڈرز اور آمدنی',
+    'row.storeLink': '🔗 اسٹور کا لنک',
+    'desc.storeLink': 'اپنا اسٹور شیئر کریں',
+    'row.approvalStatus': '✅ منظوری کی صورتحال',
+    'desc.approvalStatus': 'دیکھیں کہ آپ کا اسٹور لائیو ہے یا نہیں',
+    'row.webLogin': '🌐 ویب لاگ اِن',
+    'desc.webLogin': 'سیلر پورٹل میں لاگ اِن کریں',
+    'row.language': '🗣️ زبان',
+    'desc.language': 'English، اردو یا Roman Urdu',
+
+    // ===== Buttons =====
+    'btn.menu': '🏠 مینو',
+    'btn.cancel': '❌ منسوخ',
+    'btn.undo': '↩️ واپس کریں',
+    'btn.skip': '⏭️ چھوڑیں',
+    'btn.done': '✅ مکمل',
+    'btn.addMore': '➕ مزید شامل کریں',
+    'btn.save': '✅ محفوظ کریں',
+    'btn.editDetails': '✏️ تفصیل بدلیں',
+    'btn.getStarted': '🚀 شروع کریں',
+    'btn.previous': '⬅️ پچھلا',
+    'btn.next': '➡️ اگلا',
+    'btn.clear': '🧹 صاف کریں',
+    'btn.conditionNew': '✨ نئی',
+    'btn.conditionUsed': '♻️ استعمال شدہ',
+    'btn.addPhotos': '➕ تصاویر شامل کریں',
+    'btn.replacePhotos': '🔁 سب بدلیں',
+    'btn.removePhoto': '➖ ایک ہٹائیں',
+    'btn.confirmDelete': '🗑️ جی ہاں، حذف کریں',
+    'btn.markSold': '🏷️ فروخت شدہ',
+    'btn.reserve': '📌 ریزرو کریں',
+    'btn.archive': '📦 آرکائیو',
+    'btn.available': '✅ دوبارہ دستیاب',
+    'btn.relist': '✅ دوبارہ لسٹ کریں',
+    'btn.searchAgain': '🔍 دوبارہ تلاش',
+    'btn.showAll': '📋 سب دکھائیں',
+    'btn.shareStore': '🔗 اسٹور شیئر کریں',
+    'btn.storeStats': '📊 اسٹور کے اعداد',
+    'btn.myOrders': '📬 میرے آرڈرز',
+    'btn.accept': '✅ قبول کریں',
+    'btn.reject': '❌ مسترد کریں',
+
+    // ===== Photos & video =====
+    'media.start': "📷 اپنی پروڈکٹ کی زیادہ سے زیادہ {max} تصاویر بھیجیں (مختلف زاویوں سے خریداروں کو مدد ملتی ہے!)۔\n\n" +
+        "🎬 آپ ایک مختصر ویڈیو بھی بھیج سکتے ہیں۔\n\n" +
+        "_ہر تصویر صاف اور 2MB سے کم ہونی چاہیے۔_",
+    'media.unsolicitedImage': "پروڈکٹ شامل کرنے کے لیے پہلے 'پروڈکٹ شامل کریں' ٹیپ کریں، پھر تصویر بھیجیں۔",
+    'media.unsolicitedVideo': "🎬 پروڈکٹ ویڈیو کے لیے پہلے 'پروڈکٹ شامل کریں' ٹیپ کریں، پھر تصاویر اور ویڈیو بھیجیں۔",
+    'media.processingImage': "⏳ آپ کی تصویر پراسیس ہو رہی ہے...",
+    'media.imageTooLarge': "❌ تصویر بہت بڑی ہے ({size}MB)۔\nزیادہ سے زیادہ اجازت: 2MB",
+    'media.imageFailed': "❌ تصویر پراسیس نہیں ہو سکی۔ براہ کرم دوبارہ کوشش کریں۔",
+    'media.processingVideo': "⏳ آپ کی ویڈیو پراسیس ہو رہی ہے...",
+    'media.videoTooLarge': "❌ ویڈیو بہت بڑی ہے ({size}MB)۔\nزیادہ سے زیادہ اجازت: 16MB",
+    'media.videoFailed': "❌ ویڈیو پراسیس نہیں ہو سکی۔ براہ کرم دوبارہ کوشش کریں۔",
+    'media.photoLimit': "⚠️ ایک پروڈکٹ کی زیادہ سے زیادہ {max} تصاویر شامل کی جا سکتی ہیں۔",
+    'media.videoLimit': "⚠️ آپ ویڈیو پہلے ہی شامل کر چکے ہیں۔ ہر پروڈکٹ کی صرف ایک ویڈیو ہو سکتی ہے۔",
+    'media.progress': "✅ {count}/{max} تصاویر شامل ہو گئیں۔",
+    'media.progressWithVideo': "✅ {count}/{max} تصاویر + 1 ویڈیو شامل ہو گئی۔",
+    'media.nextLimitReached': "تصاویر کی حد پوری ہو گئی۔ مختصر ویڈیو بھیجیں یا آگے بڑھنے کے لیے مکمل ٹیپ کریں۔",
+    'media.nextPhotos': "مزید تصاویر بھیجیں، یا آگے بڑھنے کے لیے مکمل ٹیپ کریں۔",
+    'media.nextPhotosOrVideo': "مزید تصاویر یا مختصر ویڈیو بھیجیں، یا آگے بڑھنے کے لیے مکمل ٹیپ کریں۔",
+    'media.nextPhoto': "📷 اگلی تصویر بھیجیں ({remaining} باقی)۔",
+    'media.nextPhotoOrVideo': "📷 اگلی تصویر ({remaining} باقی) یا مختصر ویڈیو بھیجیں۔",
+    'media.limitReached': "🎬 تصاویر کی حد پوری ہو گئی ہے۔ مختصر ویڈیو بھیجیں یا مکمل ٹیپ کریں۔",
+    'media.needPhoto': "📷 براہ کرم پہلے اپنی پروڈکٹ کی کم از کم ایک تصویر بھیجیں۔",
+    'media.saved': "✅ {count} تصاویر محفوظ ہو گئیں!",
+    'media.savedWithVideo': "✅ {count} تصاویر اور 1 ویڈیو محفوظ ہو گئی!",
+
+    // ===== Product details & wizard =====
+    'details.prompt': "اب اپنی پروڈکٹ کی تفصیل لکھیں۔ شامل کریں:\n" +
+        "• پروڈکٹ کا نام\n" +
+        "• قیمت (PKR میں)\n" +
+        "• کوئی اور تفصیل\n\n" +
+        "_مثال: Astrox 88D 4U, 15k, used 8/10, 2 pcs_",
+    'details.reenter': "✏️ ٹھیک ہے، پروڈکٹ کی تفصیل دوبارہ بھیجیں۔\n\n" +
+        "_مثال: Astrox 88D 4U, 15k, used 8/10, 2 pcs_",
+    'wizard.categoryHeader': '📂 کیٹیگری',
+    'wizard.categoryBody': 'یہ پروڈکٹ کس کیٹیگری میں ہے؟',
+    'wizard.pickCategory': "👆 براہ کرم فہرست سے کیٹیگری منتخب کریں (یا چھوڑیں)۔",
+    'wizard.tapOption': "👆 براہ کرم کوئی ایک آپشن ٹیپ کریں (یا چھوڑیں)۔",
+    'wizard.typeOrSkip': '_اپنا جواب لکھیں یا چھوڑیں ٹیپ کریں۔_',
+    'wizard.notListed': '_فہرست میں نہیں؟ بس لکھ دیں۔_',
+    'list.chooseCategory': 'کیٹیگری منتخب کریں',
+    'list.choose': 'منتخب کریں',
+    'section.categories': 'کیٹیگریز',
+    'section.options': 'آپشنز',
+    'row.category.rackets': '🏸 ریکٹس',
+    'row.category.shoes': '👟 جوتے',
+    'row.category.accessories': '🎒 لوازمات',
+    'row.skip': '⏭️ چھوڑیں',
+    'desc.skipCategory': 'لوازمات میں شامل ہو جائے گی',
+    'spec.brand': 'کون سا برانڈ ہے؟',
+    'spec.weightClass': 'وزن کی کلاس؟',
+    'spec.balance': 'بیلنس پوائنٹ؟',
+    'spec.flexibility': 'شافٹ کی لچک؟',
+    'spec.gripSize': 'گرپ کا سائز؟',
+    'spec.stringStatus': 'کیا اس میں تار لگی ہے؟',
+    'spec.sizeEU': 'EU سائز؟ (مثلاً 42)',
+    'spec.sizeUK': 'UK سائز؟ (مثلاً 8)',
+    'spec.sizeUS': 'US سائز؟ (مثلاً 9)',
+    'spec.width': 'جوتے کی چوڑائی؟',
+    'spec.closureType': 'بند کرنے کا طریقہ؟',
+    'spec.accessoryType': 'کس قسم کی لوازمات ہے؟',
+
+    // ===== Product summary =====
+    'confirm.title': '📝 *براہ کرم اپنی پروڈکٹ کی تصدیق کریں*',
+    'confirm.noPrice': '⚠️ _قیمت نہیں ملی - خریداروں کو PKR 0 نظر آئے گا۔_',
+    'confirm.tapToContinue': "👆 براہ کرم محفوظ کریں، تفصیل بدلیں یا منسوخ ٹیپ کریں۔",
+    'product.defaultName': 'نئی پروڈکٹ',
+    'product.new': 'نئی',
+    'product.used': 'استعمال شدہ',
+    'product.category': '📂 کیٹیگری: {category}',
+    'product.brand': '🏷️ برانڈ: {brand}',
+    'product.price': '💰 قیمت: PKR {price}',
+    'product.stock': '📊 اسٹاک: {stock}',
+    'product.condition': '✨ حالت: {condition}',
+    'product.specs': '⚙️ خصوصیات: {specs}',
+    'product.media': '📷 میڈیا: {count} تصاویر',
+    'product.mediaWithVideo': '📷 میڈیا: {count} تصاویر + 1 ویڈیو',
+    'product.created': '✅ *پروڈکٹ بن گئی!*',
+    'product.zeroPriceTip': '_💡 مشورہ: مینو سے قیمت اپڈیٹ کریں۔_',
+    'product.createFailed': "پروڈکٹ نہیں بن سکی۔ براہ کرم دوبارہ کوشش کریں۔",
+    'product.notFound': "❌ پروڈکٹ نہیں ملی۔",
+    'product.loadFailed': "پروڈکٹ لوڈ نہیں ہو سکی۔ براہ کرم دوبارہ کوشش کریں۔",
+
+    // ===== Ownership =====
+    'auth.sellersOnly': "❌ صرف رجسٹرڈ سیلرز پروڈکٹس شامل کر سکتے ہیں۔",
+    'auth.sellersOnlyManage': "❌ صرف رجسٹرڈ سیلرز پروڈکٹس میں تبدیلی کر سکتے ہیں۔",
+    'auth.notYourProduct': "❌ آپ صرف اپنی پروڈکٹس میں تبدیلی کر سکتے ہیں۔",
+
+    // ===== Inventory & product picker =====
+    'inventory.empty': "📦 *آپ کی انوینٹری خالی ہے!*\n\nپہلی چیز شامل کرنے کے لیے 'پروڈکٹ شامل کریں' ٹیپ کریں۔",
+    'inventory.title': '📦 *آپ کی پروڈکٹس ({count})*',
+    'inventory.line': '💰 PKR {price} | 📊 اسٹاک: {stock}',
+    'inventory.failed': "پروڈکٹس نہیں مل سکیں۔ براہ کرم دوبارہ کوشش کریں۔",
+    'inventory.bulkTip': "💡 _فوری تبدیلی: *stock <product> <qty>* یا *price <product> <amount>* بھیجیں، یا product، stock اور price کالمز والی CSV/XLSX شیٹ بھیجیں۔_",
+    'picker.noProducts': "📦 آپ کی ابھی کوئی پروڈکٹ نہیں ہے!",
+    'picker.noMatch': '😕 "{search}" سے کوئی پروڈکٹ نہیں ملی۔',
+    'picker.searchPrompt': "🔍 تلاش کے لیے پروڈکٹ کے نام کا کچھ حصہ لکھیں:",
+    'picker.header.update': 'پروڈکٹ تبدیل کریں',
+    'picker.header.delete': 'پروڈکٹ حذف کریں',
+    'picker.body.update': 'تبدیل کرنے کے لیے پروڈکٹ منتخب کریں:',
+    'picker.body.delete': 'حذف کرنے کے لیے پروڈکٹ منتخب کریں:',
+    'picker.bodySearch.update': '"{search}" سے ملتی پروڈکٹس - تبدیل کرنے کے لیے ایک منتخب کریں:',
+    'picker.bodySearch.delete': '"{search}" سے ملتی پروڈکٹس - حذف کرنے کے لیے ایک منتخب کریں:',
+    'picker.footer': '{count} پروڈکٹس · صفحہ {page} از {total}',
+    'picker.rowDescription': 'PKR {price} | اسٹاک: {stock}',
+    'productStatus.draft': '📝 ڈرافٹ',
+    'productStatus.active': '🟢 فعال',
+    'productStatus.reserved': '📌 ریزرو',
+    'productStatus.sold': '🏷️ فروخت شدہ',
+    'productStatus.archived': '📦 آرکائیو',
+    'picker.failed': "پروڈکٹس لوڈ نہیں ہو سکیں۔ براہ کرم دوبارہ کوشش کریں۔",
+    'list.selectProduct': 'پروڈکٹ منتخب کریں',
+    'section.searchResults': 'تلاش کے نتائج',
+    'section.yourProducts': 'آپ کی پروڈکٹس',
+    'section.more': 'مزید',
+    'row.previousPage': '⬅️ پچھلا صفحہ',
+    'row.nextPage': '➡️ اگلا صفحہ',
+    'row.showAll': '📋 تمام پروڈکٹس دکھائیں',
+    'row.searchByName': '🔍 نام سے تلاش کریں',
+
+    // ===== Update & delete =====
+    'update.header': 'پروڈکٹ تبدیل کریں',
+    'update.body': 'آپ کیا تبدیل کرنا چاہتے ہیں؟',
+    'section.details': 'تفصیلات',
+    'section.listing': 'لسٹنگ',
+    'row.field.price': '💰 قیمت',
+    'row.field.stock': '📊 اسٹاک',
+    'row.field.name': '📝 نام',
+    'row.field.description': '📄 تفصیل',
+    'row.field.brand': '🔖 برانڈ',
+    'row.field.category': '📂 کیٹیگری',
+    'row.field.condition': '✨ حالت',
+    'row.field.specs': '⚙️ اسپیکس',
+    'row.field.photos': '📷 تصاویر',
+    'row.field.status': '🏷️ اسٹیٹس',
+    'desc.field.price': 'ابھی PKR {price}',
+    'desc.field.stock': 'ابھی اسٹاک میں {stock}',
+    'desc.field.photos': '{max} میں سے {count} · شامل کریں، بدلیں یا ہٹائیں',
+    'desc.field.status': '{status} · فروخت شدہ، ریزرو یا آرکائیو کریں',
+    'desc.notSet': 'درج نہیں',
+    'update.prompt.price': "نئی قیمت لکھیں (صرف نمبر، PKR میں):",
+    'update.prompt.stock': "نئی اسٹاک تعداد لکھیں:",
+    'update.prompt.name': "پروڈکٹ کا نیا نام لکھیں:",
+    'update.prompt.description': "نئی تفصیل بھیجیں (حالت، ساتھ کیا ملے گا، وغیرہ):",
+    'update.prompt.category': "یہ ابھی {category} میں ہے۔ اسے کس کیٹیگری میں ہونا چاہیے؟",
+    'update.prompt.condition': "یہ ابھی {condition} درج ہے۔ کیا یہ نئی ہے یا استعمال شدہ؟\n\n_آپ لکھ بھی سکتے ہیں، مثلاً \"used 8/10\"۔_",
+    'update.prompt.conditionRating': "10 میں سے اس کی حالت کو کتنے نمبر دیں گے؟\n\n_ریٹنگ چنیں یا لکھیں، مثلاً 8۔_",
+    'update.typeOrClear': '_اپنا جواب لکھیں یا صاف کریں ٹیپ کریں۔_',
+    'update.specsHeader': '⚙️ اسپیکس',
+    'update.specsBody': 'آپ کون سی اسپیک تبدیل کرنا چاہتے ہیں؟',
+    'section.specs': 'اسپیکس',
+    'row.spec.weightClass': 'وزن کی کلاس',
+    'row.spec.balance': 'بیلنس',
+    'row.spec.flexibility': 'لچک',
+    'row.spec.gripSize': 'گرپ سائز',
+    'row.spec.stringStatus': 'تار لگی / بغیر تار',
+    'row.spec.sizeEU': 'EU سائز',
+    'row.spec.sizeUK': 'UK سائز',
+    'row.spec.sizeUS': 'US سائز',
+    'row.spec.width': 'چوڑائی',
+    'row.spec.closureType': 'بند کرنے کا طریقہ',
+    'row.spec.accessoryType': 'لوازمات کی قسم',
+    'row.clear': '🧹 صاف کریں',
+    'update.invalidPrice': "❌ غلط قیمت۔ براہ کرم صرف نمبر لکھیں۔",
+    'update.invalidStock': "❌ غلط اسٹاک۔ براہ کرم درست نمبر لکھیں۔",
+    'update.unknownField': "❌ نامعلوم فیلڈ۔",
+    'update.emptyText': "❌ یہ خالی نہیں ہو سکتا۔ براہ کرم دوبارہ لکھیں۔",
+    'update.invalidRating': "❌ براہ کرم 1 سے 10 تک ریٹنگ لکھیں۔",
+    'update.pickOption': "👆 براہ کرم دیے گئے آپشنز میں سے ایک ٹیپ کریں۔",
+    'update.done': "✅ *پروڈکٹ اپڈیٹ ہو گئی!*",
+    'update.failed': "پروڈکٹ اپڈیٹ نہیں ہو سکی۔ براہ کرم دوبارہ کوشش کریں۔",
+    'delete.header': '⚠️ حذف کی تصدیق',
+    'delete.body': "کیا آپ واقعی *{name}* حذف کرنا چاہتے ہیں؟\n\nیہ {days} دن تک ٹریش میں رہے گی، اس دوران آپ اسے واپس لا سکتے ہیں۔",
+    'delete.done': "🗑️ *{name}* ٹریش میں منتقل کر دی گئی۔\n\nواپس لانے کے لیے Undo دبائیں - {days} دن بعد یہ ہمیشہ کے لیے حذف ہو جائے گی۔",
+    'delete.restored': "♻️ *{name}* آپ کے اسٹور میں واپس آ گئی۔",
+    'delete.undoExpired': "یہ پروڈکٹ اب واپس نہیں لائی جا سکتی۔",
+    'delete.cancelled': "❌ حذف منسوخ کر دیا گیا۔",
+    'delete.soldHint': "_بیچ دی؟ اس کی بجائے فروخت شدہ دبائیں - یہ اسٹور سے ہٹ جائے گی مگر آپ کے ریکارڈ میں رہے گی۔_",
+    'delete.failed': "پروڈکٹ حذف نہیں ہو سکی۔ براہ کرم دوبارہ کوشش کریں۔",
+
+    // ===== Product photos =====
+    'photos.header': '📷 تصاویر',
+    'photos.body': "*{name}* کی {max} میں سے {count} تصاویر ہیں۔\n\nمزید شامل کریں، سب بدلیں، یا ایک ہٹائیں۔",
+    'photos.addPrompt': "📷 مزید {remaining} تصاویر تک بھیجیں۔ ہر تصویر آتے ہی شامل ہو جائے گی۔",
+    'photos.replacePrompt': "📷 {max} تک نئی تصاویر بھیجیں، پھر مکمل ٹیپ کریں۔ تب تک موجودہ تصاویر رہیں گی۔",
+    'photos.limitReached': "تصاویر کی حد پوری ہو گئی - ختم کرنے کے لیے مکمل ٹیپ کریں۔",
+    'photos.sendPhoto': "📷 تصویر بھیجیں، یا ختم ہونے پر مکمل ٹیپ کریں۔",
+    'photos.caption': 'تصویر {number}',
+    'photos.removeBody': 'کون سی تصویر ہٹانی ہے؟',
+    'section.photos': 'تصاویر',
+    'row.photo': '📷 تصویر {number}',
+    'photos.keepOne': "⚠️ پروڈکٹ کی کم از کم ایک تصویر ضروری ہے۔ اسے ہٹانے سے پہلے دوسری شامل کریں۔",
+
+    // ===== Listing status =====
+    'status.header': '🏷️ لسٹنگ اسٹیٹس',
+    'status.body': "*{name}* ابھی {status} ہے۔\n\n" +
+        "🏷️ *فروخت شدہ* اور 📦 *آرکائیو* پروڈکٹس اسٹور سے ہٹ جاتی ہیں مگر انوینٹری میں رہتی ہیں۔\n" +
+        "📌 *ریزرو* پروڈکٹس اسٹور پر نظر آتی ہیں، مگر خریدار آرڈر نہیں کر سکتے۔",
+    'status.done.active': "✅ *{name}* دوبارہ آپ کے اسٹور میں لائیو ہے۔",
+    'status.done.reserved': "📌 *{name}* ریزرو ہو گئی۔ خریدار اسے دیکھ سکتے ہیں مگر آرڈر نہیں کر سکتے۔",
+    'status.done.sold': "🎉 *{name}* فروخت شدہ ہو گئی اور اسٹور سے ہٹا دی گئی۔",
+    'status.done.archived': "📦 *{name}* آرکائیو ہو گئی اور اسٹور سے چھپا دی گئی۔",
+    'status.done.draft': "📝 *{name}* دوبارہ ڈرافٹ بن گئی اور اسٹور سے چھپا دی گئی۔",
+    'status.notAllowed': "⚠️ *{name}* ابھی {status} ہے - یہ تبدیلی اب ممکن نہیں۔",
+    'status.failed': "لسٹنگ اسٹیٹس تبدیل نہیں ہو سکا۔ براہ کرم دوبارہ کوشش کریں۔",
+
+    // ===== Orders, stats & store =====
+    'orderStatus.pending': '⏳ زیر التوا',
+    'orderStatus.processing': '✅ قبول شدہ',
+    'orderStatus.shipped': '🚚 روانہ',
+    'orderStatus.delivered': '📬 پہنچ گیا',
+    'orderStatus.cancelled': '❌ منسوخ',
+    'orders.none': "📬 آپ کا ابھی کوئی آرڈر نہیں ہے۔",
+    'orders.title': '📬 *حالیہ آرڈرز* (آخری {count})',
+    'orders.pendingHint': "_زیر التوا آرڈرز ان کے نوٹیفکیشن سے قبول یا مسترد کریں۔_",
+    'orders.failed': "آپ کے آرڈرز نہیں مل سکے۔ براہ کرم دوبارہ کوشش کریں۔",
+    'stats.body': "📊 *{store} کے اعداد و شمار*\n\n" +
+        "📦 لسٹڈ پروڈکٹس: {products}\n" +
+        "⚠️ کم اسٹاک (5 سے کم): {lowStock}\n" +
+        "🚫 اسٹاک ختم: {outOfStock}\n" +
+        "🏷️ فروخت شدہ: {sold}\n\n" +
+        "📬 آرڈرز: {orders}\n" +
+        "⏳ آپ کے جواب کے منتظر: {pending}\n" +
+        "💰 آمدنی: PKR {revenue}",
+    'stats.failed': "آپ کے اعداد و شمار نہیں مل سکے۔ براہ کرم دوبارہ کوشش کریں۔",
+    'store.shareHint': "_یہ لنک اپنے گاہکوں کے ساتھ شیئر کریں۔_",
+    'store.pendingHint': "_ایڈمن کی منظوری کے بعد آپ کا اسٹور پیج لائیو ہو جائے گا۔_",
+    'approval.pending': "⏳ *منظوری کا انتظار*\n\nایڈمن آپ کے اسٹور کا جائزہ لے رہا ہے۔ منظوری تک آپ کی پروڈکٹس خریداروں کو نظر نہیں آئیں گی۔",
+    'approval.active': "✅ *منظور شدہ*\n\nآپ کا اسٹور لائیو ہے اور خریدار آپ کی پروڈکٹس دیکھ اور آرڈر کر سکتے ہیں۔",
+    'approval.deactivated': "🚫 *غیر فعال*\n\nایڈمن نے آپ کا اسٹور بند کر دیا ہے اور یہ خریداروں سے چھپا ہوا ہے۔ براہ کرم سپورٹ سے رابطہ کریں۔",
+    'approval.other': 'اسٹیٹس: {status}',
+
+    // ===== Web login =====
+    'webLogin.disabled': "🚫 آپ کا اسٹور غیر فعال ہے، اس لیے ویب لاگ اِن بند ہے۔ براہ کرم سپورٹ سے رابطہ کریں۔",
+    'webLogin.body': "🌐 *سیلر پورٹل لاگ اِن*\n\n" +
+        "لاگ اِن کے لیے ٹیپ کریں:\n{link}\n\n" +
+        "یا یہ کوڈ {codeUrl} پر لکھیں\n" +
+        "🔢 *{code}*\n\n" +
+        "_یہ ایک بار کام کرتا ہے اور {minutes} منٹ میں ختم ہو جاتا ہے۔ کسی کے ساتھ شیئر نہ کریں۔_",
+    'webLogin.setPassword': "لاگ اِن کے بعد آپ سے پاس ورڈ بنانے کو کہا جائے گا۔",
+    'webLogin.failed': "لاگ اِن لنک نہیں بن سکا۔ براہ کرم دوبارہ کوشش کریں۔",
+
+    // ===== New order notifications =====
+    'newOrder.header': '🛒 نیا آرڈر #{orderNumber}',
+    'newOrder.intro': '*{store}* کے لیے آپ کا نیا آرڈر آیا ہے:',
+    'newOrder.total': '💰 آپ کا کل: PKR {total}',
+    'newOrder.footer': 'کیش آن ڈیلیوری',
+    'order.notFound': "❌ آرڈر نہیں ملا۔",
+    'order.notYours': "❌ اس آرڈر میں آپ کی کوئی پروڈکٹ نہیں ہے۔",
+    'order.alreadyAnswered': "ℹ️ آپ آرڈر #{orderNumber} کا جواب پہلے ہی دے چکے ہیں۔",
+    'order.accepted': "✅ آرڈر #{orderNumber} قبول کر لیا گیا۔\n\nڈیلیوری کے لیے براہ کرم گاہک سے رابطہ کریں۔",
+    'order.rejected': "❌ آرڈر #{orderNumber} مسترد کر دیا گیا۔ چیزیں دوبارہ اسٹاک میں شامل کر دی گئیں۔",
+    'order.failed': "آرڈر اپڈیٹ نہیں ہو سکا۔ براہ کرم دوبارہ کوشش کریں۔",
+
+    // ===== Performance digest =====
+    'btn.digest': '🔔 خلاصہ',
+    'btn.digestDaily': '📅 روزانہ',
+    'btn.digestWeekly': '🗓️ ہفتہ وار',
+    'btn.digestOff': '🔕 بند',
+    'digest.settingsHeader': '🔔 اسٹور کا خلاصہ',
+    'digest.settingsBody': "نئے آرڈرز، آمدنی، کم اسٹاک، بغیر قیمت لسٹنگز اور لسٹنگ ویوز کا خلاصہ واٹس ایپ پر حاصل کریں۔\n\nموجودہ سیٹنگ: *{current}*",
+    'digest.frequency.off': 'بند',
+    'digest.frequency.daily': 'روزانہ',
+    'digest.frequency.weekly': 'ہفتہ وار (پیر کو)',
+    'digest.saved.daily': "✅ آپ کو ہر صبح اسٹور کا خلاصہ ملے گا۔",
+    'digest.saved.weekly': "✅ آپ کو ہر پیر کی صبح اسٹور کا خلاصہ ملے گا۔",
+    'digest.saved.off': "🔕 اسٹور کا خلاصہ بند کر دیا گیا۔",
+    'digest.failed': "خلاصے کی سیٹنگ اپڈیٹ نہیں ہو سکی۔ براہ کرم دوبارہ کوشش کریں۔",
+    'digest.title.daily': '📊 *{store} - روزانہ خلاصہ*',
+    'digest.title.weekly': '📊 *{store} - ہفتہ وار خلاصہ*',
+    'digest.orders': '🛒 نئے آرڈرز: {count}',
+    'digest.revenue': '💰 آمدنی: PKR {revenue}',
+    'digest.views': '👀 لسٹنگ ویوز: {count}',
+    'digest.topProduct': '⭐ سب سے زیادہ دیکھی گئی: {name} ({count})',
+    'digest.sold': '🏷️ فروخت شدہ: {count}',
+    'digest.lowStock': '⚠️ *کم اسٹاک (5 سے کم): {count}*',
+    'digest.zeroPrice': '🏷️ *بغیر قیمت لسٹنگز: {count}*',
+    'digest.andMore': '_...اور {count} مزید_',
+    'digest.footer': "_یہ خلاصہ بدلنے یا بند کرنے کے لیے خلاصہ ٹیپ کریں۔_",
+
+    // ===== Bulk inventory updates =====
+    'bulk.usage': "جلدی اپڈیٹ کے لیے بھیجیں:\n*stock <product> <qty>* - مثلاً stock Astrox 88D 5\n*price <product> <amount>* - مثلاً price Nanoflare 700 22000\n\nیا *product*، *stock* اور *price* کالمز والی CSV/XLSX شیٹ بھیجیں۔",
+    'bulk.commandOk': "✅ *{name}* اپڈیٹ ہو گیا: {changes}",
+    'bulk.commandFailed': "❌ \"{query}\" اپڈیٹ نہیں ہو سکا: {reason}",
+    'bulk.change.stock': "اسٹاک {value}",
+    'bulk.change.price': "قیمت PKR {value}",
+    'bulk.rowOk': "✅ قطار {row}: *{name}* - {changes}",
+    'bulk.rowFailed': "❌ قطار {row}: {label} - {reason}",
+    'bulk.error.notFound': "کوئی پروڈکٹ نہیں ملی",
+    'bulk.error.ambiguous': "کئی پروڈکٹس سے ملتا ہے ({matches})، پورا نام لکھیں",
+    'bulk.error.invalidStock': "اسٹاک 0 یا اس سے زیادہ پورا نمبر ہونا چاہیے",
+    'bulk.error.invalidPrice': "قیمت PKR میں نمبر ہونی چاہیے",
+    'bulk.error.noChanges': "اسٹاک یا قیمت نہیں دی گئی",
+    'bulk.error.saveFailed': "محفوظ نہیں ہو سکا",
+    'bulk.unsupportedFile': "📄 بلک اپڈیٹ کے لیے میں صرف CSV یا XLSX شیٹس پڑھ سکتا ہوں۔",
+    'bulk.processing': "📄 آپ کی شیٹ پڑھی جا رہی ہے...",
+    'bulk.fileTooLarge': "❌ یہ فائل بہت بڑی ہے ({size}MB)۔ شیٹ 1MB سے کم ہونی چاہیے۔",
+    'bulk.sheetError.empty': "❌ شیٹ میں کوئی پروڈکٹ قطار نہیں ہے۔",
+    'bulk.sheetError.noProductColumn': "❌ پہلی قطار میں *product* (یا *id*) کالم شامل کریں تاکہ معلوم ہو کون سی پروڈکٹس اپڈیٹ کرنی ہیں۔",
+    'bulk.sheetError.noValueColumn': "❌ پہلی قطار میں *stock* اور/یا *price* کالم شامل کریں۔",
+    'bulk.sheetError.tooManyRows': "❌ ایک شیٹ میں زیادہ سے زیادہ {max} قطاریں بھیجیں۔",
+    'bulk.sheetError.unreadable': "❌ یہ شیٹ پڑھی نہیں جا سکی۔ فائل چیک کر کے دوبارہ بھیجیں۔",
+    'bulk.reportTitle': "📦 *بلک اپڈیٹ: {total} میں سے {updated} قطاریں اپڈیٹ ہوئیں*",
+    'bulk.reportMore': "_...اور {count} مزید قطاریں۔_",
+    'bulk.failed': "شیٹ پراسیس نہیں ہو سکی۔ براہ کرم دوبارہ کوشش کریں۔",
+
+    // ===== Account status (set by an admin) =====
+    'accountStatus.approved': "🎉 *آپ کا اسٹور منظور ہو گیا!*\n\n" +
+        "*{store}* اب RacketBazaar پر لائیو ہے اور خریدار آپ کی پروڈکٹس دیکھ اور آرڈر کر سکتے ہیں۔\n\n" +
+        "سیلر مینو کھولنے کے لیے *hi* لکھیں۔",
+    'accountStatus.reactivated': "✅ *آپ کا اسٹور دوبارہ فعال ہے*\n\n*{store}* دوبارہ فعال کر دیا گیا ہے اور خریداروں کو نظر آ رہا ہے۔",
+    'accountStatus.deactivated': "🚫 *آپ کا اسٹور غیر فعال کر دیا گیا ہے*\n\n*{store}* اب خریداروں سے چھپا ہوا ہے۔",
+    'accountStatus.rejected': "❌ *آپ کی سیلر رجسٹریشن منظور نہیں ہوئی*\n\n*{store}* کی رجسٹریشن ختم کر دی گئی ہے۔",
+    'accountStatus.adminNote': "📝 *ایڈمن کا نوٹ:* {note}",
+    'accountStatus.questions': "_کوئی سوال ہو تو یہیں جواب دیں۔_",
+    'accountStatus.label.approved': 'منظور اور لائیو',
+    'accountStatus.label.reactivated': 'دوبارہ فعال',
+    'accountStatus.label.deactivated': 'غیر فعال',
+    'accountStatus.label.rejected': 'منظور نہیں',
+
+    // ===== Human handoff (admin takes over) =====
+    'handoff.started': "🙋 اب آپ ہماری سپورٹ ٹیم سے بات کر رہے ہیں۔ اپنا پیغام بھیجیں، ہماری ٹیم کا کوئی فرد یہیں جواب دے گا۔",
+    'handoff.released': "🤖 انتظار کا شکریہ! اب آپ دوبارہ اسسٹنٹ سے بات کر رہے ہیں - مینو کے لیے *hi* لکھیں۔",
+
+    // ===== Product drafts (unfinished Add Product) =====
+    'btn.continueDraft': '▶️ جاری رکھیں',
+    'btn.discardDraft': '🗑️ ختم کریں',
+    'draft.offer': "📝 *کیا آپ {name} کا ڈرافٹ جاری رکھنا چاہیں گے؟*\n\nآپ نے اسے پہلے شامل کرنا شروع کیا تھا ({photos} تصاویر)۔ وہیں سے جاری رکھیں یا اسے ختم کر دیں۔",
+    'draft.resumed': "📝 *{name}* کا ڈرافٹ جاری ہے۔",
+    'draft.reminder': "⏰ آپ نے *{name}* ({photos} تصاویر) شامل کرنا مکمل نہیں کیا۔ یہ ڈرافٹ {hours} گھنٹے میں حذف ہو جائے گا - مکمل کرنے کے لیے جاری رکھیں دبائیں۔",
+    'draft.discarded': "🗑️ ڈرافٹ *{name}* ٹریش میں منتقل کر دیا گیا۔ آپ اسے {days} دن تک سیلر پورٹل سے واپس لا سکتے ہیں۔",
+    'draft.gone': "یہ ڈرافٹ اب دستیاب نہیں ہے۔",
+
+    // ===== Buyer shopping flow =====
+    'buyer.menuHeader': '🏸 RacketBazaar',
+    'buyer.menuBody': "خوش آمدید! تصدیق شدہ سیلرز سے ریکٹس، جوتے اور لوازمات خریدیں۔\n\n_مشورہ: جو چاہیے بس لکھ دیں، مثلاً \"Astrox 88D\"۔_",
+    'buyer.menuFooter': 'نیچے کوئی بٹن دبائیں',
+    'btn.search': '🔍 تلاش کریں',
+    'btn.categories': '📂 کیٹیگریز',
+    'btn.sellWithUs': '🏪 ہمارے ساتھ بیچیں',
+    'buyer.searchPrompt': "🔍 آپ کیا ڈھونڈ رہے ہیں؟\n\n_مثال: Astrox 88D، Power Cushion، گرپ_",
+    'buyer.searchHeader': '🔍 تلاش کے نتائج',
+    'buyer.searchBody': '"{query}" کے نتائج:',
+    'buyer.noResults': "😕 \"{query}\" کے لیے کوئی پروڈکٹ نہیں ملی۔\n\nکوئی اور نام آزمائیں یا کیٹیگری کے ذریعے دیکھیں۔",
+    'buyer.searchFailed': "پروڈکٹس تلاش نہیں ہو سکیں۔ دوبارہ کوشش کریں۔",
+    'buyer.categoriesHeader': '📂 کیٹیگریز',
+    'buyer.categoriesBody': 'آپ کیا خریدنا چاہتے ہیں؟',
+    'list.browse': 'دیکھیں',
+    'desc.itemsAvailable': '{count} آئٹمز دستیاب',
+    'buyer.categoriesFailed': "کیٹیگریز لوڈ نہیں ہو سکیں۔ دوبارہ کوشش کریں۔",
+    'buyer.categoryBody': 'تفصیل دیکھنے کے لیے پروڈکٹ پر ٹیپ کریں:',
+    'buyer.categoryEmpty': "😕 ابھی {category} میں کچھ دستیاب نہیں۔ جلد دوبارہ دیکھیں!",
+    'buyer.productsFailed': "پروڈکٹس لوڈ نہیں ہو سکیں۔ دوبارہ کوشش کریں۔",
+    'section.products': 'پروڈکٹس',
+    'list.viewProducts': 'پروڈکٹس دیکھیں',
+    'buyer.productsFound': '{count} پروڈکٹس ملیں',
+    'desc.buyerProduct': 'PKR {price} | {store}',
+    'buyer.productUnavailable': "❌ یہ پروڈکٹ اب دستیاب نہیں ہے۔",
+    'buyer.seller': '🏪 سیلر: {store}',
+    'buyer.orderPrompt': 'کیا آپ یہ آئٹم آرڈر کرنا چاہیں گے؟',
+    'buyer.cashOnDelivery': 'کیش آن ڈیلیوری',
+    'btn.orderNow': '🛒 ابھی آرڈر کریں',
+    'btn.keepBrowsing': '📂 مزید دیکھیں',
+    'buyer.outOfStock': "❌ معذرت، یہ پروڈکٹ اسٹاک میں نہیں ہے۔",
+    'buyer.orderHeader': '🛒 آرڈر',
+    'buyer.askQuantity': "آپ کو *{name}* کتنے چاہئیں؟\n\n_{stock} اسٹاک میں ہیں۔ آپ تعداد لکھ بھی سکتے ہیں۔_",
+    'buyer.orderStartFailed': "آرڈر شروع نہیں ہو سکا۔ دوبارہ کوشش کریں۔",
+    'buyer.invalidQuantity': "❌ براہ کرم 1 سے {max} کے درمیان تعداد لکھیں۔",
+    'buyer.askName': "👤 بہت خوب! آپ کا پورا نام کیا ہے؟",
+    'buyer.askAddress': "📍 اپنا ڈیلیوری ایڈریس بھیجیں (مکان، گلی، علاقہ):",
+    'buyer.askCity': "🏙️ ڈیلیوری کس شہر میں کرنی ہے؟",
+    'buyer.confirmHeader': '🧾 آرڈر کی تصدیق',
+    'buyer.total': '💰 کل: PKR {total}',
+    'buyer.payment': '💵 ادائیگی: کیش آن ڈیلیوری',
+    'btn.placeOrder': '✅ آرڈر کریں',
+    'buyer.sessionExpired': "⌛ آپ کا آرڈر سیشن ختم ہو گیا۔ دوبارہ شروع کریں۔",
+    'buyer.notEnoughStock': "❌ معذرت، اس آرڈر کے لیے کافی اسٹاک نہیں بچا۔",
+    'buyer.orderPlaced': "🎉 *آرڈر ہو گیا!*\n\n🧾 آرڈر #{orderNumber}",
+    'buyer.sellerWillContact': "ڈیلیوری کے لیے سیلر اسی نمبر پر آپ سے رابطہ کرے گا۔",
+    'buyer.orderFailed': "آرڈر نہیں ہو سکا۔ دوبارہ کوشش کریں۔",
+    'buyerOrder.accepted': "✅ *{store}* نے آپ کا آرڈر #{orderNumber} ({items}) کنفرم کر دیا۔ وہ جلد ڈیلیوری کے لیے رابطہ کریں گے۔",
+    'buyerOrder.rejected': "😔 *{store}* آرڈر #{orderNumber} میں سے {items} فراہم نہیں کر سکا۔ تکلیف کے لیے معذرت!",
+    'buyerOrder.acceptedUpdate': "{store} نے {items} کنفرم کر دیا اور ڈیلیوری کے لیے رابطہ کرے گا۔",
+    'buyerOrder.rejectedUpdate': "{store} {items} فراہم نہیں کر سکا۔ تکلیف کے لیے معذرت!"
+};
@@ -0,0 +1,62 @@
+/**
+ * WhatsApp Webhook Signature Middleware
+ * Verifies that webhook deliveries really come from Meta
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Middleware to verify the X-Hub-Signature-256 header
+ * Meta signs the raw request body with the app secret (HMAC-SHA256).
+ * Requires req.rawBody, captured by the express.json() verify hook in App.js
+ */
+function verifyWhatsAppSignature(req, res, next) {
+    const appSecret = process.env.WHATSAPP_APP_SECRET;
+    const signature = req.headers['x-hub-signature-256'];
+
+    if (!appSecret) {
+        console.error('❌ [WEBHOOK AUTH] WHATSAPP_APP_SECRET not configured in environment');
+        return res.status(500).json({
+            error: 'Server configuration error',
+            message: 'Webhook signature verification not configured'
+        });
+    }
+
+    if (!signature) {
+        console.warn('⚠️ [WEBHOOK AUTH] Missing X-Hub-Signature-256 header from:', req.ip);
+        return res.status(401).json({
+            error: 'Unauthorized',
+            message: 'Missing signature'
+        });
+    }
+
+    if (!req.rawBody) {
+        console.warn('⚠️ [WEBHOOK AUTH] No raw body available to verify signature from:', req.ip);
+        return res.status(400).json({
+            error: 'Bad Request',
+            message: 'Missing request body'
+        });
+    }
+
+    const expected = 'sha256=' + crypto
+        .createHmac('sha256', appSecret)
+        .update(req.rawBody)
+        .digest('hex');
+
+    const expectedBuffer = Buffer.from(expected);
+    const signatureBuffer = Buffer.from(signature);
+
+    if (expectedBuffer.length !== signatureBuffer.length ||
+        !crypto.timingSafeEqual(expectedBuffer, signatureBuffer)) {
+        console.warn('⚠️ [WEBHOOK AUTH] Invalid signature from:', req.ip);
+        return res.status(401).json({
+            error: 'Unauthorized',
+            message: 'Invalid signature'
+        });
+    }
+
+    // Signature is valid, proceed
+    next();
+}
+
+module.exports = verifyWhatsAppSignature;
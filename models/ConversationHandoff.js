@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// A WhatsApp conversation an admin has taken over from the bot
+// (services/conversationHandoff.js). Releasing deletes the document.
+const conversationHandoffSchema = new mongoose.Schema({
+    phone: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    // Admin username (session) that took the conversation over
+    takenBy: {
+        type: String,
+        default: 'admin'
+    },
+    takenAt: {
+        type: Date,
+        default: Date.now
+    },
+    // Inbound messages an admin hasn't looked at yet (admin inbox)
+    unreadCount: {
+        type: Number,
+        default: 0
+    },
+    lastInboundAt: Date
+});
+
+conversationHandoffSchema.index({ lastInboundAt: -1 });
+
+module.exports = mongoose.model('ConversationHandoff', conversationHandoffSchema);
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// WhatsApp transcript: every inbound message and every reply we sent, with
+// the conversation state it happened in (services/conversationLog.js)
+const conversationMessageSchema = new mongoose.Schema({
+    phone: {
+        type: String,
+        required: true
+    },
+    direction: {
+        type: String,
+        enum: ['in', 'out'],
+        required: true
+    },
+    // WhatsApp message type: text, interactive, button, image, template...
+    type: {
+        type: String
+    },
+    // Readable summary - text, button title and ID, list rows, caption
+    body: {
+        type: String,
+        default: ''
+    },
+    step: {
+        type: String,
+        default: 'IDLE'
+    },
+    intent: {
+        type: String,
+        default: null
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+conversationMessageSchema.index({ phone: 1, createdAt: -1 });
+// Long enough to investigate a complaint, short enough not to hoard chats
+conversationMessageSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('ConversationMessage', conversationMessageSchema);
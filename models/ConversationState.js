@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// Persisted WhatsApp conversation state (one document per phone number)
+const conversationStateSchema = new mongoose.Schema({
+    phone: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    step: {
+        type: String,
+        default: 'IDLE'
+    },
+    intent: {
+        type: String,
+        default: null
+    },
+    // Partial data collected during a multi-step flow
+    data: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    },
+    // MongoDB's TTL monitor removes the document once this date has passed
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, { minimize: false });
+
+conversationStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('ConversationState', conversationStateSchema);
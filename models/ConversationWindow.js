@@ -0,0 +1,17 @@
+const mongoose = require('mongoose');
+
+// When each WhatsApp user last wrote to us. Meta only accepts free-form
+// (text/interactive) messages within 24 hours of that; after it, templates only.
+const conversationWindowSchema = new mongoose.Schema({
+    phone: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    lastInboundAt: {
+        type: Date,
+        required: true
+    }
+});
+
+module.exports = mongoose.model('ConversationWindow', conversationWindowSchema);
@@ -20,16 +20,24 @@ const orderSchema = new mongoose.Schema({
             type: Number,
             required: true,
             min: 1
+        },
+        // Per-item status so each seller can accept/reject their part of the order
+        status: {
+            type: String,
+            enum: ['pending', 'processing', 'shipped', 'delivered', 'cancelled'],
+            default: 'pending'
         }
     }],
     shippingAddress: {
         firstName: { type: String, required: true },
-        lastName: { type: String, required: true },
+        // lastName, state and zipCode are not collected for WhatsApp orders
+        lastName: { type: String, default: '' },
         street: { type: String, required: true },
         city: { type: String, required: true },
-        state: { type: String, required: true },
-        zipCode: { type: String, required: true },
-        country: { type: String, required: true }
+        state: { type: String, default: '' },
+        zipCode: { type: String, default: '' },
+        country: { type: String, required: true },
+        phone: { type: String }
     },
     totalAmount: {
         type: Number,
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// Outbound WhatsApp messages (services/outboundQueue.js). Kept until delivery
+// is confirmed or retries run out, then 'dead' ones are listed in the admin panel.
+const outboundMessageSchema = new mongoose.Schema({
+    to: {
+        type: String,
+        required: true
+    },
+    // Graph API message body, including messaging_product and to
+    payload: {
+        type: mongoose.Schema.Types.Mixed,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['queued', 'sending', 'sent', 'delivered', 'read', 'dead'],
+        default: 'queued'
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    nextAttemptAt: {
+        type: Date,
+        default: Date.now
+    },
+    // A 'sending' message whose lock has passed was abandoned mid-send and is picked up again
+    lockedUntil: Date,
+    lastError: String,
+    // WhatsApp message ID, matched against status webhooks
+    wamid: String,
+    sentAt: Date,
+    deliveredAt: Date,
+    readAt: Date,
+    failedAt: Date
+}, { timestamps: true });
+
+outboundMessageSchema.index({ to: 1, status: 1, createdAt: 1 });
+outboundMessageSchema.index({ status: 1, nextAttemptAt: 1 });
+outboundMessageSchema.index({ wamid: 1 }, { sparse: true });
+// Delivery history and dead letters are only useful for a while
+outboundMessageSchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('OutboundMessage', outboundMessageSchema);
@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// Inbound WhatsApp message IDs already handled (Meta retries webhook deliveries)
+const processedMessageSchema = new mongoose.Schema({
+    messageId: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    phone: {
+        type: String
+    },
+    type: {
+        type: String
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Meta stops retrying long before this, so old IDs can be dropped
+processedMessageSchema.index({ createdAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('ProcessedMessage', processedMessageSchema);
@@ -28,13 +28,10 @@ const productSchema = new mongoose.Schema({
     images: [{
         type: String
     }],
+    // Cloudinary video: { url, publicId }
     video: {
-        type: String,
-        default: ''
-    },
-    video: {
-        type: String, // URL to the video file
-        default: ''
+        type: mongoose.Schema.Types.Mixed,
+        default: null
     },
     stock: {
         type: Number,
@@ -156,6 +153,22 @@ const productSchema = new mongoose.Schema({
         type: Boolean,
         default: false
     },
+    // Listing lifecycle (services/productStatus.js): only active and reserved
+    // listings show on the storefront, and only active ones can be ordered
+    status: {
+        type: String,
+        enum: ['draft', 'active', 'reserved', 'sold', 'archived'],
+        default: 'active'
+    },
+    soldAt: Date,
+    // Add Product flow a WhatsApp draft was saved from (services/productDrafts.js):
+    // { step, data } of the conversation state, so the seller can continue it
+    draftFlow: {
+        type: mongoose.Schema.Types.Mixed,
+        default: undefined
+    },
+    draftExpiresAt: Date,
+    draftRemindedAt: Date,
     seller: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'Seller'
@@ -163,6 +176,45 @@ const productSchema = new mongoose.Schema({
     createdAt: {
         type: Date,
         default: Date.now
+    },
+    // Soft delete (services/productTrash.js): trashed products can be restored
+    // until purgeAt, when they and their Cloudinary media are removed for good
+    deletedAt: {
+        type: Date,
+        default: null
+    },
+    deletedBy: {
+        type: String,
+        enum: ['seller', 'whatsapp', 'agent', 'admin', 'system'],
+        default: null
+    },
+    purgeAt: Date
+});
+
+productSchema.index({ purgeAt: 1 }, { sparse: true });
+productSchema.index({ draftExpiresAt: 1 }, { sparse: true });
+
+productSchema.pre('save', function() {
+    if (this.isModified('status')) {
+        this.soldAt = this.status === 'sold' ? new Date() : undefined;
+    }
+});
+
+// Trashed products are left out of every query that doesn't filter on
+// deletedAt itself (the trash views and the purge job do) or set the
+// includeDeleted option
+const SOFT_DELETE_QUERIES = ['find', 'findOne', 'countDocuments', 'distinct', 'findOneAndUpdate', 'updateOne', 'updateMany'];
+
+productSchema.pre(SOFT_DELETE_QUERIES, function() {
+    if (!('deletedAt' in this.getFilter()) && !this.getOptions().includeDeleted) {
+        this.where({ deletedAt: null });
+    }
+});
+
+productSchema.pre('aggregate', function() {
+    const [firstStage] = this.pipeline();
+    if (!firstStage?.$match || !('deletedAt' in firstStage.$match)) {
+        this.pipeline().unshift({ $match: { deletedAt: null } });
     }
 });
 
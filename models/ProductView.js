@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// Listing views per product per day (UTC), for the seller digest
+const productViewSchema = new mongoose.Schema({
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true
+    },
+    seller: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Seller'
+    },
+    day: {
+        type: Date,
+        required: true
+    },
+    count: {
+        type: Number,
+        default: 0
+    }
+});
+
+productViewSchema.index({ product: 1, day: 1 }, { unique: true });
+productViewSchema.index({ seller: 1, day: 1 });
+
+// A weekly digest never looks further back than this
+productViewSchema.index({ day: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('ProductView', productViewSchema);
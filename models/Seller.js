@@ -22,6 +22,36 @@ const sellerSchema = new mongoose.Schema({
         type: String,
         required: true
     },
+    // False for WhatsApp- and agent-onboarded sellers until they set one in the
+    // web portal; portal signups set it. Older sellers are migrated once with
+    // npm run migrate:password-set.
+    passwordSet: {
+        type: Boolean,
+        default: false
+    },
+    // Language the WhatsApp bot talks to the seller in (see services/i18n.js)
+    language: {
+        type: String,
+        enum: ['en', 'ur', 'roman-ur'],
+        default: 'en'
+    },
+    // Opt-in WhatsApp performance digest (see services/sellerDigest.js)
+    digest: {
+        frequency: {
+            type: String,
+            enum: ['off', 'daily', 'weekly'],
+            default: 'off'
+        },
+        nextRunAt: Date,
+        lastSentAt: Date
+    },
+    // Pending one-time code / magic link requested from the WhatsApp bot
+    webLogin: {
+        codeHash: String,
+        nonce: String,
+        expiresAt: Date,
+        attempts: { type: Number, default: 0 }
+    },
     storeName: {
         type: String,
         required: true,
@@ -53,6 +83,9 @@ const sellerSchema = new mongoose.Schema({
     }
 });
 
+// The digest scheduler looks up due sellers by nextRunAt
+sellerSchema.index({ 'digest.nextRunAt': 1 }, { sparse: true });
+
 // Pre-save hook to sync isActive with status
 sellerSchema.pre('save', async function(next) {
     // Sync isActive based on status
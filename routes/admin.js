@@ -3,6 +3,20 @@ const router = express.Router();
 const Product = require('../models/Product');
 const Order = require('../models/Order');
 const Seller = require('../models/Seller');
+const OutboundMessage = require('../models/OutboundMessage');
+const ConversationMessage = require('../models/ConversationMessage');
+const { notifySellerStatusChange } = require('../services/sellerNotifications');
+const { describePayload, retryDeadMessage } = require('../services/outboundQueue');
+const { TRASH_RETENTION, trashProduct, trashProducts, restoreProduct, listTrash, purgeProduct } = require('../services/productTrash');
+const { isConversationWindowOpen } = require('../services/whatsappClient');
+const {
+    getHandoff,
+    takeOverConversation,
+    releaseConversation,
+    markHandoffRead,
+    listHandoffs,
+    sendAdminReply
+} = require('../services/conversationHandoff');
 
 // Admin auth middleware - checks session
 const adminAuth = (req, res, next) => {
@@ -208,10 +222,10 @@ router.post('/products/edit/:id', adminAuth, async (req, res) => {
     }
 });
 
-// Delete Product
+// Delete Product (moves it to the trash)
 router.post('/products/delete/:id', adminAuth, async (req, res) => {
     try {
-        await Product.findByIdAndDelete(req.params.id);
+        await trashProduct({ _id: req.params.id }, 'admin');
         res.redirect('/admin/products');
     } catch (error) {
         console.error(error);
@@ -219,6 +233,49 @@ router.post('/products/delete/:id', adminAuth, async (req, res) => {
     }
 });
 
+// Trashed Products (restorable until their purge date)
+router.get('/products/trash', adminAuth, async (req, res) => {
+    try {
+        const products = await listTrash();
+        res.render('admin/products-trash', {
+            title: 'Product Trash',
+            products,
+            trashDays: Math.round(TRASH_RETENTION / (24 * 60 * 60 * 1000))
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).send('Server Error');
+    }
+});
+
+// Restore Product from the trash
+router.post('/products/:id/restore', adminAuth, async (req, res) => {
+    try {
+        const product = await restoreProduct({ _id: req.params.id });
+
+        // The seller was rejected or deleted meanwhile - keep the product, unlinked
+        if (product && product.seller && !(await Seller.exists({ _id: product.seller }))) {
+            await Product.updateOne({ _id: product._id }, { $unset: { seller: 1 } });
+        }
+
+        res.redirect('/admin/products/trash');
+    } catch (error) {
+        console.error(error);
+        res.status(500).send('Error restoring product');
+    }
+});
+
+// Delete Product permanently (with its media)
+router.post('/products/:id/purge', adminAuth, async (req, res) => {
+    try {
+        await purgeProduct({ _id: req.params.id });
+        res.redirect('/admin/products/trash');
+    } catch (error) {
+        console.error(error);
+        res.status(500).send('Error deleting product');
+    }
+});
+
 // Toggle Product Featured Status
 router.post('/products/:id/toggle-featured', adminAuth, async (req, res) => {
     try {
@@ -391,9 +448,15 @@ router.post('/sellers/:id/toggle-status', adminAuth, async (req, res) => {
         }
         
         // Toggle between active and deactivated
+        const previousStatus = seller.status;
         seller.status = seller.status === 'active' ? 'deactivated' : 'active';
         await seller.save();
         
+        const event = seller.status === 'deactivated' ? 'deactivated'
+            : previousStatus === 'pending' ? 'approved' : 'reactivated';
+        // Fire and forget - the admin page shouldn't wait on WhatsApp
+        notifySellerStatusChange(seller, event, req.body.reason);
+        
         res.redirect(`/admin/sellers/${req.params.id}`);
     } catch (error) {
         console.error(error);
@@ -412,9 +475,14 @@ router.post('/sellers/:id/approve', adminAuth, async (req, res) => {
             return res.status(404).send('Seller not found');
         }
         
+        const previousStatus = seller.status;
         seller.status = 'active';
         await seller.save();
         
+        if (previousStatus !== 'active') {
+            notifySellerStatusChange(seller, previousStatus === 'deactivated' ? 'reactivated' : 'approved', req.body.reason);
+        }
+        
         if (req.xhr || req.headers.accept?.indexOf('json') > -1) {
             return res.json({ success: true, status: seller.status });
         }
@@ -440,11 +508,13 @@ router.post('/sellers/:id/reject', adminAuth, async (req, res) => {
             return res.status(404).send('Seller not found');
         }
         
-        // Delete seller's products
-        await Product.deleteMany({ seller: req.params.id });
+        // Trash seller's products (restorable for a while)
+        await trashProducts({ seller: req.params.id }, 'admin');
         // Delete seller
         await Seller.findByIdAndDelete(req.params.id);
         
+        notifySellerStatusChange(seller, 'rejected', req.body.reason);
+        
         if (req.xhr || req.headers.accept?.indexOf('json') > -1) {
             return res.json({ success: true });
         }
@@ -470,9 +540,14 @@ router.post('/sellers/:id/deactivate', adminAuth, async (req, res) => {
             return res.status(404).send('Seller not found');
         }
         
+        const previousStatus = seller.status;
         seller.status = 'deactivated';
         await seller.save();
         
+        if (previousStatus !== 'deactivated') {
+            notifySellerStatusChange(seller, 'deactivated', req.body.reason);
+        }
+        
         if (req.xhr || req.headers.accept?.indexOf('json') > -1) {
             return res.json({ success: true, status: seller.status });
         }
@@ -516,7 +591,7 @@ router.post('/sellers/:id/delete', adminAuth, async (req, res) => {
         const { deleteProducts } = req.body;
         
         if (deleteProducts === 'on') {
-            await Product.deleteMany({ seller: req.params.id });
+            await trashProducts({ seller: req.params.id }, 'admin');
         } else {
             // Unlink products from seller
             await Product.updateMany({ seller: req.params.id }, { $unset: { seller: 1 } });
@@ -530,4 +605,285 @@ router.post('/sellers/:id/delete', adminAuth, async (req, res) => {
     }
 });
 
+// ==================== WHATSAPP OUTBOUND QUEUE ====================
+
+const MESSAGE_STATUSES = ['queued', 'sending', 'sent', 'delivered', 'read', 'dead'];
+const MESSAGES_PAGE_SIZE = 100;
+
+// Outbound messages - dead letters by default
+router.get('/messages', adminAuth, async (req, res) => {
+    try {
+        const status = MESSAGE_STATUSES.includes(req.query.status) ? req.query.status : 'dead';
+        const search = (req.query.search || '').trim();
+        
+        const query = { status };
+        if (search) {
+            query.to = { $regex: search.replace(/[^\d]/g, '') || '^$' };
+        }
+        
+        const messages = await OutboundMessage.find(query)
+            .sort({ createdAt: -1 })
+            .limit(MESSAGES_PAGE_SIZE)
+            .lean();
+        
+        // Link recipients that are sellers to their detail page
+        const sellers = await Seller.find({ phone: { $in: [...new Set(messages.map(m => m.to))] } })
+            .select('phone storeName')
+            .lean();
+        const sellersByPhone = Object.fromEntries(sellers.map(seller => [seller.phone, seller]));
+        
+        const counts = await OutboundMessage.aggregate([
+            { $group: { _id: '$status', count: { $sum: 1 } } }
+        ]);
+        const statusCounts = Object.fromEntries(MESSAGE_STATUSES.map(s => [s, 0]));
+        counts.forEach(c => { statusCounts[c._id] = c.count; });
+        
+        res.render('admin/messages', {
+            title: 'WhatsApp Messages',
+            messages: messages.map(message => ({
+                ...message,
+                preview: describePayload(message.payload),
+                seller: sellersByPhone[message.to] || null
+            })),
+            statuses: MESSAGE_STATUSES,
+            statusCounts,
+            status,
+            search,
+            limit: MESSAGES_PAGE_SIZE
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).send('Server Error');
+    }
+});
+
+// Requeue a dead-lettered message
+router.post('/messages/:id/retry', adminAuth, async (req, res) => {
+    try {
+        await retryDeadMessage(req.params.id);
+        res.redirect('/admin/messages?status=dead');
+    } catch (error) {
+        console.error(error);
+        res.status(500).send('Error retrying message');
+    }
+});
+
+// Discard a dead-lettered message
+router.post('/messages/:id/delete', adminAuth, async (req, res) => {
+    try {
+        await OutboundMessage.deleteOne({ _id: req.params.id, status: 'dead' });
+        res.redirect('/admin/messages?status=dead');
+    } catch (error) {
+        console.error(error);
+        res.status(500).send('Error deleting message');
+    }
+});
+
+// ==================== WHATSAPP CONVERSATIONS ====================
+
+const CONVERSATIONS_LIMIT = 50;
+const TRANSCRIPT_PAGE_SIZE = 100;
+
+function escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Conversations, most recent first - search by phone, seller name or store
+router.get('/conversations', adminAuth, async (req, res) => {
+    try {
+        const search = (req.query.search || '').trim();
+        const match = {};
+        
+        if (search) {
+            const pattern = { $regex: escapeRegex(search), $options: 'i' };
+            const matchingSellers = await Seller.find({ $or: [{ name: pattern }, { storeName: pattern }] })
+                .select('phone')
+                .lean();
+            const digits = search.replace(/[^\d]/g, '');
+            
+            match.$or = [{ phone: { $in: matchingSellers.map(seller => seller.phone) } }];
+            if (digits) {
+                match.$or.push({ phone: { $regex: digits } });
+            }
+        }
+        
+        const conversations = await ConversationMessage.aggregate([
+            { $match: match },
+            { $sort: { createdAt: -1 } },
+            {
+                $group: {
+                    _id: '$phone',
+                    lastAt: { $first: '$createdAt' },
+                    lastBody: { $first: '$body' },
+                    lastDirection: { $first: '$direction' },
+                    lastStep: { $first: '$step' },
+                    messageCount: { $sum: 1 }
+                }
+            },
+            { $sort: { lastAt: -1 } },
+            { $limit: CONVERSATIONS_LIMIT }
+        ]);
+        
+        const sellers = await Seller.find({ phone: { $in: conversations.map(c => c._id) } })
+            .select('phone name storeName')
+            .lean();
+        const sellersByPhone = Object.fromEntries(sellers.map(seller => [seller.phone, seller]));
+        const handoffPhones = new Set((await listHandoffs()).map(handoff => handoff.phone));
+        
+        res.render('admin/conversations', {
+            title: 'Conversations',
+            conversations: conversations.map(c => ({
+                ...c,
+                phone: c._id,
+                seller: sellersByPhone[c._id] || null,
+                takenOver: handoffPhones.has(c._id)
+            })),
+            search,
+            limit: CONVERSATIONS_LIMIT
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).send('Server Error');
+    }
+});
+
+// One phone's transcript, oldest first; ?before=<ISO date> pages back
+router.get('/conversations/:phone', adminAuth, async (req, res) => {
+    try {
+        const { phone } = req.params;
+        const query = { phone };
+        
+        const before = req.query.before ? new Date(req.query.before) : null;
+        if (before && !isNaN(before)) {
+            query.createdAt = { $lt: before };
+        }
+        
+        const messages = (await ConversationMessage.find(query)
+            .sort({ createdAt: -1 })
+            .limit(TRANSCRIPT_PAGE_SIZE)
+            .lean()).reverse();
+        
+        const seller = await Seller.findOne({ phone }).select('name storeName status').lean();
+        
+        const handoff = await getHandoff(phone);
+        if (handoff && !query.createdAt) {
+            await markHandoffRead(phone);
+        }
+        
+        res.render('admin/conversation', {
+            title: 'Conversation',
+            phone,
+            seller,
+            messages,
+            handoff,
+            windowOpen: await isConversationWindowOpen(phone),
+            replyError: REPLY_ERRORS[req.query.error] || null,
+            olderBefore: messages.length === TRANSCRIPT_PAGE_SIZE ? messages[0].createdAt.toISOString() : null,
+            paged: Boolean(query.createdAt)
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).send('Server Error');
+    }
+});
+
+// ==================== HUMAN HANDOFF ====================
+
+// Shown above the reply box after a failed reply (?error=<code>)
+const REPLY_ERRORS = {
+    empty: 'Type a message first.',
+    notTakenOver: 'Take the conversation over before replying.',
+    windowClosed: 'The 24-hour WhatsApp window has closed. The user has to message us before we can reply.',
+    notDelivered: 'WhatsApp did not accept the reply. It is listed under Messages → Dead letters.'
+};
+
+function conversationUrl(phone, error) {
+    return `/admin/conversations/${encodeURIComponent(phone)}` + (error ? `?error=${error}` : '');
+}
+
+// Conversations taken over by admins - unread ones first
+router.get('/inbox', adminAuth, async (req, res) => {
+    try {
+        const handoffs = await listHandoffs();
+        const phones = handoffs.map(handoff => handoff.phone);
+        
+        const sellers = await Seller.find({ phone: { $in: phones } })
+            .select('phone name storeName')
+            .lean();
+        const sellersByPhone = Object.fromEntries(sellers.map(seller => [seller.phone, seller]));
+        
+        const lastMessages = await ConversationMessage.aggregate([
+            { $match: { phone: { $in: phones } } },
+            { $sort: { createdAt: -1 } },
+            {
+                $group: {
+                    _id: '$phone',
+                    lastAt: { $first: '$createdAt' },
+                    lastBody: { $first: '$body' },
+                    lastDirection: { $first: '$direction' }
+                }
+            }
+        ]);
+        const lastByPhone = Object.fromEntries(lastMessages.map(message => [message._id, message]));
+        
+        const conversations = handoffs
+            .map(handoff => ({
+                ...handoff,
+                seller: sellersByPhone[handoff.phone] || null,
+                last: lastByPhone[handoff.phone] || null
+            }))
+            .sort((a, b) => (b.unreadCount > 0) - (a.unreadCount > 0));
+        
+        res.render('admin/inbox', {
+            title: 'Inbox',
+            conversations
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).send('Server Error');
+    }
+});
+
+// Pause the bot for this phone; its messages go to the inbox
+router.post('/conversations/:phone/takeover', adminAuth, async (req, res) => {
+    try {
+        await takeOverConversation(req.params.phone, req.session.adminUsername || 'admin');
+        res.redirect(conversationUrl(req.params.phone));
+    } catch (error) {
+        console.error(error);
+        res.status(500).send('Error taking over conversation');
+    }
+});
+
+// Hand the conversation back to the bot
+router.post('/conversations/:phone/release', adminAuth, async (req, res) => {
+    try {
+        await releaseConversation(req.params.phone, req.session.adminUsername || 'admin');
+        res.redirect(conversationUrl(req.params.phone));
+    } catch (error) {
+        console.error(error);
+        res.status(500).send('Error releasing conversation');
+    }
+});
+
+// Reply as an admin (conversation must be taken over)
+router.post('/conversations/:phone/reply', adminAuth, async (req, res) => {
+    const { phone } = req.params;
+    const message = (req.body.message || '').trim();
+    if (!message) {
+        return res.redirect(conversationUrl(phone, 'empty'));
+    }
+    
+    try {
+        const delivered = await sendAdminReply(phone, message, req.session.adminUsername || 'admin');
+        res.redirect(conversationUrl(phone, delivered ? null : 'notDelivered'));
+    } catch (error) {
+        if (REPLY_ERRORS[error.code]) {
+            return res.redirect(conversationUrl(phone, error.code));
+        }
+        console.error(error);
+        res.status(500).send('Error sending reply');
+    }
+});
+
 module.exports = router;
@@ -10,9 +10,11 @@ const axios = require('axios');
 const Product = require('../models/Product');
 const Seller = require('../models/Seller');
 const Order = require('../models/Order');
-const bcrypt = require('bcrypt');
+const crypto = require('crypto');
 const requireAgentSecret = require('../middleware/requireAgentSecret');
+const { postMessage } = require('../services/whatsappClient');
 const { uploadToCloudinary, deleteFromCloudinary, getPublicIdFromUrl } = require('../config/cloudinary');
+const { trashProduct, restoreProduct } = require('../services/productTrash');
 
 // Apply agent secret authentication to all routes
 router.use(requireAgentSecret);
@@ -111,7 +113,7 @@ router.get('/products', async (req, res) => {
         const products = await Product.find(query)
             .limit(parseInt(limit))
             .sort({ createdAt: -1 })
-            .select('name price stock category condition brand images description');
+            .select('name price stock category condition brand status images description');
 
         res.json({
             success: true,
@@ -125,6 +127,7 @@ router.get('/products', async (req, res) => {
                 category: p.category,
                 condition: p.condition,
                 brand: p.brand,
+                status: p.status,
                 imageCount: p.images?.length || 0,
                 description: p.description
             }))
@@ -223,7 +226,7 @@ router.patch('/products/:id', async (req, res) => {
         }
 
         // Apply updates
-        const allowedUpdates = ['name', 'price', 'stock', 'description', 'condition', 'brand', 'category', 'specifications', 'racketSpecs', 'shoeSpecs'];
+        const allowedUpdates = ['name', 'price', 'stock', 'description', 'condition', 'brand', 'category', 'status', 'specifications', 'racketSpecs', 'shoeSpecs'];
         const appliedUpdates = [];
 
         for (const field of allowedUpdates) {
@@ -246,7 +249,8 @@ router.patch('/products/:id', async (req, res) => {
                 name: product.name,
                 price: product.price,
                 stock: product.stock,
-                category: product.category
+                category: product.category,
+                status: product.status
             },
             updatedFields: appliedUpdates,
             message: `Product "${product.name}" updated successfully!`
@@ -259,7 +263,7 @@ router.patch('/products/:id', async (req, res) => {
 });
 
 /**
- * Delete a product
+ * Delete a product (moves it to the trash until restoreUntil)
  * DELETE /api/agent/products/:id?sellerId=xxx
  */
 router.delete('/products/:id', async (req, res) => {
@@ -270,33 +274,50 @@ router.delete('/products/:id', async (req, res) => {
             return res.status(400).json({ error: 'sellerId is required' });
         }
 
-        const product = await Product.findOneAndDelete({ _id: req.params.id, seller: sellerId });
+        const product = await trashProduct({ _id: req.params.id, seller: sellerId }, 'agent');
 
         if (!product) {
             return res.status(404).json({ error: 'Product not found or access denied' });
         }
 
-        // Clean up Cloudinary assets
-        if (product.images && product.images.length > 0) {
-            for (const imgUrl of product.images) {
-                const publicId = getPublicIdFromUrl(imgUrl);
-                if (publicId) {
-                    await deleteFromCloudinary(publicId, 'image').catch(() => {});
-                }
-            }
+        res.json({
+            success: true,
+            message: `Product "${product.name}" moved to trash. It can be restored until ${product.purgeAt.toDateString()}.`,
+            restoreUntil: product.purgeAt
+        });
+
+    } catch (error) {
+        console.error('❌ [AGENT API] Delete product error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Restore a deleted product while its restore window is open
+ * POST /api/agent/products/:id/restore
+ */
+router.post('/products/:id/restore', async (req, res) => {
+    try {
+        const { sellerId } = req.body;
+
+        if (!sellerId) {
+            return res.status(400).json({ error: 'sellerId is required' });
         }
 
-        if (product.video && product.video.publicId) {
-            await deleteFromCloudinary(product.video.publicId, 'video').catch(() => {});
+        const product = await restoreProduct({ _id: req.params.id, seller: sellerId });
+
+        if (!product) {
+            return res.status(404).json({ error: 'Product not found in trash or restore window has passed' });
         }
 
         res.json({
             success: true,
-            message: `Product "${product.name}" deleted successfully!`
+            message: `Product "${product.name}" restored!`,
+            product
         });
 
     } catch (error) {
-        console.error('❌ [AGENT API] Delete product error:', error);
+        console.error('❌ [AGENT API] Restore product error:', error);
         res.status(500).json({ error: error.message });
     }
 });
@@ -600,12 +621,13 @@ router.post('/sellers', async (req, res) => {
         }
 
         // Create new seller
-        const dummyPassword = await bcrypt.hash(Date.now().toString() + Math.random(), 10);
         seller = new Seller({
             phone,
             name: name || 'Pending',
             storeName: storeName || 'Pending',
-            password: dummyPassword,
+            // Unusable random password - the seller sets a real one via "Get Web Login"
+            password: crypto.randomBytes(32).toString('hex'),
+            passwordSet: false,
             onboardingStep: onboardingStep || 'new'
         });
         await seller.save();
@@ -680,19 +702,7 @@ router.post('/whatsapp/send', async (req, res) => {
             return res.status(400).json({ error: 'to and message are required' });
         }
 
-        await axios({
-            method: 'POST',
-            url: `https://graph.facebook.com/v17.0/${process.env.WHATSAPP_PHONE_NUMBER_ID}/messages`,
-            headers: {
-                'Authorization': `Bearer ${process.env.WHATSAPP_ACCESS_TOKEN}`,
-                'Content-Type': 'application/json',
-            },
-            data: {
-                messaging_product: 'whatsapp',
-                to: to,
-                text: { body: message },
-            },
-        });
+        await postMessage(to, { text: { body: message } });
 
         res.json({
             success: true,
@@ -5,10 +5,18 @@ const Product = require('../models/Product');
 // Get single product by ID (for cart functionality)
 router.get('/products/:id', async (req, res) => {
     try {
-        const product = await Product.findById(req.params.id);
+        // The WhatsApp flow snapshot of a draft is never part of the response
+        const product = await Product.findById(req.params.id)
+            .select('-draftFlow -draftExpiresAt -draftRemindedAt');
         if (!product) {
             return res.status(404).json({ error: 'Product not found' });
         }
+        
+        // Drafts and archived listings are only visible to admins and their seller
+        const isOwner = req.session.sellerId && req.session.sellerId === product.seller?.toString();
+        if (['draft', 'archived'].includes(product.status) && !req.session.isAdmin && !isOwner) {
+            return res.status(404).json({ error: 'Product not found' });
+        }
         res.json(product);
     } catch (error) {
         console.error(error);
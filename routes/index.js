@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const Product = require('../models/Product');
 const Seller = require('../models/Seller');
+const { listedFilter } = require('../services/productStatus');
 
 // Landing page
 router.get('/', async (req, res) => {
@@ -10,10 +11,11 @@ router.get('/', async (req, res) => {
         const activeSellers = await Seller.find({ status: 'active' }).select('_id');
         const activeSellerIds = activeSellers.map(s => s._id);
         
-        // Only show featured products from active sellers
+        // Only show featured, listed products from active sellers
         const featuredProducts = await Product.find({ 
             featured: true,
-            seller: { $in: activeSellerIds }
+            seller: { $in: activeSellerIds },
+            ...listedFilter()
         })
             .populate('seller', 'storeName')
             .limit(8);
@@ -27,7 +29,7 @@ router.get('/', async (req, res) => {
         // Only show active (approved) sellers
         const featuredSellers = await Seller.find({ featured: true, status: 'active' }).limit(8);
         const sellersWithStats = await Promise.all(featuredSellers.map(async (seller) => {
-            const productCount = await Product.countDocuments({ seller: seller._id });
+            const productCount = await Product.countDocuments({ seller: seller._id, ...listedFilter() });
             return {
                 ...seller.toObject(),
                 productCount
@@ -130,7 +132,7 @@ router.get('/stores', async (req, res) => {
         
         // Get product counts for each store
         const storesWithStats = await Promise.all(stores.map(async (seller) => {
-            const productCount = await Product.countDocuments({ seller: seller._id });
+            const productCount = await Product.countDocuments({ seller: seller._id, ...listedFilter() });
             return {
                 ...seller.toObject(),
                 productCount
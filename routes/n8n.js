@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const Product = require('../models/Product');
 const Seller = require('../models/Seller');
+const { trashProduct } = require('../services/productTrash');
 const path = require('path');
 const fs = require('fs');
 
@@ -125,10 +126,10 @@ router.post('/products/delete', async (req, res) => {
 
         if (!seller) return res.status(404).json({ error: 'Seller not found' });
 
-        const result = await Product.findOneAndDelete({
+        const result = await trashProduct({
             seller: seller._id,
             name: { $regex: new RegExp(`^${productName}$`, 'i') }
-        });
+        }, 'whatsapp');
 
         if (!result) return res.status(404).json({ error: 'Product not found' });
 
@@ -2,8 +2,10 @@ const express = require('express');
 const router = express.Router();
 const Product = require('../models/Product');
 const Seller = require('../models/Seller');
+const { recordProductView } = require('../services/productViews');
+const { listedFilter } = require('../services/productStatus');
 
-// Get all products with filters (only from active sellers)
+// Get all products with filters (only listed ones from active sellers)
 router.get('/', async (req, res) => {
     try {
         const { category, brand, minPrice, maxPrice, sort, search, page } = req.query;
@@ -17,8 +19,8 @@ router.get('/', async (req, res) => {
         const activeSellers = await Seller.find({ status: 'active' }).select('_id');
         const activeSellerIds = activeSellers.map(s => s._id);
         
-        // Build query - only show products from active sellers
-        let query = { seller: { $in: activeSellerIds } };
+        // Build query - only show listed products from active sellers
+        let query = { seller: { $in: activeSellerIds }, ...listedFilter() };
         
         if (category) {
             query.category = category;
@@ -83,7 +85,7 @@ router.get('/', async (req, res) => {
         }));
         
         // Get all brands for filter
-        const allBrands = await Product.distinct('brand');
+        const allBrands = await Product.distinct('brand', listedFilter());
         
         // Selected brands as array
         const selectedBrands = brand ? (Array.isArray(brand) ? brand : [brand]) : [];
@@ -144,10 +146,22 @@ router.get('/:id', async (req, res) => {
             return res.status(404).send('Product not found');
         }
         
+        // Drafts and archived listings are only visible to admins and their seller
+        const isOwner = req.session.sellerId && req.session.sellerId === product.seller?._id?.toString();
+        if (['draft', 'archived'].includes(product.status) && !req.session.isAdmin && !isOwner) {
+            return res.status(404).send('Product not found');
+        }
+        
+        // Sellers looking at their own listing don't count as views
+        if (!req.session.isAdmin && !isOwner) {
+            recordProductView(product);
+        }
+        
         // Get related products (same category, excluding current)
         const relatedProducts = await Product.find({
             category: product.category,
-            _id: { $ne: product._id }
+            _id: { $ne: product._id },
+            ...listedFilter()
         }).populate('seller', 'storeName').limit(4);
         
         // Add sellerInfo to related products
@@ -4,6 +4,10 @@ const Seller = require('../models/Seller');
 const Product = require('../models/Product');
 const Order = require('../models/Order');
 const { uploadProductMedia, uploadToCloudinary, deleteFromCloudinary, getPublicIdFromUrl } = require('../config/cloudinary');
+const { verifyLoginToken, verifyLoginCode } = require('../services/sellerWebLogin');
+const { setDigestFrequency } = require('../services/sellerDigest');
+const { TRASH_RETENTION, trashProduct, restoreProduct, listTrash, purgeProduct } = require('../services/productTrash');
+const { PRODUCT_STATUSES, setProductStatus } = require('../services/productStatus');
 
 // Seller auth middleware
 const sellerAuth = (req, res, next) => {
@@ -85,6 +89,152 @@ router.post('/login', async (req, res) => {
     }
 });
 
+// ============ WhatsApp Web Login (code / magic link) ============
+
+const MIN_PASSWORD_LENGTH = 6;
+
+/**
+ * Log a seller in from a verified code or link
+ * Sellers without a real password are sent on to set one
+ */
+function startWebLoginSession(req, res, seller) {
+    req.session.sellerId = seller._id;
+    req.session.sellerName = seller.name;
+    req.session.storeName = seller.storeName;
+    req.session.sellerStatus = seller.status;
+    console.log('🔑 [WEB LOGIN] Seller logged in from WhatsApp:', seller.phone);
+
+    res.redirect(seller.passwordSet ? '/seller/dashboard' : '/seller/set-password');
+}
+
+// Login With Code Page
+router.get('/login/code', (req, res) => {
+    res.render('seller/login-code', {
+        title: 'Login With Code',
+        error: null,
+        phone: req.query.phone || '',
+        cartCount: 0
+    });
+});
+
+// Login With Code
+router.post('/login/code', async (req, res) => {
+    const { phone, code } = req.body;
+    try {
+        const seller = await verifyLoginCode(phone, code);
+
+        if (!seller || seller.status === 'deactivated') {
+            return res.render('seller/login-code', {
+                title: 'Login With Code',
+                error: seller ? 'Your account has been deactivated. Contact admin for support.'
+                    : 'Invalid or expired code. Request a new one from the WhatsApp menu.',
+                phone: phone || '',
+                cartCount: 0
+            });
+        }
+
+        startWebLoginSession(req, res, seller);
+    } catch (error) {
+        console.error(error);
+        res.render('seller/login-code', {
+            title: 'Login With Code',
+            error: 'Login failed. Please try again.',
+            phone: phone || '',
+            cartCount: 0
+        });
+    }
+});
+
+// Magic Login Link
+router.get('/login/link/:token', async (req, res) => {
+    try {
+        const seller = await verifyLoginToken(req.params.token);
+
+        if (!seller || seller.status === 'deactivated') {
+            return res.render('seller/login', {
+                title: 'Seller Login',
+                error: seller ? 'Your account has been deactivated. Contact admin for support.'
+                    : 'This login link is invalid, expired or already used. Request a new one from the WhatsApp menu.',
+                cartCount: 0
+            });
+        }
+
+        startWebLoginSession(req, res, seller);
+    } catch (error) {
+        console.error(error);
+        res.render('seller/login', {
+            title: 'Seller Login',
+            error: 'Login failed. Please try again.',
+            cartCount: 0
+        });
+    }
+});
+
+// Set Password Page (also "Change Password" once one is set)
+router.get('/set-password', sellerAuth, async (req, res) => {
+    try {
+        const seller = await Seller.findById(req.session.sellerId).select('passwordSet');
+        if (!seller) {
+            req.session.destroy();
+            return res.redirect('/seller/login');
+        }
+
+        res.render('seller/set-password', {
+            title: seller.passwordSet ? 'Change Password' : 'Set Password',
+            passwordSet: seller.passwordSet,
+            error: null,
+            cartCount: 0
+        });
+    } catch (error) {
+        console.error(error);
+        res.redirect('/seller/dashboard');
+    }
+});
+
+// Set Password
+router.post('/set-password', sellerAuth, async (req, res) => {
+    let seller = null;
+    const renderError = (error) => res.render('seller/set-password', {
+        title: seller?.passwordSet ? 'Change Password' : 'Set Password',
+        passwordSet: Boolean(seller?.passwordSet),
+        error,
+        cartCount: 0
+    });
+
+    try {
+        const { currentPassword, password, confirmPassword } = req.body;
+
+        seller = await Seller.findById(req.session.sellerId);
+        if (!seller) {
+            req.session.destroy();
+            return res.redirect('/seller/login');
+        }
+
+        // A session alone (e.g. from a magic link) must not be enough to replace a real password
+        if (seller.passwordSet && !(currentPassword && await seller.comparePassword(currentPassword))) {
+            console.warn('⚠️ [WEB LOGIN] Wrong current password on change for seller:', seller.phone);
+            return renderError('Current password is incorrect');
+        }
+
+        if (!password || password.length < MIN_PASSWORD_LENGTH) {
+            return renderError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+        }
+        if (password !== confirmPassword) {
+            return renderError('Passwords do not match');
+        }
+
+        seller.password = password;
+        seller.passwordSet = true;
+        await seller.save();
+        console.log('🔑 [WEB LOGIN] Password set for seller:', seller.phone);
+
+        res.redirect('/seller/dashboard');
+    } catch (error) {
+        console.error(error);
+        renderError('Could not save your password. Please try again.');
+    }
+});
+
 // Seller Signup Page
 router.get('/signup', (req, res) => {
     if (req.session && req.session.sellerId) {
@@ -126,6 +276,7 @@ router.post('/signup', async (req, res) => {
             email: email || undefined,
             storeName,
             password,
+            passwordSet: true,
             status: 'pending' // New sellers start as pending until admin approves
         });
         
@@ -203,7 +354,9 @@ router.get('/dashboard', sellerAuth, async (req, res) => {
                 totalRevenue,
                 lowStock
             },
-            recentProducts
+            recentProducts,
+            digestFrequency: seller.digest?.frequency || 'off',
+            passwordSet: seller.passwordSet
         });
     } catch (error) {
         console.error(error);
@@ -211,23 +364,44 @@ router.get('/dashboard', sellerAuth, async (req, res) => {
     }
 });
 
+// Update WhatsApp performance digest frequency
+router.post('/digest', sellerAuth, async (req, res) => {
+    try {
+        const saved = await setDigestFrequency(req.session.sellerId, req.body.frequency);
+        if (!saved) {
+            return res.status(400).send('Invalid digest frequency');
+        }
+        res.redirect('/seller/dashboard');
+    } catch (error) {
+        console.error(error);
+        res.status(500).send('Server Error');
+    }
+});
+
 // Seller Products List
 router.get('/products', sellerAuth, async (req, res) => {
     try {
         const sellerId = req.session.sellerId;
-        const { search } = req.query;
+        const { search, status } = req.query;
         let query = { seller: sellerId };
         
         if (search) {
             query.description = { $regex: search, $options: 'i' };
         }
         
+        if (PRODUCT_STATUSES.includes(status)) {
+            // Listings saved before statuses existed count as active
+            query.status = status === 'active' ? { $in: ['active', null] } : status;
+        }
+        
         const products = await Product.find(query).sort({ createdAt: -1 });
         res.render('seller/products', {
             title: 'My Products',
             storeName: req.session.storeName,
             products,
-            search: search || ''
+            search: search || '',
+            status: PRODUCT_STATUSES.includes(status) ? status : '',
+            statuses: PRODUCT_STATUSES
         });
     } catch (error) {
         console.error(error);
@@ -494,31 +668,10 @@ router.post('/products/edit/:id', sellerAuth, (req, res) => {
     });
 });
 
-// Delete Product
+// Delete Product (moves it to the trash; media is purged once the restore window ends)
 router.post('/products/delete/:id', sellerAuth, async (req, res) => {
     try {
-        const product = await Product.findOne({ 
-            _id: req.params.id, 
-            seller: req.session.sellerId 
-        });
-        
-        if (product) {
-            // Delete images from Cloudinary
-            for (const imgUrl of product.images) {
-                const publicId = getPublicIdFromUrl(imgUrl);
-                if (publicId) {
-                    await deleteFromCloudinary(publicId, 'image');
-                }
-            }
-            
-            // Delete video from Cloudinary
-            if (product.video && product.video.publicId) {
-                await deleteFromCloudinary(product.video.publicId, 'video');
-            }
-            
-            await Product.findByIdAndDelete(product._id);
-        }
-        
+        await trashProduct({ _id: req.params.id, seller: req.session.sellerId }, 'seller');
         res.redirect('/seller/products');
     } catch (error) {
         console.error(error);
@@ -526,6 +679,58 @@ router.post('/products/delete/:id', sellerAuth, async (req, res) => {
     }
 });
 
+// Change Product Status (Mark sold, Reserve, Relist...)
+router.post('/products/status/:id', sellerAuth, async (req, res) => {
+    try {
+        await setProductStatus({ _id: req.params.id, seller: req.session.sellerId }, req.body.status);
+        res.redirect(req.get('Referer') || '/seller/products');
+    } catch (error) {
+        if (error.code === 'invalidStatus') {
+            return res.status(400).send('Invalid status');
+        }
+        console.error(error);
+        res.status(500).send('Error updating product status');
+    }
+});
+
+// Trashed Products
+router.get('/products/trash', sellerAuth, async (req, res) => {
+    try {
+        const products = await listTrash({ seller: req.session.sellerId });
+        res.render('seller/products-trash', {
+            title: 'Trash',
+            storeName: req.session.storeName,
+            products,
+            trashDays: Math.round(TRASH_RETENTION / (24 * 60 * 60 * 1000))
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).send('Server Error');
+    }
+});
+
+// Restore Product from the trash
+router.post('/products/restore/:id', sellerAuth, async (req, res) => {
+    try {
+        await restoreProduct({ _id: req.params.id, seller: req.session.sellerId });
+        res.redirect('/seller/products/trash');
+    } catch (error) {
+        console.error(error);
+        res.status(500).send('Error restoring product');
+    }
+});
+
+// Delete Product permanently (with its media)
+router.post('/products/purge/:id', sellerAuth, async (req, res) => {
+    try {
+        await purgeProduct({ _id: req.params.id, seller: req.session.sellerId });
+        res.redirect('/seller/products/trash');
+    } catch (error) {
+        console.error(error);
+        res.status(500).send('Error deleting product');
+    }
+});
+
 // Seller Orders (orders containing their products)
 router.get('/orders', sellerAuth, async (req, res) => {
     try {
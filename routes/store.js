@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const Seller = require('../models/Seller');
 const Product = require('../models/Product');
+const { listedFilter } = require('../services/productStatus');
 
 // View seller store
 router.get('/:id', async (req, res) => {
@@ -18,8 +19,8 @@ router.get('/:id', async (req, res) => {
             return res.status(403).send('This store is currently unavailable');
         }
         
-        // Build query for seller's products
-        let query = { seller: seller._id };
+        // Build query for seller's listed products
+        let query = { seller: seller._id, ...listedFilter() };
         if (category) {
             query.category = category;
         }
@@ -56,14 +57,14 @@ router.get('/:id', async (req, res) => {
             sellerInfo: p.seller
         }));
         
-        // Get category counts (always from all products for stats)
-        const rackets = await Product.countDocuments({ seller: seller._id, category: 'rackets' });
-        const shoes = await Product.countDocuments({ seller: seller._id, category: 'shoes' });
-        const accessories = await Product.countDocuments({ seller: seller._id, category: 'accessories' });
+        // Get category counts (always from all listed products for stats)
+        const rackets = await Product.countDocuments({ seller: seller._id, category: 'rackets', ...listedFilter() });
+        const shoes = await Product.countDocuments({ seller: seller._id, category: 'shoes', ...listedFilter() });
+        const accessories = await Product.countDocuments({ seller: seller._id, category: 'accessories', ...listedFilter() });
         const totalProducts = rackets + shoes + accessories;
         
         // Get featured products count
-        const featuredCount = await Product.countDocuments({ seller: seller._id, featured: true });
+        const featuredCount = await Product.countDocuments({ seller: seller._id, featured: true, ...listedFilter() });
         
         res.render('store', {
             title: seller.storeName,
@@ -3,9 +3,12 @@
  * 
  * FULLY DETERMINISTIC - No AI/n8n dependency
  * 
+ * Registered sellers get the inventory menu; every other number is treated
+ * as a buyer (catalog search, category browsing and cash-on-delivery orders).
+ * 
  * Flow:
  * 1. Receive WhatsApp message
- * 2. Check message type (interactive button, text, image)
+ * 2. Check message type (interactive button, text, image, video, document)
  * 3. Route based on button ID or current user state
  * 4. Execute action deterministically
  * 5. Send response with interactive buttons/menus
@@ -16,73 +19,160 @@
  * - Predictable costs, horizontally scalable
  */
 
+const crypto = require('crypto');
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
-const axios = require('axios');
 const Seller = require('../models/Seller');
 const Product = require('../models/Product');
-const { uploadToCloudinary, deleteFromCloudinary } = require('../config/cloudinary');
+const Order = require('../models/Order');
+const ConversationState = require('../models/ConversationState');
+const ProcessedMessage = require('../models/ProcessedMessage');
+const { uploadToCloudinary, deleteFromCloudinary, getPublicIdFromUrl } = require('../config/cloudinary');
+const verifyWhatsAppSignature = require('../middleware/verifyWhatsAppSignature');
+const {
+    downloadWhatsAppMedia,
+    recordInboundMessage,
+    sendMessage,
+    sendNotification,
+    sendImageMessage,
+    sendInteractiveButtons,
+    sendInteractiveList
+} = require('../services/whatsappClient');
+const { KNOWN_BRANDS, parseProductDetails } = require('../services/productTextParser');
+const { LOGIN_TTL, issueWebLogin } = require('../services/sellerWebLogin');
+const { t, LANGUAGES, DEFAULT_LANGUAGE } = require('../services/i18n');
+const { DIGEST_FREQUENCIES, setDigestFrequency } = require('../services/sellerDigest');
+const { recordProductView } = require('../services/productViews');
+const { recordDeliveryStatuses } = require('../services/outboundQueue');
+const { logInboundMessage } = require('../services/conversationLog');
+const { recordHandoffMessage } = require('../services/conversationHandoff');
+const { deleteProductPhotos, discardPendingPhotos, clearState } = require('../services/conversationState');
+const { TRASH_RETENTION, trashProduct, restoreProduct } = require('../services/productTrash');
+const {
+    saveProductDraft,
+    publishProductDraft,
+    findResumableDraft,
+    discardProductDraft
+} = require('../services/productDrafts');
+const { listedFilter, orderableFilter, setProductStatus } = require('../services/productStatus');
+const {
+    MAX_SHEET_ROWS,
+    MAX_SHEET_SIZE,
+    parseFieldValue,
+    parseInventoryCommand,
+    looksLikeInventoryCommand,
+    getSheetType,
+    parseInventorySheet,
+    applyInventoryUpdates
+} = require('../services/bulkInventory');
 
 // Constants
 const MAX_IMAGES = 5;
 const MAX_IMAGE_SIZE = 2 * 1024 * 1024; // 2MB
+const MAX_VIDEO_SIZE = 16 * 1024 * 1024; // 16MB (WhatsApp's own video limit)
 const STATE_TIMEOUT = 10 * 60 * 1000; // 10 minutes
+const LIST_PAGE_SIZE = 10; // WhatsApp list messages allow max 10 rows
+const PICKER_PAGE_SIZE = 7; // Leaves room for Previous / Next / Search rows
+const INVENTORY_PAGE_SIZE = 15;
+
+const CATEGORY_LABELS = {
+    rackets: '🏸 Rackets',
+    shoes: '👟 Shoes',
+    accessories: '🎒 Accessories'
+};
 
 // ============ State Management ============
 
-// User state for multi-step flows
-const userState = new Map();
 /*
- * userState.get(phone) = {
- *   step: 'IDLE' | 'AWAITING_NAME' | 'AWAITING_STORE_NAME' | 
+ * Conversation state is persisted in MongoDB (ConversationState collection) so
+ * multi-step flows survive restarts and work across several instances.
+ *
+ * getState(phone) resolves to {
+ *   step: 'IDLE' | 'AWAITING_LANGUAGE' | 'AWAITING_NAME' | 'AWAITING_STORE_NAME' |
  *         'AWAITING_IMAGE' | 'AWAITING_PRODUCT_DETAILS' |
- *         'AWAITING_PRODUCT_SELECTION' | 'AWAITING_UPDATE_FIELD' |
- *         'AWAITING_UPDATE_VALUE' | 'CONFIRM_DELETE',
+ *         'AWAITING_CATEGORY' | 'AWAITING_SPEC' | 'CONFIRM_PRODUCT' |
+ *         'AWAITING_PRODUCT_SELECTION' | 'AWAITING_PRODUCT_SEARCH' |
+ *         'AWAITING_UPDATE_FIELD' |
+ *         'AWAITING_UPDATE_VALUE' | 'AWAITING_UPDATE_IMAGES' | 'CONFIRM_DELETE' |
+ *         (buyer flow)
+ *         'AWAITING_SEARCH_QUERY' | 'AWAITING_ORDER_QUANTITY' |
+ *         'AWAITING_BUYER_NAME' | 'AWAITING_BUYER_ADDRESS' |
+ *         'AWAITING_BUYER_CITY' | 'CONFIRM_ORDER',
  *   intent: string,
  *   data: { ... partial collected data ... },
  *   timestamp: number
  * }
+ *
+ * Documents expire STATE_TIMEOUT after the last update (TTL index on expiresAt).
  */
 
-// Temporary storage for pending image context (when user sends image without caption)
-const pendingImageContext = new Map();
-// Temporary storage for pending seller onboarding data (name/storeName/phone)
-const pendingSellerContext = new Map();
-
 // ============ State Helpers ============
 
-function setState(phone, step, intent = null, data = {}) {
-    const existing = userState.get(phone) || {};
-    userState.set(phone, {
-        step,
-        intent: intent || existing.intent,
-        data: { ...existing.data, ...data },
-        timestamp: Date.now()
-    });
+async function setState(phone, step, intent = null, data = {}) {
+    const existing = await getState(phone);
+    const now = new Date();
     
-    // Auto-cleanup after timeout
-    setTimeout(() => {
-        const current = userState.get(phone);
-        if (current && Date.now() - current.timestamp >= STATE_TIMEOUT) {
-            userState.delete(phone);
-            console.log('🧹 [STATE] Cleaned up expired state for:', phone);
-        }
-    }, STATE_TIMEOUT + 1000);
+    // Another flow takes over from an unfinished "Replace all" photo update
+    if (existing.step === 'AWAITING_UPDATE_IMAGES' && step !== 'AWAITING_UPDATE_IMAGES') {
+        await discardPendingPhotos(phone, existing);
+        delete existing.data.images;
+    }
+    
+    await ConversationState.findOneAndUpdate(
+        { phone },
+        {
+            $set: {
+                step,
+                intent: intent || existing.intent,
+                data: { ...existing.data, ...data },
+                updatedAt: now,
+                expiresAt: new Date(now.getTime() + STATE_TIMEOUT)
+            }
+        },
+        { upsert: true }
+    );
     
     console.log('📝 [STATE] Set:', phone, step, intent);
 }
 
-function getState(phone) {
-    const state = userState.get(phone);
-    if (state && Date.now() - state.timestamp < STATE_TIMEOUT) {
-        return state;
+async function getState(phone) {
+    const state = await ConversationState.findOne({ phone }).lean();
+    
+    // The TTL monitor only runs periodically, so enforce the timeout here too
+    if (state && state.expiresAt > new Date()) {
+        return {
+            step: state.step,
+            intent: state.intent,
+            data: state.data || {},
+            timestamp: state.updatedAt.getTime()
+        };
     }
     return { step: 'IDLE', intent: null, data: {} };
 }
 
-function clearState(phone) {
-    userState.delete(phone);
-    console.log('🧹 [STATE] Cleared:', phone);
+/**
+ * Atomically append a value to an array in the state data.
+ * Returns the updated state, or null if the state expired or the array
+ * already holds maxLength items (images can arrive in parallel webhooks).
+ */
+async function pushStateData(phone, field, value, maxLength) {
+    const now = new Date();
+    const filter = { phone, expiresAt: { $gt: now } };
+    if (maxLength) {
+        filter[`data.${field}.${maxLength - 1}`] = { $exists: false };
+    }
+    
+    const state = await ConversationState.findOneAndUpdate(
+        filter,
+        {
+            $push: { [`data.${field}`]: value },
+            $set: { updatedAt: now, expiresAt: new Date(now.getTime() + STATE_TIMEOUT) }
+        },
+        { new: true }
+    ).lean();
+    
+    return state ? { step: state.step, intent: state.intent, data: state.data } : null;
 }
 
 // ============ Button ID to Intent Router ============
@@ -95,13 +185,44 @@ function getIntentFromButton(buttonId) {
         'UPDATE_PRODUCT': { intent: 'UPDATE_PRODUCT', action: {} },
         'DELETE_PRODUCT': { intent: 'DELETE_PRODUCT', action: {} },
         'MAIN_MENU': { intent: 'SHOW_MENU', action: {} },
+        'MY_ORDERS': { intent: 'SELLER_ORDERS', action: {} },
+        'MY_STATS': { intent: 'SELLER_STATS', action: {} },
+        'STORE_LINK': { intent: 'STORE_LINK', action: {} },
+        'APPROVAL_STATUS': { intent: 'APPROVAL_STATUS', action: {} },
+        'WEB_LOGIN': { intent: 'WEB_LOGIN', action: {} },
+        'LANGUAGE': { intent: 'CHANGE_LANGUAGE', action: {} },
+        'DIGEST_SETTINGS': { intent: 'DIGEST_SETTINGS', action: {} },
         'START_ONBOARDING': { intent: 'ONBOARDING_START', action: {} },
         'CONFIRM_DELETE_YES': { intent: 'DELETE_CONFIRM', action: { confirmed: true } },
         'CONFIRM_DELETE_NO': { intent: 'DELETE_CONFIRM', action: { confirmed: false } },
         'UPDATE_PRICE': { intent: 'UPDATE_FIELD_SELECT', action: { field: 'price' } },
         'UPDATE_STOCK': { intent: 'UPDATE_FIELD_SELECT', action: { field: 'stock' } },
         'UPDATE_NAME': { intent: 'UPDATE_FIELD_SELECT', action: { field: 'name' } },
-        'CANCEL': { intent: 'CANCEL_FLOW', action: {} }
+        'UPDATE_DESCRIPTION': { intent: 'UPDATE_FIELD_SELECT', action: { field: 'description' } },
+        'UPDATE_BRAND': { intent: 'UPDATE_FIELD_SELECT', action: { field: 'brand' } },
+        'UPDATE_CATEGORY': { intent: 'UPDATE_FIELD_SELECT', action: { field: 'category' } },
+        'UPDATE_CONDITION': { intent: 'UPDATE_FIELD_SELECT', action: { field: 'condition' } },
+        'UPDATE_SPECS': { intent: 'SPECS_MENU', action: {} },
+        'UPDATE_PHOTOS': { intent: 'PHOTOS_MENU', action: {} },
+        'UPDATE_STATUS': { intent: 'STATUS_MENU', action: {} },
+        'EDIT_CLEAR': { intent: 'UPDATE_FIELD_VALUE', action: { value: null } },
+        'PHOTOS_ADD': { intent: 'PHOTOS_EDIT', action: { mode: 'add' } },
+        'PHOTOS_REPLACE': { intent: 'PHOTOS_EDIT', action: { mode: 'replace' } },
+        'PHOTOS_REMOVE': { intent: 'PHOTOS_REMOVE_MENU', action: {} },
+        'PHOTOS_DONE': { intent: 'PHOTOS_DONE', action: {} },
+        'PICK_SEARCH': { intent: 'PICKER_SEARCH', action: {} },
+        'PICK_ALL': { intent: 'PICKER_PAGE', action: { page: 0, clearSearch: true } },
+        'WIZ_SKIP': { intent: 'WIZARD_VALUE', action: { value: null } },
+        'PRODUCT_SAVE': { intent: 'PRODUCT_SAVE', action: {} },
+        'PRODUCT_REENTER': { intent: 'PRODUCT_REENTER', action: {} },
+        'MEDIA_DONE': { intent: 'MEDIA_DONE', action: {} },
+        'MEDIA_ADD_MORE': { intent: 'MEDIA_ADD_MORE', action: {} },
+        'CANCEL': { intent: 'CANCEL_FLOW', action: {} },
+        // Buyer flow
+        'BUY_MENU': { intent: 'BUYER_MENU', action: {} },
+        'BUY_SEARCH': { intent: 'BUYER_SEARCH', action: {} },
+        'BUY_CATEGORIES': { intent: 'BUYER_CATEGORIES', action: {} },
+        'BUY_CONFIRM_ORDER': { intent: 'BUYER_CONFIRM_ORDER', action: {} }
     };
 
     if (staticMappings[buttonId]) {
@@ -119,11 +240,106 @@ function getIntentFromButton(buttonId) {
         return { intent: 'DELETE_PRODUCT_SELECTED', action: { productId } };
     }
     
+    if (buttonId.startsWith('UNDO_DELETE_')) {
+        const productId = buttonId.replace('UNDO_DELETE_', '');
+        return { intent: 'RESTORE_PRODUCT', action: { productId } };
+    }
+    
+    if (buttonId.startsWith('DRAFT_CONTINUE_')) {
+        const productId = buttonId.replace('DRAFT_CONTINUE_', '');
+        return { intent: 'DRAFT_CONTINUE', action: { productId } };
+    }
+    
+    if (buttonId.startsWith('DRAFT_DISCARD_')) {
+        const productId = buttonId.replace('DRAFT_DISCARD_', '');
+        return { intent: 'DRAFT_DISCARD', action: { productId } };
+    }
+    
     if (buttonId.startsWith('UPDATE_PRODUCT_')) {
         const productId = buttonId.replace('UPDATE_PRODUCT_', '');
         return { intent: 'UPDATE_PRODUCT_SELECTED', action: { productId } };
     }
 
+    if (buttonId.startsWith('EDIT_SPEC_')) {
+        const field = buttonId.replace('EDIT_SPEC_', '');
+        return { intent: 'UPDATE_FIELD_SELECT', action: { field } };
+    }
+
+    if (buttonId.startsWith('EDIT_VAL_')) {
+        const value = buttonId.replace('EDIT_VAL_', '');
+        return { intent: 'UPDATE_FIELD_VALUE', action: { value } };
+    }
+
+    if (buttonId.startsWith('PHOTO_REMOVE_')) {
+        const index = parseInt(buttonId.replace('PHOTO_REMOVE_', ''));
+        return { intent: 'PHOTO_REMOVE', action: { index } };
+    }
+
+    if (buttonId.startsWith('SET_STATUS_')) {
+        const status = buttonId.replace('SET_STATUS_', '').toLowerCase();
+        return { intent: 'SET_PRODUCT_STATUS', action: { status } };
+    }
+
+    if (buttonId.startsWith('DIGEST_SET_')) {
+        const frequency = buttonId.replace('DIGEST_SET_', '');
+        return { intent: 'SET_DIGEST', action: { frequency } };
+    }
+
+    if (buttonId.startsWith('LANG_')) {
+        const language = buttonId.replace('LANG_', '');
+        return { intent: 'SET_LANGUAGE', action: { language } };
+    }
+
+    if (buttonId.startsWith('PICK_PAGE_')) {
+        const page = parseInt(buttonId.replace('PICK_PAGE_', '')) || 0;
+        return { intent: 'PICKER_PAGE', action: { page } };
+    }
+
+    if (buttonId.startsWith('LIST_PAGE_')) {
+        const page = parseInt(buttonId.replace('LIST_PAGE_', '')) || 0;
+        return { intent: 'LIST_PRODUCTS', action: { page } };
+    }
+
+    if (buttonId.startsWith('WIZ_CAT_')) {
+        const category = buttonId.replace('WIZ_CAT_', '');
+        return { intent: 'WIZARD_CATEGORY', action: { category } };
+    }
+
+    if (buttonId.startsWith('WIZ_VAL_')) {
+        const value = buttonId.replace('WIZ_VAL_', '');
+        return { intent: 'WIZARD_VALUE', action: { value } };
+    }
+
+    if (buttonId.startsWith('ORDER_ACCEPT_')) {
+        const orderId = buttonId.replace('ORDER_ACCEPT_', '');
+        return { intent: 'SELLER_ORDER_DECISION', action: { orderId, accepted: true } };
+    }
+
+    if (buttonId.startsWith('ORDER_REJECT_')) {
+        const orderId = buttonId.replace('ORDER_REJECT_', '');
+        return { intent: 'SELLER_ORDER_DECISION', action: { orderId, accepted: false } };
+    }
+
+    if (buttonId.startsWith('BUY_CAT_')) {
+        const category = buttonId.replace('BUY_CAT_', '');
+        return { intent: 'BUYER_CATEGORY_SELECTED', action: { category } };
+    }
+
+    if (buttonId.startsWith('BUY_VIEW_')) {
+        const productId = buttonId.replace('BUY_VIEW_', '');
+        return { intent: 'BUYER_VIEW_PRODUCT', action: { productId } };
+    }
+
+    if (buttonId.startsWith('BUY_ORDER_')) {
+        const productId = buttonId.replace('BUY_ORDER_', '');
+        return { intent: 'BUYER_ORDER_START', action: { productId } };
+    }
+
+    if (buttonId.startsWith('BUY_QTY_')) {
+        const quantity = parseInt(buttonId.replace('BUY_QTY_', ''));
+        return { intent: 'BUYER_QUANTITY_SELECTED', action: { quantity } };
+    }
+
     console.log('⚠️ [ROUTER] Unknown button ID:', buttonId);
     return null;
 }
@@ -155,35 +371,34 @@ router.get('/webhook', (req, res) => {
 
 /**
  * Message Receiver (POST) - Main entry point
+ * Only accepts deliveries signed by Meta (X-Hub-Signature-256)
  */
-router.post('/webhook', async (req, res) => {
+router.post('/webhook', verifyWhatsAppSignature, async (req, res) => {
     console.log('\n========== INCOMING WEBHOOK ==========');
     
     const body = req.body;
 
     if (body.object) {
-        // Ignore status updates
-        if (body.entry?.[0]?.changes?.[0]?.value?.statuses) {
-            console.log('📊 [WEBHOOK] Status update - ignoring');
-            res.sendStatus(200);
-            return;
+        // A single delivery can batch several entries, changes and messages
+        const messages = [];
+        const statuses = [];
+        for (const entry of body.entry || []) {
+            for (const change of entry.changes || []) {
+                const value = change.value || {};
+                messages.push(...(value.messages || []));
+                statuses.push(...(value.statuses || []));
+            }
         }
         
-        // Check for actual message
-        if (
-            body.entry &&
-            body.entry[0].changes &&
-            body.entry[0].changes[0].value.messages &&
-            body.entry[0].changes[0].value.messages[0]
-        ) {
-            const messageObj = body.entry[0].changes[0].value.messages[0];
-            const phone = messageObj.from;
-            const msgType = messageObj.type;
-
-            console.log('📱 [WEBHOOK] From:', phone, 'Type:', msgType);
-
-            // Process asynchronously
-            processMessage(phone, msgType, messageObj).catch(err => {
+        // Delivery receipts for the outbound queue (sent / delivered / read / failed)
+        if (statuses.length > 0) {
+            console.log('📊 [WEBHOOK] Status updates:', statuses.map(s => s.status).join(', '));
+            recordDeliveryStatuses(statuses);
+        }
+        
+        // Process asynchronously, in order, so a sender's messages don't race each other
+        if (messages.length > 0) {
+            processMessageBatch(messages).catch(err => {
                 console.error('❌ [WEBHOOK] Processing error:', err);
             });
         }
@@ -196,6 +411,63 @@ router.post('/webhook', async (req, res) => {
 
 // ============ Main Processing Pipeline ============
 
+/**
+ * Record an inbound message ID. Resolves to false if it was already recorded,
+ * i.e. the delivery is a retry that must not be processed again.
+ */
+async function markMessageProcessed(messageObj) {
+    if (!messageObj.id) return true;
+    
+    try {
+        await ProcessedMessage.create({
+            messageId: messageObj.id,
+            phone: messageObj.from,
+            type: messageObj.type
+        });
+        return true;
+    } catch (error) {
+        // Duplicate key - this ID has been seen before
+        if (error.code === 11000) {
+            return false;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Process every message of a webhook delivery, skipping ones already handled
+ */
+async function processMessageBatch(messages) {
+    for (const messageObj of messages) {
+        const phone = messageObj.from;
+        const msgType = messageObj.type;
+        
+        try {
+            if (!(await markMessageProcessed(messageObj))) {
+                console.log('♻️ [WEBHOOK] Duplicate message ignored:', messageObj.id);
+                continue;
+            }
+            
+            console.log('📱 [WEBHOOK] From:', phone, 'Type:', msgType);
+            
+            // Every inbound message reopens the 24h window for free-form replies
+            const receivedAt = messageObj.timestamp ? new Date(Number(messageObj.timestamp) * 1000) : new Date();
+            await recordInboundMessage(phone, receivedAt).catch(err => {
+                console.error('❌ [WEBHOOK] Window tracking error:', err.message);
+            });
+            
+            await processMessage(phone, msgType, messageObj);
+            
+            // An Add Product flow with photos is kept as a draft, so a timeout loses nothing
+            await syncProductDraft(phone).catch(err => {
+                console.error('❌ [DRAFT] Save error:', err.message);
+            });
+        } catch (error) {
+            console.error('❌ [WEBHOOK] Processing error:', error);
+        }
+    }
+}
+
 /**
  * Process incoming message through deterministic button-driven pipeline
  */
@@ -204,15 +476,28 @@ async function processMessage(phone, msgType, messageObj) {
         // Step 1: Get seller context first
         const sellerContext = await getSellerContext(phone);
         
+        // 'button' is a quick-reply tap on a template message; its payload is a button ID
+        const isButton = msgType === 'interactive' || msgType === 'button';
+        const buttonId = isButton
+            ? messageObj.interactive?.button_reply?.id ||
+              messageObj.interactive?.list_reply?.id ||
+              messageObj.button?.payload
+            : null;
+        const instruction = isButton ? getIntentFromButton(buttonId) : null;
+        
+        // Transcript entry, taken before the message changes the state
+        await logInboundMessage(phone, messageObj, instruction?.intent);
+        
+        // An admin has taken this conversation over - the message waits in the admin inbox
+        if (await recordHandoffMessage(phone)) {
+            console.log('🙋 [HANDOFF] Message from', phone, 'left for the admin');
+            return;
+        }
+        
         // Step 2: Handle interactive button/list replies (PRIMARY CONTROL MECHANISM)
-        if (msgType === 'interactive') {
-            const buttonId = 
-                messageObj.interactive?.button_reply?.id ||
-                messageObj.interactive?.list_reply?.id;
-            
+        if (isButton) {
             console.log('🔘 [BUTTON] Received:', buttonId);
             
-            const instruction = getIntentFromButton(buttonId);
             if (instruction) {
                 await executeIntent(phone, instruction, null, sellerContext);
             } else {
@@ -224,7 +509,7 @@ async function processMessage(phone, msgType, messageObj) {
         // Step 3: Handle text messages - ONLY valid during active state flows
         if (msgType === 'text') {
             const messageContent = messageObj.text.body.trim();
-            const currentState = getState(phone);
+            const currentState = await getState(phone);
             
             console.log('📝 [TEXT] Content:', messageContent.substring(0, 50), '| State:', currentState.step);
             
@@ -237,47 +522,57 @@ async function processMessage(phone, msgType, messageObj) {
             // Not in a flow - check for greetings to show menu
             const msg = messageContent.toLowerCase();
             if (/^(hi|hello|hey|assalam|salam|menu|start)/i.test(msg)) {
-                if (sellerContext.needsOnboarding) {
-                    await sendOnboardingWelcome(phone);
-                } else {
+                if (!sellerContext.exists) {
+                    await sendBuyerMenu(phone);
+                } else if (sellerContext.needsOnboarding) {
+                    await sendOnboardingWelcome(phone, sellerContext);
+                } else if (!(await offerProductDraft(phone, sellerContext))) {
                     await sendMainMenu(phone, sellerContext);
                 }
                 return;
             }
             
+            // Buyers can search the catalog by simply typing what they want
+            if (!sellerContext.exists) {
+                await handleBuyerSearch(phone, messageContent);
+                return;
+            }
+            
+            // Quick inventory commands: "stock <product> <qty>" / "price <product> <amount>"
+            if (!sellerContext.needsOnboarding && looksLikeInventoryCommand(messageContent)) {
+                await handleInventoryCommand(phone, messageContent, sellerContext);
+                return;
+            }
+            
             // Unrecognized text - prompt with menu
-            await sendMessage(phone, "I work best with buttons! Tap below to get started.");
+            await sendMessage(phone, t(sellerContext.language, 'general.useButtons'));
             await sendMainMenu(phone, sellerContext);
             return;
         }
         
         // Step 4: Handle image messages
         if (msgType === 'image') {
-            const currentState = getState(phone);
+            const currentState = await getState(phone);
             
             // Only accept images when expecting them
             if (currentState.step === 'AWAITING_IMAGE') {
-                const imageUrl = await handleImageUpload(phone, messageObj.image.id);
-                if (imageUrl) {
-                    setState(phone, 'AWAITING_PRODUCT_DETAILS', 'CREATE_PRODUCT', { imageUrl });
-                    await sendMessage(phone, 
-                        "✅ Image uploaded!\n\n" +
-                        "Now describe your product. Include:\n" +
-                        "• Product name\n" +
-                        "• Price (in PKR)\n" +
-                        "• Any other details\n\n" +
-                        "_Example: Yonex Astrox 88D, 15000, brand new_"
-                    );
-                }
+                await handleProductImage(phone, messageObj.image.id, currentState, sellerContext);
+                return;
+            }
+            
+            if (currentState.step === 'AWAITING_UPDATE_IMAGES') {
+                await handleUpdateImage(phone, messageObj.image.id, currentState, sellerContext);
                 return;
             }
             
             // Unsolicited image - guide them
-            if (sellerContext.needsOnboarding) {
-                await sendMessage(phone, "Please complete your registration first!");
-                await sendOnboardingWelcome(phone);
+            if (!sellerContext.exists) {
+                await sendBuyerMenu(phone);
+            } else if (sellerContext.needsOnboarding) {
+                await sendMessage(phone, t(sellerContext.language, 'general.registerFirst'));
+                await sendOnboardingWelcome(phone, sellerContext);
             } else {
-                await sendMessage(phone, "To add a product, tap 'Add Product' first, then send the image.");
+                await sendMessage(phone, t(sellerContext.language, 'media.unsolicitedImage'));
                 await sendMainMenu(phone, sellerContext);
             }
             return;
@@ -285,17 +580,31 @@ async function processMessage(phone, msgType, messageObj) {
         
         // Step 5: Handle video messages
         if (msgType === 'video') {
-            await sendMessage(phone, "🎬 Videos are not supported yet. Please send images!");
+            const currentState = await getState(phone);
+            
+            if (currentState.step === 'AWAITING_IMAGE') {
+                await handleProductVideo(phone, messageObj.video.id, currentState, sellerContext);
+                return;
+            }
+            
+            await sendMessage(phone, t(sellerContext.language, 'media.unsolicitedVideo'));
+            await sendMainMenu(phone, sellerContext);
+            return;
+        }
+        
+        // Step 6: Spreadsheets from sellers are bulk stock / price updates
+        if (msgType === 'document' && sellerContext.exists && !sellerContext.needsOnboarding) {
+            await handleInventoryDocument(phone, messageObj.document, sellerContext);
             return;
         }
         
         // Unknown message type
-        await sendMessage(phone, "I can process text messages, images, and button selections.");
+        await sendMessage(phone, t(sellerContext.language, 'general.unsupportedType'));
         await sendMainMenu(phone, sellerContext);
 
     } catch (error) {
         console.error('❌ [PROCESS] Error:', error);
-        await sendMessage(phone, "Sorry, something went wrong. Please try again.");
+        await sendMessage(phone, t(DEFAULT_LANGUAGE, 'general.error'));
     }
 }
 
@@ -304,22 +613,45 @@ async function processMessage(phone, msgType, messageObj) {
  */
 async function handleStatefulTextInput(phone, text, state, sellerContext) {
     const { step, intent, data } = state;
+    const lang = sellerContext.language;
     
     switch (step) {
+        case 'AWAITING_LANGUAGE':
+            await sendMessage(phone, t(lang, 'language.tapToChoose'));
+            await sendLanguagePicker(phone, lang);
+            break;
+            
         case 'AWAITING_NAME':
             // Save name, ask for store name
-            setState(phone, 'AWAITING_STORE_NAME', 'ONBOARDING', { name: text.trim() });
-            await sendMessage(phone, `Nice to meet you, *${text.trim()}*! 👋\n\nWhat's your store name?`);
+            await setState(phone, 'AWAITING_STORE_NAME', 'ONBOARDING', { name: text.trim() });
+            await sendMessage(phone, t(lang, 'onboarding.askStoreName', { name: text.trim() }));
             break;
             
         case 'AWAITING_STORE_NAME':
             // Complete onboarding
-            await completeOnboarding(phone, data.name, text.trim());
+            await completeOnboarding(phone, data.name, text.trim(), lang);
             break;
             
         case 'AWAITING_PRODUCT_DETAILS':
-            // Parse product details and create product
-            await createProductFromText(phone, text, data.imageUrl, sellerContext);
+            // Parse product details, then ask for category and specs
+            await startProductWizard(phone, text, sellerContext);
+            break;
+            
+        case 'AWAITING_CATEGORY':
+            await sendMessage(phone, t(lang, 'wizard.pickCategory'));
+            break;
+            
+        case 'AWAITING_SPEC':
+            await handleSpecTextInput(phone, text, state, sellerContext);
+            break;
+            
+        case 'CONFIRM_PRODUCT':
+            await sendMessage(phone, t(lang, 'confirm.tapToContinue'));
+            await sendProductConfirmation(phone, state.data, lang);
+            break;
+            
+        case 'AWAITING_PRODUCT_SEARCH':
+            await sendProductSelectionList(phone, data.operation, sellerContext, { search: text.trim() });
             break;
             
         case 'AWAITING_UPDATE_VALUE':
@@ -327,9 +659,39 @@ async function handleStatefulTextInput(phone, text, state, sellerContext) {
             await applyProductUpdate(phone, data.productId, data.field, text, sellerContext);
             break;
             
+        case 'AWAITING_UPDATE_IMAGES':
+            await sendInteractiveButtons(phone, null, t(lang, 'photos.sendPhoto'), null, [
+                { id: 'PHOTOS_DONE', title: t(lang, 'btn.done') }
+            ]);
+            break;
+            
+        // ===== Buyer flow =====
+        case 'AWAITING_SEARCH_QUERY':
+            await handleBuyerSearch(phone, text);
+            break;
+            
+        case 'AWAITING_ORDER_QUANTITY':
+            await handleBuyerQuantity(phone, parseInt(text.replace(/[^\d]/g, '')));
+            break;
+            
+        case 'AWAITING_BUYER_NAME':
+            await setState(phone, 'AWAITING_BUYER_ADDRESS', 'BUYER_ORDER', { customerName: text.trim() });
+            await sendMessage(phone, t(BUYER_LANGUAGE, 'buyer.askAddress'));
+            break;
+            
+        case 'AWAITING_BUYER_ADDRESS':
+            await setState(phone, 'AWAITING_BUYER_CITY', 'BUYER_ORDER', { street: text.trim() });
+            await sendMessage(phone, t(BUYER_LANGUAGE, 'buyer.askCity'));
+            break;
+            
+        case 'AWAITING_BUYER_CITY':
+            await setState(phone, 'CONFIRM_ORDER', 'BUYER_ORDER', { city: text.trim() });
+            await sendOrderConfirmation(phone);
+            break;
+            
         default:
             // Unknown state - reset and show menu
-            clearState(phone);
+            await clearState(phone);
             await sendMainMenu(phone, sellerContext);
     }
 }
@@ -343,7 +705,8 @@ async function getSellerContext(phone) {
     let seller = await Seller.findOne({ phone: phone });
 
     if (!seller) {
-        const pending = pendingSellerContext.get(phone) || {};
+        // Onboarding answers collected so far live in the persisted state
+        const { data: pending } = await getState(phone);
         return {
             exists: false,
             id: null,
@@ -351,6 +714,7 @@ async function getSellerContext(phone) {
             storeName: pending.storeName || null,
             onboardingStep: 'new',
             status: 'pending',
+            language: pending.language || DEFAULT_LANGUAGE,
             needsOnboarding: true
         };
     }
@@ -364,6 +728,7 @@ async function getSellerContext(phone) {
         storeName: seller.storeName || null,
         onboardingStep: seller.onboardingStep,
         status: seller.status,
+        language: seller.language || DEFAULT_LANGUAGE,
         needsOnboarding: needsOnboarding
     };
 }
@@ -373,17 +738,14 @@ async function getSellerContext(phone) {
 /**
  * Handle image upload to Cloudinary
  */
-async function handleImageUpload(phone, imageId) {
+async function handleImageUpload(phone, imageId, lang) {
     try {
-        await sendMessage(phone, "⏳ Processing your image...");
+        await sendMessage(phone, t(lang, 'media.processingImage'));
         
         const { buffer, fileSize } = await downloadWhatsAppMedia(imageId);
         
         if (fileSize > MAX_IMAGE_SIZE) {
-            await sendMessage(phone, 
-                `❌ Image is too large (${(fileSize / 1024 / 1024).toFixed(2)}MB).\n` +
-                "Maximum allowed: 2MB"
-            );
+            await sendMessage(phone, t(lang, 'media.imageTooLarge', { size: (fileSize / 1024 / 1024).toFixed(2) }));
             return null;
         }
         
@@ -398,553 +760,2776 @@ async function handleImageUpload(phone, imageId) {
         
     } catch (error) {
         console.error('❌ [IMAGE] Upload error:', error);
-        await sendMessage(phone, "❌ Failed to process image. Please try again.");
+        await sendMessage(phone, t(lang, 'media.imageFailed'));
         return null;
     }
 }
 
-// ============ DEPRECATED: AI-Based Intent Classification ============
-// These functions have been disabled in favor of button-driven deterministic flow.
-// Kept for reference only - DO NOT INVOKE.
+/**
+ * Handle video upload to Cloudinary
+ */
+async function handleVideoUpload(phone, videoId, lang) {
+    try {
+        await sendMessage(phone, t(lang, 'media.processingVideo'));
+        
+        const { buffer, fileSize } = await downloadWhatsAppMedia(videoId);
+        
+        if (fileSize > MAX_VIDEO_SIZE) {
+            await sendMessage(phone, t(lang, 'media.videoTooLarge', { size: (fileSize / 1024 / 1024).toFixed(2) }));
+            return null;
+        }
+        
+        const uploadResult = await uploadToCloudinary(buffer, {
+            folder: 'badminton-store/videos',
+            resource_type: 'video',
+            eager: [{ format: 'mp4' }]
+        });
 
-/*
-function getLocalIntent(messageContent, sellerContext) {
-    // DEPRECATED - AI-based intent parsing removed
-    // Use getIntentFromButton() instead with WhatsApp Interactive Messages
-    return null;
+        console.log('✅ [VIDEO] Uploaded:', uploadResult.secure_url);
+        return { url: uploadResult.secure_url, publicId: uploadResult.public_id };
+        
+    } catch (error) {
+        console.error('❌ [VIDEO] Upload error:', error);
+        await sendMessage(phone, t(lang, 'media.videoFailed'));
+        return null;
+    }
 }
 
-async function getIntentFromN8N(phone, messageType, messageContent, imageUrl, sellerContext) {
-    // DEPRECATED - n8n/Groq AI calls removed for cost and scalability
-    // Intent is now determined by button IDs only
-    console.warn('⚠️ [DEPRECATED] getIntentFromN8N called but disabled');
-    return null;
+/**
+ * Add a photo to the product being created (up to MAX_IMAGES)
+ */
+async function handleProductImage(phone, imageId, state, sellerContext) {
+    const lang = sellerContext.language;
+    
+    if ((state.data.images || []).length >= MAX_IMAGES) {
+        await sendMessage(phone, t(lang, 'media.photoLimit', { max: MAX_IMAGES }));
+        await sendMediaProgress(phone, state.data, lang);
+        return;
+    }
+    
+    const imageUrl = await handleImageUpload(phone, imageId, lang);
+    if (!imageUrl) return;
+    
+    const updated = await pushStateData(phone, 'images', imageUrl, MAX_IMAGES);
+    if (!updated) {
+        // Limit reached by a parallel upload (or the flow expired) - drop this one
+        const publicId = getPublicIdFromUrl(imageUrl);
+        if (publicId) await deleteFromCloudinary(publicId, 'image');
+        await sendMessage(phone, t(lang, 'media.photoLimit', { max: MAX_IMAGES }));
+        return;
+    }
+    
+    // Nothing left to collect once both limits are reached
+    if (updated.data.images.length >= MAX_IMAGES && updated.data.video) {
+        await finishMediaCollection(phone, updated.data, lang);
+        return;
+    }
+    
+    await sendMediaProgress(phone, updated.data, lang);
 }
-*/
 
-// ============ Execute Intent (Button-Driven) ============
+/**
+ * Attach the (single, optional) video to the product being created
+ */
+async function handleProductVideo(phone, videoId, state, sellerContext) {
+    const lang = sellerContext.language;
+    
+    if (state.data.video) {
+        await sendMessage(phone, t(lang, 'media.videoLimit'));
+        await sendMediaProgress(phone, state.data, lang);
+        return;
+    }
+    
+    const video = await handleVideoUpload(phone, videoId, lang);
+    if (!video) return;
+    
+    await setState(phone, 'AWAITING_IMAGE', 'CREATE_PRODUCT', { video });
+    const updated = await getState(phone);
+    await sendMediaProgress(phone, updated.data, lang);
+}
 
 /**
- * Execute action based on deterministic button intent
+ * Show how much media has been collected with Done / Add More buttons
  */
-async function executeIntent(phone, instruction, imageUrl, sellerContext) {
-    const { intent, action } = instruction;
+async function sendMediaProgress(phone, data, lang) {
+    const imageCount = (data.images || []).length;
+    
+    let next;
+    if (imageCount >= MAX_IMAGES) {
+        next = t(lang, 'media.nextLimitReached');
+    } else {
+        next = t(lang, data.video ? 'media.nextPhotos' : 'media.nextPhotosOrVideo');
+    }
+    
+    await sendInteractiveButtons(
+        phone,
+        null,
+        t(lang, data.video ? 'media.progressWithVideo' : 'media.progress', { count: imageCount, max: MAX_IMAGES }) +
+        '\n\n' + next,
+        null,
+        [
+            { id: 'MEDIA_DONE', title: t(lang, 'btn.done') },
+            { id: 'MEDIA_ADD_MORE', title: t(lang, 'btn.addMore') }
+        ]
+    );
+}
 
-    console.log('⚡ [EXECUTE] Intent:', intent, 'Action:', JSON.stringify(action));
+/**
+ * Move from media collection to the product details step
+ */
+async function finishMediaCollection(phone, data, lang) {
+    if (!data.images || data.images.length === 0) {
+        await sendMessage(phone, t(lang, 'media.needPhoto'));
+        return;
+    }
+    
+    await setState(phone, 'AWAITING_PRODUCT_DETAILS', 'CREATE_PRODUCT');
+    await sendMessage(phone, 
+        t(lang, data.video ? 'media.savedWithVideo' : 'media.saved', { count: data.images.length }) +
+        '\n\n' + t(lang, 'details.prompt')
+    );
+}
 
-    switch (intent) {
-        // ===== Menu & Navigation =====
-        case 'SHOW_MENU':
-            await sendMainMenu(phone, sellerContext);
-            break;
-        
-        case 'CANCEL_FLOW':
-            clearState(phone);
-            await sendMessage(phone, "✅ Cancelled.");
-            await sendMainMenu(phone, sellerContext);
-            break;
+// ============ Product Wizard (Category & Specs) ============
 
-        // ===== Onboarding =====
-        case 'ONBOARDING_START':
-            setState(phone, 'AWAITING_NAME', 'ONBOARDING');
-            await sendMessage(phone, "Welcome! 👋\n\nLet's set up your store.\n\nFirst, what's your name?");
-            break;
+/*
+ * Spec steps per category. Option values mirror the enums on the Product model.
+ * Steps with `options` are answered by tapping a button/list row, steps with
+ * `allowText` also accept a typed answer. Every step can be skipped.
+ * Prompts live in the message catalog as `spec.<key>`.
+ */
+const SPEC_WIZARD = {
+    rackets: [
+        { key: 'brand', options: KNOWN_BRANDS, allowText: true },
+        { group: 'racketSpecs', key: 'weightClass', options: ['2U', '3U', '4U', '5U'] },
+        { group: 'racketSpecs', key: 'balance', options: ['head-heavy', 'even', 'head-light'] },
+        { group: 'racketSpecs', key: 'flexibility', options: ['extra-stiff', 'stiff', 'medium', 'flexible'] },
+        { group: 'racketSpecs', key: 'gripSize', options: ['G4', 'G5', 'G6', 'G7'] },
+        { group: 'racketSpecs', key: 'stringStatus', options: ['strung', 'unstrung'] }
+    ],
+    shoes: [
+        { key: 'brand', options: KNOWN_BRANDS, allowText: true },
+        { group: 'shoeSpecs', key: 'sizeEU', allowText: true },
+        { group: 'shoeSpecs', key: 'sizeUK', allowText: true },
+        { group: 'shoeSpecs', key: 'sizeUS', allowText: true },
+        { group: 'shoeSpecs', key: 'width', options: ['narrow', 'standard', 'wide'] },
+        { group: 'shoeSpecs', key: 'closureType', options: ['lace-up', 'velcro', 'slip-on'] }
+    ],
+    accessories: [
+        { key: 'brand', options: KNOWN_BRANDS, allowText: true },
+        { group: 'accessorySpecs', key: 'accessoryType', options: ['grip', 'string', 'towel', 'wristband', 'headband', 'socks', 'other'] }
+    ]
+};
 
-        // ===== Product CRUD - Initiation =====
-        case 'CREATE_PRODUCT':
-            if (sellerContext.needsOnboarding) {
-                await sendMessage(phone, "Please complete your registration first!");
-                await sendOnboardingWelcome(phone);
-                return;
-            }
-            setState(phone, 'AWAITING_IMAGE', 'CREATE_PRODUCT');
-            await sendMessage(phone, "📷 Send a photo of your product.\n\n_Make sure it's clear and under 2MB._");
-            break;
+/**
+ * Read a wizard answer from the collected fields
+ */
+function getWizardField(fields, step) {
+    return step.group ? fields[step.group]?.[step.key] : fields[step.key];
+}
 
-        case 'LIST_PRODUCTS':
-            if (sellerContext.needsOnboarding) {
-                await sendMessage(phone, "Please complete your registration first!");
-                await sendOnboardingWelcome(phone);
-                return;
-            }
-            await handleListProducts(phone, sellerContext);
-            break;
+/**
+ * Format an option value as a button title ('head-heavy' -> 'Head-heavy')
+ */
+function formatOptionTitle(value) {
+    return value.charAt(0).toUpperCase() + value.slice(1);
+}
 
-        case 'UPDATE_PRODUCT':
-            if (sellerContext.needsOnboarding) {
-                await sendMessage(phone, "Please complete your registration first!");
-                await sendOnboardingWelcome(phone);
-                return;
-            }
-            await sendProductSelectionList(phone, 'update', sellerContext);
-            break;
+/**
+ * Parse the free-text details and start the category picker
+ */
+async function startProductWizard(phone, text, sellerContext) {
+    const lang = sellerContext.language;
+    // e.g. "Astrox 88D 4U, 15k, used 8/10, 2 pcs" - see services/productTextParser.js
+    const parsed = parseProductDetails(text);
+    
+    // Anything the parser recognised pre-fills the wizard, so those steps are skipped
+    const fields = {};
+    if (parsed.brand) {
+        fields.brand = parsed.brand;
+    }
+    if (Object.keys(parsed.racketSpecs).length > 0) {
+        fields.racketSpecs = parsed.racketSpecs;
+    }
+    
+    await setState(phone, 'AWAITING_CATEGORY', 'CREATE_PRODUCT', {
+        details: {
+            name: parsed.name,
+            description: parsed.description || text,
+            price: parsed.price,
+            stock: parsed.stock,
+            condition: parsed.condition,
+            conditionRating: parsed.conditionRating
+        },
+        fields,
+        specIndex: 0
+    });
+    
+    await sendCategoryPicker(phone, lang);
+}
 
-        case 'DELETE_PRODUCT':
-            if (sellerContext.needsOnboarding) {
-                await sendMessage(phone, "Please complete your registration first!");
-                await sendOnboardingWelcome(phone);
+/**
+ * Category list of the Add Product wizard (Skip files it under accessories)
+ */
+async function sendCategoryPicker(phone, lang) {
+    await sendInteractiveList(
+        phone,
+        t(lang, 'wizard.categoryHeader'),
+        t(lang, 'wizard.categoryBody'),
+        null,
+        t(lang, 'list.chooseCategory'),
+        [{
+            title: t(lang, 'section.categories'),
+            rows: [
+                ...Object.keys(CATEGORY_LABELS).map(category => ({
+                    id: 'WIZ_CAT_' + category,
+                    title: t(lang, 'row.category.' + category)
+                })),
+                { id: 'WIZ_SKIP', title: t(lang, 'row.skip'), description: t(lang, 'desc.skipCategory') }
+            ]
+        }]
+    );
+}
+
+/**
+ * Save the chosen category and continue with its spec steps
+ */
+async function applyWizardCategory(phone, category, sellerContext) {
+    const state = await getState(phone);
+    
+    if (state.step !== 'AWAITING_CATEGORY' || !CATEGORY_LABELS[category]) {
+        await sendMainMenu(phone, sellerContext);
+        return;
+    }
+    
+    await setState(phone, 'AWAITING_SPEC', 'CREATE_PRODUCT', { category, specIndex: 0 });
+    await sendNextSpecStep(phone, sellerContext);
+}
+
+/**
+ * Save a tapped (or typed) wizard answer; null means "Skip"
+ */
+async function applyWizardValue(phone, value, sellerContext) {
+    const state = await getState(phone);
+    
+    // Skipping the category picker files the product under accessories
+    if (state.step === 'AWAITING_CATEGORY' && value === null) {
+        await setState(phone, 'AWAITING_SPEC', 'CREATE_PRODUCT', { category: 'accessories', specIndex: 0 });
+        await sendNextSpecStep(phone, sellerContext);
+        return;
+    }
+    
+    if (state.step !== 'AWAITING_SPEC') {
+        await sendMainMenu(phone, sellerContext);
+        return;
+    }
+    
+    const steps = SPEC_WIZARD[state.data.category] || [];
+    const step = steps[state.data.specIndex];
+    if (!step) {
+        await sendNextSpecStep(phone, sellerContext);
+        return;
+    }
+    
+    // Ignore values that are not valid for this step (stale or forged buttons)
+    if (value !== null && step.options && !step.allowText && !step.options.includes(value)) {
+        await sendSpecStep(phone, step, sellerContext.language);
+        return;
+    }
+    
+    const fields = { ...state.data.fields };
+    if (value !== null) {
+        if (step.group) {
+            fields[step.group] = { ...fields[step.group], [step.key]: value };
+        } else {
+            fields[step.key] = value;
+        }
+    }
+    
+    await setState(phone, 'AWAITING_SPEC', 'CREATE_PRODUCT', { fields, specIndex: state.data.specIndex + 1 });
+    await sendNextSpecStep(phone, sellerContext);
+}
+
+/**
+ * Handle typed answers during the spec steps
+ */
+async function handleSpecTextInput(phone, text, state, sellerContext) {
+    const steps = SPEC_WIZARD[state.data.category] || [];
+    const step = steps[state.data.specIndex];
+    
+    if (step && !step.allowText) {
+        await sendMessage(phone, t(sellerContext.language, 'wizard.tapOption'));
+        await sendSpecStep(phone, step, sellerContext.language);
+        return;
+    }
+    
+    await applyWizardValue(phone, text.trim().substring(0, 40), sellerContext);
+}
+
+/**
+ * Ask the next unanswered spec step, or show the confirm screen when done
+ */
+async function sendNextSpecStep(phone, sellerContext) {
+    const state = await getState(phone);
+    const steps = SPEC_WIZARD[state.data.category] || [];
+    const fields = state.data.fields || {};
+    
+    let index = state.data.specIndex || 0;
+    while (index < steps.length && getWizardField(fields, steps[index])) {
+        index++;
+    }
+    
+    if (index >= steps.length) {
+        await setState(phone, 'CONFIRM_PRODUCT', 'CREATE_PRODUCT', { specIndex: index });
+        await sendProductConfirmation(phone, state.data, sellerContext.language);
+        return;
+    }
+    
+    if (index !== state.data.specIndex) {
+        await setState(phone, 'AWAITING_SPEC', 'CREATE_PRODUCT', { specIndex: index });
+    }
+    await sendSpecStep(phone, steps[index], sellerContext.language);
+}
+
+// Reply IDs for a spec step asked by the wizard, or from the update flow (where "Skip" clears the value)
+const SPEC_STEP_REPLIES = {
+    wizard: { valuePrefix: 'WIZ_VAL_', skipId: 'WIZ_SKIP', skipKey: 'skip', hintKey: 'wizard.typeOrSkip' },
+    update: { valuePrefix: 'EDIT_VAL_', skipId: 'EDIT_CLEAR', skipKey: 'clear', hintKey: 'update.typeOrClear' }
+};
+
+/**
+ * Send a single spec step as buttons (≤2 options), a list, or a text prompt
+ */
+async function sendSpecStep(phone, step, lang, mode = 'wizard') {
+    const replies = SPEC_STEP_REPLIES[mode];
+    const prompt = t(lang, 'spec.' + step.key);
+    
+    if (!step.options) {
+        await sendInteractiveButtons(phone, null, `${prompt}\n\n${t(lang, replies.hintKey)}`, null, [
+            { id: replies.skipId, title: t(lang, 'btn.' + replies.skipKey) }
+        ]);
+        return;
+    }
+    
+    // Option values are the product's enum values (e.g. '4U', 'head-heavy') and stay as-is
+    const choices = step.options.map(value => ({ id: replies.valuePrefix + value, title: formatOptionTitle(value) }));
+    
+    if (choices.length <= 2) {
+        await sendInteractiveButtons(phone, null, prompt, null, [
+            ...choices,
+            { id: replies.skipId, title: t(lang, 'btn.' + replies.skipKey) }
+        ]);
+        return;
+    }
+    
+    await sendInteractiveList(
+        phone,
+        null,
+        prompt + (step.allowText ? '\n\n' + t(lang, 'wizard.notListed') : ''),
+        null,
+        t(lang, 'list.choose'),
+        [{
+            title: t(lang, 'section.options'),
+            rows: [...choices, { id: replies.skipId, title: t(lang, 'row.' + replies.skipKey) }]
+        }]
+    );
+}
+
+/**
+ * Spec values that apply to the chosen category (drops e.g. a parsed "4U" on shoes)
+ */
+function getCategoryFields(category, fields) {
+    const groups = new Set((SPEC_WIZARD[category] || []).map(step => step.group).filter(Boolean));
+    const result = {};
+    
+    for (const [key, value] of Object.entries(fields || {})) {
+        const isSpecGroup = key.endsWith('Specs');
+        if (!isSpecGroup || groups.has(key)) {
+            result[key] = value;
+        }
+    }
+    return result;
+}
+
+/**
+ * "New" or "Used (8/10)"
+ */
+function formatCondition(lang, product) {
+    let condition = t(lang, product.condition === 'used' ? 'product.used' : 'product.new');
+    if (product.condition === 'used' && product.conditionRating) {
+        condition += ` (${product.conditionRating}/10)`;
+    }
+    return condition;
+}
+
+/**
+ * Product summary lines shared by the confirm screen and the "created" message
+ */
+function formatProductSummary(lang, product) {
+    const specs = Object.entries(product)
+        .filter(([key]) => key.endsWith('Specs'))
+        .flatMap(([, group]) => Object.values(group || {}))
+        .filter(Boolean);
+    const images = product.images || [];
+    const condition = formatCondition(lang, product);
+    
+    return `📦 *${product.name || t(lang, 'product.defaultName')}*\n` +
+        t(lang, 'product.category', { category: t(lang, 'row.category.' + (product.category || 'accessories')) }) + '\n' +
+        t(lang, 'product.brand', { brand: product.brand || 'Generic' }) + '\n' +
+        t(lang, 'product.price', { price: (product.price || 0).toLocaleString() }) + '\n' +
+        t(lang, 'product.stock', { stock: product.stock || 0 }) + '\n' +
+        t(lang, 'product.condition', { condition }) + '\n' +
+        (specs.length > 0 ? t(lang, 'product.specs', { specs: specs.join(', ') }) + '\n' : '') +
+        t(lang, product.video ? 'product.mediaWithVideo' : 'product.media', { count: images.length });
+}
+
+/**
+ * Summarise the collected product and ask the seller to save it
+ */
+async function sendProductConfirmation(phone, data, lang) {
+    const details = data.details || {};
+    
+    const summary = t(lang, 'confirm.title') + '\n\n' +
+        formatProductSummary(lang, {
+            ...details,
+            stock: details.stock || 1,
+            category: data.category,
+            ...getCategoryFields(data.category, data.fields),
+            images: data.images,
+            video: data.video
+        }) +
+        (details.price ? '' : '\n\n' + t(lang, 'confirm.noPrice'));
+    
+    await sendInteractiveButtons(phone, null, summary, null, [
+        { id: 'PRODUCT_SAVE', title: t(lang, 'btn.save') },
+        { id: 'PRODUCT_REENTER', title: t(lang, 'btn.editDetails') },
+        { id: 'CANCEL', title: t(lang, 'btn.cancel') }
+    ]);
+}
+
+/**
+ * Save the product once the seller confirms it
+ */
+async function confirmProductCreation(phone, sellerContext) {
+    const state = await getState(phone);
+    
+    if (state.step !== 'CONFIRM_PRODUCT') {
+        await sendMainMenu(phone, sellerContext);
+        return;
+    }
+    
+    await createProductFromWizard(phone, state.data, sellerContext);
+}
+
+/**
+ * Go back to the details step, keeping the uploaded photos and video
+ */
+async function restartProductDetails(phone, sellerContext) {
+    const state = await getState(phone);
+    
+    if (state.step !== 'CONFIRM_PRODUCT') {
+        await sendMainMenu(phone, sellerContext);
+        return;
+    }
+    
+    await setState(phone, 'AWAITING_PRODUCT_DETAILS', 'CREATE_PRODUCT', {
+        details: null,
+        fields: {},
+        category: null,
+        specIndex: 0
+    });
+    await sendMessage(phone, t(sellerContext.language, 'details.reenter'));
+}
+
+// ============ Product Drafts (Resume After Timeout) ============
+
+/**
+ * Product fields collected by the media step and the wizard so far
+ */
+function getWizardProductFields(data) {
+    const details = data.details || {};
+    
+    return {
+        name: details.name || 'New Product',
+        description: details.description || '',
+        price: details.price || 0,
+        stock: details.stock || 1,
+        condition: details.condition || 'new',
+        conditionRating: details.conditionRating || 10,
+        category: data.category || 'accessories',
+        ...getCategoryFields(data.category, data.fields),
+        images: data.images || [],
+        video: data.video || null
+    };
+}
+
+/**
+ * Save an Add Product flow that has photos as the seller's draft
+ * (services/productDrafts.js), together with the step it is at
+ */
+async function syncProductDraft(phone) {
+    const state = await getState(phone);
+    if (state.intent !== 'CREATE_PRODUCT' || (state.data.images || []).length === 0) return;
+    
+    const seller = await Seller.findOne({ phone, onboardingStep: 'complete' }).select('_id');
+    if (!seller) return;
+    
+    // The snapshot leaves the draft ID out - resuming sets it again
+    const { draftId, ...data } = state.data;
+    await saveProductDraft(phone, seller._id, getWizardProductFields(state.data), { step: state.step, data });
+}
+
+/**
+ * Offer "Continue your draft of X?" instead of the menu; resolves to false
+ * when the seller has no draft to continue
+ */
+async function offerProductDraft(phone, sellerContext) {
+    const lang = sellerContext.language;
+    const draft = await findResumableDraft(sellerContext.id);
+    if (!draft) return false;
+    
+    await sendInteractiveButtons(
+        phone,
+        null,
+        t(lang, 'draft.offer', { name: draft.name, photos: draft.images.length }),
+        null,
+        [
+            { id: `DRAFT_CONTINUE_${draft._id}`, title: t(lang, 'btn.continueDraft') },
+            { id: `DRAFT_DISCARD_${draft._id}`, title: t(lang, 'btn.discardDraft') },
+            { id: 'MAIN_MENU', title: t(lang, 'btn.menu') }
+        ]
+    );
+    return true;
+}
+
+/**
+ * Restore the Add Product flow saved with a draft and ask its question again
+ */
+async function resumeProductDraft(phone, productId, sellerContext) {
+    const lang = sellerContext.language;
+    
+    try {
+        const draft = await findOwnedProduct(phone, productId, sellerContext, 'resume');
+        if (!draft) return;
+        
+        if (draft.status !== 'draft' || !draft.draftFlow) {
+            await sendMessage(phone, t(lang, 'draft.gone'));
+            await sendMainMenu(phone, sellerContext);
+            return;
+        }
+        
+        const { step, data } = draft.draftFlow;
+        await clearState(phone);
+        await setState(phone, step, 'CREATE_PRODUCT', { ...data, draftId: draft._id.toString() });
+        await sendMessage(phone, t(lang, 'draft.resumed', { name: draft.name }));
+        await sendCreationStep(phone, sellerContext);
+        
+    } catch (error) {
+        console.error('❌ [DRAFT] Resume error:', error);
+        await sendMessage(phone, t(lang, 'general.error'));
+    }
+}
+
+/**
+ * Ask the question of the Add Product step the state is at
+ */
+async function sendCreationStep(phone, sellerContext) {
+    const lang = sellerContext.language;
+    const state = await getState(phone);
+    
+    switch (state.step) {
+        case 'AWAITING_IMAGE':
+            await sendMediaProgress(phone, state.data, lang);
+            break;
+        case 'AWAITING_PRODUCT_DETAILS':
+            await sendMessage(phone, t(lang, 'details.prompt'));
+            break;
+        case 'AWAITING_CATEGORY':
+            await sendCategoryPicker(phone, lang);
+            break;
+        case 'AWAITING_SPEC':
+            await sendNextSpecStep(phone, sellerContext);
+            break;
+        default:
+            await sendProductConfirmation(phone, state.data, lang);
+    }
+}
+
+/**
+ * Discard a draft from the "Continue your draft?" offer or the reminder
+ */
+async function discardDraftFromButton(phone, productId, sellerContext) {
+    const lang = sellerContext.language;
+    
+    try {
+        // Seller filter - the ID comes from a button and could be forged
+        const draft = await discardProductDraft(productId, sellerContext.id);
+        
+        // The flow the draft was saved from ends with it
+        const state = await getState(phone);
+        if (state.data.draftId === productId) {
+            await clearState(phone);
+        }
+        
+        if (draft) {
+            await sendMessage(phone, t(lang, 'draft.discarded', { name: draft.name, days: getTrashDays() }));
+        } else {
+            await sendMessage(phone, t(lang, 'draft.gone'));
+        }
+        await sendMainMenu(phone, sellerContext);
+        
+    } catch (error) {
+        console.error('❌ [DRAFT] Discard error:', error);
+        await sendMessage(phone, t(lang, 'general.error'));
+    }
+}
+
+// ============ DEPRECATED: AI-Based Intent Classification ============
+// These functions have been disabled in favor of button-driven deterministic flow.
+// Kept for reference only - DO NOT INVOKE.
+
+/*
+function getLocalIntent(messageContent, sellerContext) {
+    // DEPRECATED - AI-based intent parsing removed
+    // Use getIntentFromButton() instead with WhatsApp Interactive Messages
+    return null;
+}
+
+async function getIntentFromN8N(phone, messageType, messageContent, imageUrl, sellerContext) {
+    // DEPRECATED - n8n/Groq AI calls removed for cost and scalability
+    // Intent is now determined by button IDs only
+    console.warn('⚠️ [DEPRECATED] getIntentFromN8N called but disabled');
+    return null;
+}
+*/
+
+// ============ Execute Intent (Button-Driven) ============
+
+/**
+ * Execute action based on deterministic button intent
+ */
+async function executeIntent(phone, instruction, imageUrl, sellerContext) {
+    const { intent, action } = instruction;
+
+    console.log('⚡ [EXECUTE] Intent:', intent, 'Action:', JSON.stringify(action));
+
+    switch (intent) {
+        // ===== Menu & Navigation =====
+        case 'SHOW_MENU':
+            await sendMainMenu(phone, sellerContext);
+            break;
+        
+        case 'CANCEL_FLOW': {
+            // Cancelling Add Product throws its draft away too
+            const cancelState = await getState(phone);
+            if (cancelState.intent === 'CREATE_PRODUCT' && cancelState.data.draftId && sellerContext.exists) {
+                await discardProductDraft(cancelState.data.draftId, sellerContext.id);
+            }
+            await clearState(phone);
+            await sendMessage(phone, t(sellerContext.language, 'general.cancelled'));
+            await sendMainMenu(phone, sellerContext);
+            break;
+        }
+
+        // ===== Onboarding =====
+        case 'ONBOARDING_START':
+            // Language first, so the rest of onboarding is in the seller's language
+            await setState(phone, 'AWAITING_LANGUAGE', 'ONBOARDING');
+            await sendLanguagePicker(phone, sellerContext.language);
+            break;
+
+        // ===== Language =====
+        case 'CHANGE_LANGUAGE':
+            await setState(phone, 'AWAITING_LANGUAGE', 'CHANGE_LANGUAGE');
+            await sendLanguagePicker(phone, sellerContext.language);
+            break;
+
+        case 'SET_LANGUAGE':
+            await applyLanguageChoice(phone, action.language, sellerContext);
+            break;
+
+        // ===== Product CRUD - Initiation =====
+        case 'CREATE_PRODUCT':
+            if (sellerContext.needsOnboarding) {
+                await sendMessage(phone, t(sellerContext.language, 'general.registerFirst'));
+                await sendOnboardingWelcome(phone, sellerContext);
                 return;
             }
-            await sendProductSelectionList(phone, 'delete', sellerContext);
+            await clearState(phone);
+            await setState(phone, 'AWAITING_IMAGE', 'CREATE_PRODUCT', { images: [], video: null });
+            await sendMessage(phone, t(sellerContext.language, 'media.start', { max: MAX_IMAGES }));
+            break;
+
+        case 'MEDIA_ADD_MORE': {
+            const mediaState = await getState(phone);
+            if (mediaState.step !== 'AWAITING_IMAGE') {
+                await sendMainMenu(phone, sellerContext);
+                return;
+            }
+            const remaining = MAX_IMAGES - (mediaState.data.images || []).length;
+            let prompt = 'media.limitReached';
+            if (remaining > 0) {
+                prompt = mediaState.data.video ? 'media.nextPhoto' : 'media.nextPhotoOrVideo';
+            }
+            await sendMessage(phone, t(sellerContext.language, prompt, { remaining }));
+            break;
+        }
+
+        case 'MEDIA_DONE': {
+            const mediaState = await getState(phone);
+            if (mediaState.step !== 'AWAITING_IMAGE') {
+                await sendMainMenu(phone, sellerContext);
+                return;
+            }
+            await finishMediaCollection(phone, mediaState.data, sellerContext.language);
+            break;
+        }
+
+        case 'LIST_PRODUCTS':
+            if (sellerContext.needsOnboarding) {
+                await sendMessage(phone, t(sellerContext.language, 'general.registerFirst'));
+                await sendOnboardingWelcome(phone, sellerContext);
+                return;
+            }
+            await handleListProducts(phone, sellerContext, action.page || 0);
+            break;
+
+        case 'UPDATE_PRODUCT':
+            if (sellerContext.needsOnboarding) {
+                await sendMessage(phone, t(sellerContext.language, 'general.registerFirst'));
+                await sendOnboardingWelcome(phone, sellerContext);
+                return;
+            }
+            await sendProductSelectionList(phone, 'update', sellerContext);
             break;
 
-        // ===== Product Selection (from list) =====
-        case 'UPDATE_PRODUCT_SELECTED':
-            await sendUpdateFieldButtons(phone, action.productId);
-            break;
+        case 'DELETE_PRODUCT':
+            if (sellerContext.needsOnboarding) {
+                await sendMessage(phone, t(sellerContext.language, 'general.registerFirst'));
+                await sendOnboardingWelcome(phone, sellerContext);
+                return;
+            }
+            await sendProductSelectionList(phone, 'delete', sellerContext);
+            break;
+
+        // ===== Seller Menu: Orders, Store & Account =====
+        case 'SELLER_ORDERS':
+        case 'SELLER_STATS':
+        case 'STORE_LINK':
+        case 'APPROVAL_STATUS':
+        case 'WEB_LOGIN':
+        case 'DIGEST_SETTINGS':
+        case 'SET_DIGEST':
+            if (sellerContext.needsOnboarding) {
+                await sendMessage(phone, t(sellerContext.language, 'general.registerFirst'));
+                await sendOnboardingWelcome(phone, sellerContext);
+                return;
+            }
+            if (intent === 'SELLER_ORDERS') {
+                await sendSellerOrders(phone, sellerContext);
+            } else if (intent === 'SELLER_STATS') {
+                await sendSellerStats(phone, sellerContext);
+            } else if (intent === 'STORE_LINK') {
+                await sendStoreLink(phone, sellerContext);
+            } else if (intent === 'WEB_LOGIN') {
+                await sendWebLogin(phone, sellerContext);
+            } else if (intent === 'DIGEST_SETTINGS') {
+                await sendDigestSettings(phone, sellerContext);
+            } else if (intent === 'SET_DIGEST') {
+                await applyDigestChoice(phone, action.frequency, sellerContext);
+            } else {
+                await sendApprovalStatus(phone, sellerContext);
+            }
+            break;
+
+        // ===== Product Picker Paging & Search =====
+        case 'PICKER_PAGE': {
+            const pickerState = await getState(phone);
+            if (!pickerState.data.operation || sellerContext.needsOnboarding) {
+                await sendMainMenu(phone, sellerContext);
+                return;
+            }
+            await sendProductSelectionList(phone, pickerState.data.operation, sellerContext, {
+                page: action.page,
+                search: action.clearSearch ? null : pickerState.data.search
+            });
+            break;
+        }
+
+        case 'PICKER_SEARCH': {
+            const pickerState = await getState(phone);
+            if (!pickerState.data.operation || sellerContext.needsOnboarding) {
+                await sendMainMenu(phone, sellerContext);
+                return;
+            }
+            await setState(phone, 'AWAITING_PRODUCT_SEARCH', pickerState.intent);
+            await sendMessage(phone, t(sellerContext.language, 'picker.searchPrompt'));
+            break;
+        }
+
+        // ===== Product Selection (from list) =====
+        case 'UPDATE_PRODUCT_SELECTED':
+            await sendUpdateFieldList(phone, action.productId, sellerContext);
+            break;
+
+        case 'DELETE_PRODUCT_SELECTED':
+            await sendDeleteConfirmation(phone, action.productId, sellerContext);
+            break;
+
+        // ===== Update Field Selection =====
+        case 'UPDATE_FIELD_SELECT':
+            await startFieldUpdate(phone, action.field, sellerContext);
+            break;
+
+        case 'UPDATE_FIELD_VALUE': {
+            const valueState = await getState(phone);
+            if (valueState.step !== 'AWAITING_UPDATE_VALUE') {
+                await sendMainMenu(phone, sellerContext);
+                return;
+            }
+            await applyProductUpdate(phone, valueState.data.productId, valueState.data.field, action.value, sellerContext);
+            break;
+        }
+
+        case 'SPECS_MENU':
+            await sendSpecFieldList(phone, sellerContext);
+            break;
+
+        // ===== Product Photos (Add, Replace, Remove) =====
+        case 'PHOTOS_MENU':
+            await sendPhotoButtons(phone, sellerContext);
+            break;
+
+        case 'PHOTOS_EDIT':
+            await startPhotoUpdate(phone, action.mode, sellerContext);
+            break;
+
+        case 'PHOTOS_DONE':
+            await finishPhotoUpdate(phone, sellerContext);
+            break;
+
+        case 'PHOTOS_REMOVE_MENU':
+            await sendPhotoRemoveList(phone, sellerContext);
+            break;
+
+        case 'PHOTO_REMOVE':
+            await removeProductPhoto(phone, action.index, sellerContext);
+            break;
+
+        // ===== Listing Status (Mark sold, Reserve...) =====
+        case 'STATUS_MENU':
+            await sendStatusButtons(phone, sellerContext);
+            break;
+
+        case 'SET_PRODUCT_STATUS':
+            await applyProductStatus(phone, action.status, sellerContext);
+            break;
+
+        // ===== Delete Confirmation & Undo =====
+        case 'RESTORE_PRODUCT':
+            if (sellerContext.needsOnboarding) {
+                await sendMessage(phone, t(sellerContext.language, 'general.registerFirst'));
+                await sendOnboardingWelcome(phone, sellerContext);
+                return;
+            }
+            await restoreDeletedProduct(phone, action.productId, sellerContext);
+            break;
+            
+        case 'DELETE_CONFIRM':
+            if (action.confirmed) {
+                const deleteState = await getState(phone);
+                if (deleteState.step !== 'CONFIRM_DELETE') {
+                    await sendMainMenu(phone, sellerContext);
+                    return;
+                }
+                await executeProductDeletion(phone, deleteState.data.productId, sellerContext);
+            } else {
+                await clearState(phone);
+                await sendMessage(phone, t(sellerContext.language, 'delete.cancelled'));
+                await sendMainMenu(phone, sellerContext);
+            }
+            break;
+
+        // ===== Product Wizard (Category & Specs) =====
+        case 'WIZARD_CATEGORY':
+            await applyWizardCategory(phone, action.category, sellerContext);
+            break;
+
+        case 'WIZARD_VALUE':
+            await applyWizardValue(phone, action.value, sellerContext);
+            break;
+
+        case 'PRODUCT_SAVE':
+            await confirmProductCreation(phone, sellerContext);
+            break;
+
+        case 'PRODUCT_REENTER':
+            await restartProductDetails(phone, sellerContext);
+            break;
+
+        // ===== Product Drafts (Continue / Discard) =====
+        case 'DRAFT_CONTINUE':
+            await resumeProductDraft(phone, action.productId, sellerContext);
+            break;
+
+        case 'DRAFT_DISCARD':
+            if (sellerContext.needsOnboarding) {
+                await sendMessage(phone, t(sellerContext.language, 'general.registerFirst'));
+                await sendOnboardingWelcome(phone, sellerContext);
+                return;
+            }
+            await discardDraftFromButton(phone, action.productId, sellerContext);
+            break;
+
+        // ===== Seller Order Notifications =====
+        case 'SELLER_ORDER_DECISION':
+            if (!sellerContext.exists) {
+                await sendMainMenu(phone, sellerContext);
+                return;
+            }
+            await handleSellerOrderDecision(phone, action.orderId, action.accepted, sellerContext);
+            break;
+
+        // ===== Buyer Flow =====
+        case 'BUYER_MENU':
+            await sendBuyerMenu(phone);
+            break;
+
+        case 'BUYER_SEARCH':
+            await setState(phone, 'AWAITING_SEARCH_QUERY', 'BUYER_SEARCH');
+            await sendMessage(phone, t(BUYER_LANGUAGE, 'buyer.searchPrompt'));
+            break;
+
+        case 'BUYER_CATEGORIES':
+            await sendBuyerCategories(phone);
+            break;
+
+        case 'BUYER_CATEGORY_SELECTED':
+            await sendBuyerCategoryProducts(phone, action.category);
+            break;
+
+        case 'BUYER_VIEW_PRODUCT':
+            await sendBuyerProductCard(phone, action.productId);
+            break;
+
+        case 'BUYER_ORDER_START':
+            await startBuyerOrder(phone, action.productId);
+            break;
+
+        case 'BUYER_QUANTITY_SELECTED':
+            await handleBuyerQuantity(phone, action.quantity);
+            break;
+
+        case 'BUYER_CONFIRM_ORDER':
+            await placeBuyerOrder(phone);
+            break;
+
+        default:
+            console.log('⚠️ [EXECUTE] Unknown intent:', intent);
+            await sendMainMenu(phone, sellerContext);
+            break;
+    }
+}
+
+// ============ Intent Handlers (Button-Driven) ============
+
+/**
+ * Complete seller onboarding with name and storeName
+ */
+async function completeOnboarding(phone, name, storeName, lang) {
+    try {
+        const newSeller = new Seller({
+            phone: phone,
+            name: name,
+            storeName: storeName,
+            // Unusable random password - the seller sets a real one via "Get Web Login"
+            password: crypto.randomBytes(32).toString('hex'),
+            passwordSet: false,
+            onboardingStep: 'complete',
+            status: 'pending',
+            language: lang
+        });
+
+        await newSeller.save();
+        await clearState(phone);
+        console.log('👤 [SELLER] New seller created:', phone);
+
+        await sendMessage(phone, t(lang, 'onboarding.complete', { name, storeName }));
+        
+        // Refresh context and show main menu
+        const newContext = await getSellerContext(phone);
+        await sendMainMenu(phone, newContext);
+
+    } catch (error) {
+        console.error('❌ [ONBOARD] Error:', error);
+        await sendMessage(phone, t(lang, 'onboarding.failed'));
+    }
+}
+
+/**
+ * Create the product from the data collected by the media step and the wizard
+ */
+async function createProductFromWizard(phone, data, sellerContext) {
+    const lang = sellerContext.language;
+    
+    try {
+        const seller = await Seller.findOne({ phone: phone });
+        if (!seller || seller.onboardingStep !== 'complete') {
+            console.warn('🚫 [AUTH] Non-seller', phone, 'tried to create a product');
+            await clearState(phone);
+            await sendMessage(phone, t(lang, 'auth.sellersOnly'));
+            await sendMainMenu(phone, sellerContext);
+            return;
+        }
+        const fields = getWizardProductFields(data);
+        
+        // The draft saved from this flow is published in place
+        let newProduct = data.draftId ? await publishProductDraft(data.draftId, seller._id, fields) : null;
+        if (!newProduct) {
+            newProduct = new Product({ ...fields, seller: seller._id });
+            await newProduct.save();
+        }
+        await clearState(phone);
+        console.log('✅ [PRODUCT] Created:', newProduct.name);
+
+        const successMsg = t(lang, 'product.created') + '\n\n' +
+            formatProductSummary(lang, newProduct.toObject()) +
+            (newProduct.price === 0 ? '\n\n' + t(lang, 'product.zeroPriceTip') : '');
+
+        await sendMessage(phone, successMsg);
+        await sendMainMenu(phone, sellerContext);
+
+    } catch (error) {
+        console.error('❌ [PRODUCT] Create error:', error);
+        await sendMessage(phone, t(lang, 'product.createFailed'));
+        await sendMainMenu(phone, sellerContext);
+    }
+}
+
+/**
+ * Load a product only if it belongs to the seller behind this phone number.
+ * Product IDs arrive in button IDs (UPDATE_PRODUCT_<id>), which a crafted
+ * interactive reply can forge, so every mutation goes through here.
+ * Refusals are logged and the seller is told; resolves to null in that case.
+ */
+async function findOwnedProduct(phone, productId, sellerContext, operation) {
+    const lang = sellerContext.language;
+    
+    if (!sellerContext.exists || sellerContext.needsOnboarding) {
+        console.warn('🚫 [AUTH] Non-seller', phone, 'tried to', operation, 'product', productId);
+        await sendMessage(phone, t(lang, 'auth.sellersOnlyManage'));
+        await clearState(phone);
+        await sendMainMenu(phone, sellerContext);
+        return null;
+    }
+    
+    const product = mongoose.isValidObjectId(productId)
+        ? await Product.findOne({ _id: productId, seller: sellerContext.id })
+        : null;
+    
+    if (!product) {
+        const exists = mongoose.isValidObjectId(productId) && await Product.exists({ _id: productId });
+        if (exists) {
+            console.warn('🚫 [AUTH] Seller', sellerContext.id, '(' + phone + ') tried to', operation,
+                'product', productId, 'owned by another seller');
+            await sendMessage(phone, t(lang, 'auth.notYourProduct'));
+        } else {
+            await sendMessage(phone, t(lang, 'product.notFound'));
+        }
+        await clearState(phone);
+        await sendMainMenu(phone, sellerContext);
+        return null;
+    }
+    
+    return product;
+}
+
+// Fields answered by typing; the rest are picked from buttons / lists
+const TEXT_UPDATE_FIELDS = ['price', 'stock', 'name', 'description'];
+const CONDITION_RATINGS = ['10', '9', '8', '7', '6', '5', '4', '3', '2', '1'];
+
+/**
+ * Spec wizard step behind an editable field ('brand' or '<group>.<key>'), or null
+ */
+function getSpecStepForField(category, field) {
+    const [group, key] = field.includes('.') ? field.split('.') : [undefined, field];
+    return (SPEC_WIZARD[category] || []).find(step => step.group === group && step.key === key) || null;
+}
+
+/**
+ * Option matching a tapped or typed answer, ignoring case ('4u' -> '4U')
+ */
+function matchOption(options, value) {
+    const normalized = value.trim().toLowerCase();
+    return options.find(option => option.toLowerCase() === normalized) || null;
+}
+
+/**
+ * Spec values set for the product's category ("4U, head-heavy")
+ */
+function formatProductSpecs(product) {
+    return (SPEC_WIZARD[product.category] || [])
+        .filter(step => step.group)
+        .map(step => product.get(`${step.group}.${step.key}`))
+        .filter(Boolean)
+        .join(', ');
+}
+
+/**
+ * Ask for the new value of a field: a text prompt, buttons or a list
+ */
+async function sendUpdatePrompt(phone, product, field, lang) {
+    if (TEXT_UPDATE_FIELDS.includes(field)) {
+        await sendMessage(phone, t(lang, 'update.prompt.' + field));
+        return;
+    }
+    
+    if (field === 'category') {
+        await sendInteractiveList(
+            phone,
+            t(lang, 'wizard.categoryHeader'),
+            t(lang, 'update.prompt.category', { category: t(lang, 'row.category.' + product.category) }),
+            null,
+            t(lang, 'list.chooseCategory'),
+            [{
+                title: t(lang, 'section.categories'),
+                rows: Object.keys(CATEGORY_LABELS).map(category => ({
+                    id: 'EDIT_VAL_' + category,
+                    title: t(lang, 'row.category.' + category)
+                }))
+            }]
+        );
+        return;
+    }
+    
+    if (field === 'condition') {
+        await sendInteractiveButtons(phone, null, t(lang, 'update.prompt.condition', { condition: formatCondition(lang, product) }), null, [
+            { id: 'EDIT_VAL_new', title: t(lang, 'btn.conditionNew') },
+            { id: 'EDIT_VAL_used', title: t(lang, 'btn.conditionUsed') },
+            { id: 'CANCEL', title: t(lang, 'btn.cancel') }
+        ]);
+        return;
+    }
+    
+    if (field === 'conditionRating') {
+        await sendInteractiveList(
+            phone,
+            null,
+            t(lang, 'update.prompt.conditionRating'),
+            null,
+            t(lang, 'list.choose'),
+            [{
+                title: t(lang, 'section.options'),
+                rows: CONDITION_RATINGS.map(rating => ({ id: 'EDIT_VAL_' + rating, title: `${rating}/10` }))
+            }]
+        );
+        return;
+    }
+    
+    await sendSpecStep(phone, getSpecStepForField(product.category, field), lang, 'update');
+}
+
+/**
+ * Start editing the field picked from the update list (or the specs list)
+ */
+async function startFieldUpdate(phone, field, sellerContext) {
+    const lang = sellerContext.language;
+    const state = await getState(phone);
+    // productId was ownership-checked when the field list was sent
+    if (state.step !== 'AWAITING_UPDATE_FIELD') {
+        await sendMainMenu(phone, sellerContext);
+        return;
+    }
+    
+    try {
+        const product = await findOwnedProduct(phone, state.data.productId, sellerContext, 'update');
+        if (!product) return;
+        
+        const isEditable = TEXT_UPDATE_FIELDS.includes(field) ||
+            ['category', 'condition'].includes(field) ||
+            getSpecStepForField(product.category, field);
+        if (!isEditable) {
+            await sendMessage(phone, t(lang, 'update.unknownField'));
+            await sendUpdateFieldList(phone, state.data.productId, sellerContext);
+            return;
+        }
+        
+        await setState(phone, 'AWAITING_UPDATE_VALUE', 'UPDATE_PRODUCT', { field });
+        await sendUpdatePrompt(phone, product, field, lang);
+        
+    } catch (error) {
+        console.error('❌ [UPDATE] Error:', error);
+        await sendMessage(phone, t(lang, 'product.loadFailed'));
+    }
+}
+
+/**
+ * Apply update to a product field. value is typed text, a tapped option,
+ * or null when a spec / brand is cleared.
+ */
+async function applyProductUpdate(phone, productId, field, value, sellerContext) {
+    const lang = sellerContext.language;
+    const text = value === null ? '' : value.trim();
+    
+    try {
+        const product = await findOwnedProduct(phone, productId, sellerContext, 'update');
+        if (!product) return;
+
+        // Apply the update based on field
+        switch (field) {
+            case 'price':
+                const priceNum = parseFieldValue('price', text);
+                if (priceNum === null) {
+                    await sendMessage(phone, t(lang, 'update.invalidPrice'));
+                    return;
+                }
+                product.price = priceNum;
+                break;
+            case 'stock':
+                const stockNum = parseFieldValue('stock', text);
+                if (stockNum === null) {
+                    await sendMessage(phone, t(lang, 'update.invalidStock'));
+                    return;
+                }
+                product.stock = stockNum;
+                break;
+            case 'name':
+            case 'description':
+                if (!text) {
+                    await sendMessage(phone, t(lang, 'update.emptyText'));
+                    return;
+                }
+                product[field] = text;
+                break;
+            case 'category': {
+                const category = matchOption(Object.keys(CATEGORY_LABELS), text);
+                if (!category) {
+                    await sendMessage(phone, t(lang, 'update.pickOption'));
+                    await sendUpdatePrompt(phone, product, field, lang);
+                    return;
+                }
+                // Specs of the old category no longer apply - same rule as the wizard
+                if (category !== product.category) {
+                    const kept = getCategoryFields(category, product.toObject());
+                    for (const key of Object.keys(product.toObject())) {
+                        if (key.endsWith('Specs') && !kept[key]) {
+                            product.set(key, undefined);
+                        }
+                    }
+                    product.category = category;
+                }
+                break;
+            }
+            case 'condition': {
+                // Same rules as the product details parser ("new", "used 8/10", "9/10")
+                const parsed = parseProductDetails(text);
+                if (!parsed.condition) {
+                    await sendMessage(phone, t(lang, 'update.pickOption'));
+                    await sendUpdatePrompt(phone, product, field, lang);
+                    return;
+                }
+                if (parsed.condition === 'used' && !parsed.conditionRating) {
+                    // Saved together with the rating
+                    await setState(phone, 'AWAITING_UPDATE_VALUE', 'UPDATE_PRODUCT', { field: 'conditionRating' });
+                    await sendUpdatePrompt(phone, product, 'conditionRating', lang);
+                    return;
+                }
+                product.condition = parsed.condition;
+                product.conditionRating = parsed.condition === 'new' ? 10 : parsed.conditionRating;
+                break;
+            }
+            case 'conditionRating': {
+                // A bare "8" means 8/10
+                const parsed = parseProductDetails(/^\d{1,2}$/.test(text) ? `${text}/10` : text);
+                if (!parsed.conditionRating) {
+                    await sendMessage(phone, t(lang, 'update.invalidRating'));
+                    return;
+                }
+                product.condition = 'used';
+                product.conditionRating = parsed.conditionRating;
+                break;
+            }
+            default: {
+                const step = getSpecStepForField(product.category, field);
+                if (!step) {
+                    await sendMessage(phone, t(lang, 'update.unknownField'));
+                    await clearState(phone);
+                    return;
+                }
+                
+                let specValue = null;
+                if (value !== null) {
+                    // Same checks as the wizard: listed options only, unless the step takes text
+                    specValue = step.options ? matchOption(step.options, text) : null;
+                    if (!specValue && (!step.allowText || !text)) {
+                        await sendMessage(phone, t(lang, 'update.pickOption'));
+                        await sendSpecStep(phone, step, lang, 'update');
+                        return;
+                    }
+                    specValue = specValue || text.substring(0, 40);
+                }
+                
+                if (step.group) {
+                    product.set(field, specValue || '');
+                } else {
+                    product[step.key] = specValue || 'Generic';
+                }
+            }
+        }
+
+        await product.save();
+        console.log('✅ [PRODUCT] Updated:', product.name, field, '=', value);
+        await sendUpdateDone(phone, product, sellerContext);
+
+    } catch (error) {
+        console.error('❌ [PRODUCT] Update error:', error);
+        await sendMessage(phone, t(lang, 'update.failed'));
+        await clearState(phone);
+    }
+}
+
+/**
+ * Confirm a saved update with the product summary, then show the menu
+ */
+async function sendUpdateDone(phone, product, sellerContext) {
+    const lang = sellerContext.language;
+    
+    await clearState(phone);
+    await sendMessage(phone, t(lang, 'update.done') + '\n\n' +
+        formatProductSummary(lang, getCategoryFields(product.category, product.toObject())));
+    await sendMainMenu(phone, sellerContext);
+}
+
+/**
+ * List the spec fields of the product's category
+ */
+async function sendSpecFieldList(phone, sellerContext) {
+    const lang = sellerContext.language;
+    const state = await getState(phone);
+    if (state.step !== 'AWAITING_UPDATE_FIELD') {
+        await sendMainMenu(phone, sellerContext);
+        return;
+    }
+    
+    try {
+        const product = await findOwnedProduct(phone, state.data.productId, sellerContext, 'update');
+        if (!product) return;
+        
+        const steps = (SPEC_WIZARD[product.category] || []).filter(step => step.group);
+        await sendInteractiveList(
+            phone,
+            t(lang, 'update.specsHeader'),
+            `*${product.name}*\n\n${t(lang, 'update.specsBody')}`,
+            null,
+            t(lang, 'list.choose'),
+            [{
+                title: t(lang, 'section.specs'),
+                rows: steps.map(step => ({
+                    id: `EDIT_SPEC_${step.group}.${step.key}`,
+                    title: t(lang, 'row.spec.' + step.key),
+                    description: product.get(`${step.group}.${step.key}`) || t(lang, 'desc.notSet')
+                }))
+            }]
+        );
+    } catch (error) {
+        console.error('❌ [UPDATE] Error:', error);
+        await sendMessage(phone, t(lang, 'product.loadFailed'));
+    }
+}
+
+// ============ Product Photos (Update Flow) ============
+
+/**
+ * Offer Add / Replace All / Remove One for the product's photos
+ */
+async function sendPhotoButtons(phone, sellerContext) {
+    const lang = sellerContext.language;
+    const state = await getState(phone);
+    if (state.step !== 'AWAITING_UPDATE_FIELD') {
+        await sendMainMenu(phone, sellerContext);
+        return;
+    }
+    
+    try {
+        const product = await findOwnedProduct(phone, state.data.productId, sellerContext, 'update');
+        if (!product) return;
+        
+        const count = product.images.length;
+        const buttons = [];
+        if (count < MAX_IMAGES) {
+            buttons.push({ id: 'PHOTOS_ADD', title: t(lang, 'btn.addPhotos') });
+        }
+        buttons.push({ id: 'PHOTOS_REPLACE', title: t(lang, 'btn.replacePhotos') });
+        if (count > 1) {
+            buttons.push({ id: 'PHOTOS_REMOVE', title: t(lang, 'btn.removePhoto') });
+        }
+        
+        await sendInteractiveButtons(
+            phone,
+            t(lang, 'photos.header'),
+            t(lang, 'photos.body', { name: product.name, count, max: MAX_IMAGES }),
+            null,
+            buttons
+        );
+    } catch (error) {
+        console.error('❌ [PHOTOS] Error:', error);
+        await sendMessage(phone, t(lang, 'product.loadFailed'));
+    }
+}
+
+/**
+ * Start collecting photos: 'add' appends each one right away, 'replace'
+ * collects a new set that swaps in when the seller taps Done
+ */
+async function startPhotoUpdate(phone, mode, sellerContext) {
+    const lang = sellerContext.language;
+    const state = await getState(phone);
+    if (state.step !== 'AWAITING_UPDATE_FIELD') {
+        await sendMainMenu(phone, sellerContext);
+        return;
+    }
+    
+    try {
+        const product = await findOwnedProduct(phone, state.data.productId, sellerContext, 'update');
+        if (!product) return;
+        
+        const remaining = MAX_IMAGES - product.images.length;
+        if (mode === 'add' && remaining <= 0) {
+            await sendMessage(phone, t(lang, 'media.photoLimit', { max: MAX_IMAGES }));
+            return;
+        }
+        
+        await setState(phone, 'AWAITING_UPDATE_IMAGES', 'UPDATE_PRODUCT', { photoMode: mode, images: [] });
+        await sendMessage(phone, mode === 'add'
+            ? t(lang, 'photos.addPrompt', { remaining })
+            : t(lang, 'photos.replacePrompt', { max: MAX_IMAGES }));
+    } catch (error) {
+        console.error('❌ [PHOTOS] Error:', error);
+        await sendMessage(phone, t(lang, 'product.loadFailed'));
+    }
+}
+
+/**
+ * Take a photo sent while adding or replacing a product's photos
+ */
+async function handleUpdateImage(phone, imageId, state, sellerContext) {
+    const lang = sellerContext.language;
+    const { productId, photoMode } = state.data;
+    
+    const imageUrl = await handleImageUpload(phone, imageId, lang);
+    if (!imageUrl) return;
+    
+    let count = 0;
+    if (photoMode === 'add') {
+        // Seller filter and limit check in one update - photos can arrive in parallel webhooks
+        const product = await Product.findOneAndUpdate(
+            { _id: productId, seller: sellerContext.id, [`images.${MAX_IMAGES - 1}`]: { $exists: false } },
+            { $push: { images: imageUrl } },
+            { new: true }
+        );
+        if (product) {
+            count = product.images.length;
+            // Keep the flow alive while photos keep coming
+            await setState(phone, 'AWAITING_UPDATE_IMAGES', 'UPDATE_PRODUCT');
+        }
+    } else {
+        const updated = await pushStateData(phone, 'images', imageUrl, MAX_IMAGES);
+        count = updated ? updated.data.images.length : 0;
+    }
+    
+    if (!count) {
+        // Limit reached by a parallel upload (or the flow expired) - drop this one
+        await deleteProductPhotos([imageUrl]);
+        await sendMessage(phone, t(lang, 'media.photoLimit', { max: MAX_IMAGES }));
+        return;
+    }
+    
+    await sendInteractiveButtons(
+        phone,
+        null,
+        t(lang, 'media.progress', { count, max: MAX_IMAGES }) + '\n\n' +
+        t(lang, count >= MAX_IMAGES ? 'photos.limitReached' : 'media.nextPhotos'),
+        null,
+        [{ id: 'PHOTOS_DONE', title: t(lang, 'btn.done') }]
+    );
+}
+
+/**
+ * Finish adding photos, or swap in the replacement set and delete the old photos
+ */
+async function finishPhotoUpdate(phone, sellerContext) {
+    const lang = sellerContext.language;
+    const state = await getState(phone);
+    if (state.step !== 'AWAITING_UPDATE_IMAGES') {
+        await sendMainMenu(phone, sellerContext);
+        return;
+    }
+    
+    try {
+        const images = state.data.images || [];
+        if (state.data.photoMode === 'replace' && images.length === 0) {
+            await sendMessage(phone, t(lang, 'media.needPhoto'));
+            return;
+        }
+        
+        // Refusals clear the state, which deletes the unsaved photos
+        const product = await findOwnedProduct(phone, state.data.productId, sellerContext, 'update');
+        if (!product) return;
+        
+        if (state.data.photoMode === 'replace') {
+            const removed = product.images.filter(imageUrl => !images.includes(imageUrl));
+            product.images = images;
+            await product.save();
+            // The product owns the new photos now - clearing the state must not delete them
+            await setState(phone, 'AWAITING_UPDATE_IMAGES', 'UPDATE_PRODUCT', { images: [] });
+            await deleteProductPhotos(removed);
+            console.log('✅ [PHOTOS] Replaced', removed.length, 'photos of', product.name);
+        }
+        
+        await sendUpdateDone(phone, product, sellerContext);
+        
+    } catch (error) {
+        console.error('❌ [PHOTOS] Update error:', error);
+        await sendMessage(phone, t(lang, 'update.failed'));
+        await clearState(phone);
+    }
+}
+
+/**
+ * Show the product's photos, numbered, with a list to pick the one to remove
+ */
+async function sendPhotoRemoveList(phone, sellerContext) {
+    const lang = sellerContext.language;
+    const state = await getState(phone);
+    if (state.step !== 'AWAITING_UPDATE_FIELD') {
+        await sendMainMenu(phone, sellerContext);
+        return;
+    }
+    
+    try {
+        const product = await findOwnedProduct(phone, state.data.productId, sellerContext, 'update');
+        if (!product) return;
+        
+        if (product.images.length <= 1) {
+            await sendMessage(phone, t(lang, 'photos.keepOne'));
+            return;
+        }
+        
+        // Rows refer to these URLs, so a photo changed on the web meanwhile is never removed by mistake
+        const photoUrls = [...product.images];
+        await setState(phone, 'AWAITING_UPDATE_FIELD', 'UPDATE_PRODUCT', { photoUrls });
+        
+        for (const [index, imageUrl] of photoUrls.entries()) {
+            await sendImageMessage(phone, imageUrl, t(lang, 'photos.caption', { number: index + 1 }));
+        }
+        await sendInteractiveList(
+            phone,
+            null,
+            t(lang, 'photos.removeBody'),
+            null,
+            t(lang, 'list.choose'),
+            [{
+                title: t(lang, 'section.photos'),
+                rows: photoUrls.map((imageUrl, index) => ({
+                    id: `PHOTO_REMOVE_${index}`,
+                    title: t(lang, 'row.photo', { number: index + 1 })
+                }))
+            }]
+        );
+    } catch (error) {
+        console.error('❌ [PHOTOS] Error:', error);
+        await sendMessage(phone, t(lang, 'product.loadFailed'));
+    }
+}
+
+/**
+ * Remove the photo picked from the list (a product keeps at least one)
+ */
+async function removeProductPhoto(phone, index, sellerContext) {
+    const lang = sellerContext.language;
+    const state = await getState(phone);
+    const imageUrl = (state.data.photoUrls || [])[index];
+    if (state.step !== 'AWAITING_UPDATE_FIELD' || !imageUrl) {
+        await sendMainMenu(phone, sellerContext);
+        return;
+    }
+    
+    try {
+        const product = await findOwnedProduct(phone, state.data.productId, sellerContext, 'update');
+        if (!product) return;
+        
+        if (product.images.includes(imageUrl)) {
+            if (product.images.length <= 1) {
+                await sendMessage(phone, t(lang, 'photos.keepOne'));
+                return;
+            }
+            product.images.pull(imageUrl);
+            await product.save();
+            await deleteProductPhotos([imageUrl]);
+            console.log('✅ [PHOTOS] Removed a photo from', product.name);
+        }
+        
+        await sendUpdateDone(phone, product, sellerContext);
+        
+    } catch (error) {
+        console.error('❌ [PHOTOS] Update error:', error);
+        await sendMessage(phone, t(lang, 'update.failed'));
+        await clearState(phone);
+    }
+}
+
+/**
+ * Days a trashed product can still be restored
+ */
+function getTrashDays() {
+    return Math.round(TRASH_RETENTION / (24 * 60 * 60 * 1000));
+}
+
+/**
+ * Execute product deletion - moves the product to the trash, with an Undo button
+ */
+async function executeProductDeletion(phone, productId, sellerContext) {
+    const lang = sellerContext.language;
+    
+    try {
+        const owned = await findOwnedProduct(phone, productId, sellerContext, 'delete');
+        if (!owned) return;
+        
+        // Seller filter again so the delete itself can never touch another store
+        const product = await trashProduct({ _id: owned._id, seller: sellerContext.id }, 'whatsapp');
+        if (!product) {
+            await sendMessage(phone, t(lang, 'product.notFound'));
+            await clearState(phone);
+            await sendMainMenu(phone, sellerContext);
+            return;
+        }
+
+        await clearState(phone);
+        await sendInteractiveButtons(
+            phone,
+            null,
+            t(lang, 'delete.done', { name: product.name, days: getTrashDays() }),
+            null,
+            [
+                { id: `UNDO_DELETE_${product._id}`, title: t(lang, 'btn.undo') },
+                { id: 'MAIN_MENU', title: t(lang, 'btn.menu') }
+            ]
+        );
+
+    } catch (error) {
+        console.error('❌ [PRODUCT] Delete error:', error);
+        await sendMessage(phone, t(lang, 'delete.failed'));
+        await clearState(phone);
+    }
+}
+
+/**
+ * Undo a deletion while the product is still in the trash
+ */
+async function restoreDeletedProduct(phone, productId, sellerContext) {
+    const lang = sellerContext.language;
+    
+    try {
+        // Seller filter - the ID comes from a button and could be forged
+        const product = mongoose.isValidObjectId(productId)
+            ? await restoreProduct({ _id: productId, seller: sellerContext.id })
+            : null;
+        
+        if (!product) {
+            await sendMessage(phone, t(lang, 'delete.undoExpired'));
+        } else {
+            await sendMessage(phone, t(lang, 'delete.restored', { name: product.name }));
+        }
+        await sendMainMenu(phone, sellerContext);
+        
+    } catch (error) {
+        console.error('❌ [PRODUCT] Restore error:', error);
+        await sendMessage(phone, t(lang, 'update.failed'));
+    }
+}
+
+// Status changes offered for each current status (WhatsApp allows 3 buttons).
+// Drafts are only published by finishing the Add Product flow, which validates them.
+const STATUS_ACTIONS = {
+    draft: [['archived', 'btn.archive']],
+    active: [['sold', 'btn.markSold'], ['reserved', 'btn.reserve'], ['archived', 'btn.archive']],
+    reserved: [['sold', 'btn.markSold'], ['active', 'btn.available'], ['archived', 'btn.archive']],
+    sold: [['active', 'btn.relist'], ['archived', 'btn.archive']],
+    archived: [['active', 'btn.relist'], ['sold', 'btn.markSold']]
+};
+
+/**
+ * Offer Mark sold / Reserve / Archive for the product picked in the update flow
+ */
+async function sendStatusButtons(phone, sellerContext) {
+    const lang = sellerContext.language;
+    const state = await getState(phone);
+    if (state.step !== 'AWAITING_UPDATE_FIELD') {
+        await sendMainMenu(phone, sellerContext);
+        return;
+    }
+
+    try {
+        const product = await findOwnedProduct(phone, state.data.productId, sellerContext, 'update');
+        if (!product) return;
+
+        await sendInteractiveButtons(
+            phone,
+            t(lang, 'status.header'),
+            t(lang, 'status.body', { name: product.name, status: t(lang, 'productStatus.' + product.status) }),
+            null,
+            STATUS_ACTIONS[product.status].map(([status, key]) => ({
+                id: `SET_STATUS_${status.toUpperCase()}`,
+                title: t(lang, key)
+            }))
+        );
+    } catch (error) {
+        console.error('❌ [STATUS] Error:', error);
+        await sendMessage(phone, t(lang, 'product.loadFailed'));
+    }
+}
+
+/**
+ * Move the product from the update or delete flow to a new listing status
+ */
+async function applyProductStatus(phone, status, sellerContext) {
+    const lang = sellerContext.language;
+    const state = await getState(phone);
+    // productId was ownership-checked when the update list / delete confirmation was sent
+    if (!['AWAITING_UPDATE_FIELD', 'CONFIRM_DELETE'].includes(state.step) || !STATUS_ACTIONS[status]) {
+        await sendMainMenu(phone, sellerContext);
+        return;
+    }
+
+    try {
+        const current = await findOwnedProduct(phone, state.data.productId, sellerContext, 'change status of');
+        if (!current) return;
+        
+        // Button IDs can be stale or forged - only offered transitions are allowed
+        const currentStatus = current.status || 'active';
+        if (!(STATUS_ACTIONS[currentStatus] || []).some(([allowed]) => allowed === status)) {
+            console.warn('🚫 [STATUS] Refused', currentStatus, '→', status, 'for product', current._id.toString(), 'by', phone);
+            await sendMessage(phone, t(lang, 'status.notAllowed', {
+                name: current.name,
+                status: t(lang, 'productStatus.' + currentStatus)
+            }));
+            await clearState(phone);
+            await sendMainMenu(phone, sellerContext);
+            return;
+        }
+        
+        // Guard against the status changing since it was read
+        const product = await setProductStatus(
+            { _id: current._id, seller: sellerContext.id, status: current.status ?? null },
+            status
+        );
+        await clearState(phone);
 
-        case 'DELETE_PRODUCT_SELECTED':
-            await sendDeleteConfirmation(phone, action.productId);
-            break;
+        if (!product) {
+            await sendMessage(phone, t(lang, 'product.notFound'));
+        } else {
+            await sendMessage(phone, t(lang, 'status.done.' + status, { name: product.name }));
+        }
+        await sendMainMenu(phone, sellerContext);
 
-        // ===== Update Field Selection =====
-        case 'UPDATE_FIELD_SELECT':
-            const state = getState(phone);
-            setState(phone, 'AWAITING_UPDATE_VALUE', 'UPDATE_PRODUCT', { 
-                productId: state.data.productId, 
-                field: action.field 
-            });
-            const fieldPrompts = {
-                price: "Enter the new price (numbers only, in PKR):",
-                stock: "Enter the new stock quantity:",
-                name: "Enter the new product name:"
-            };
-            await sendMessage(phone, fieldPrompts[action.field] || "Enter the new value:");
-            break;
+    } catch (error) {
+        console.error('❌ [STATUS] Update error:', error);
+        await sendMessage(phone, t(lang, 'status.failed'));
+        await clearState(phone);
+    }
+}
 
-        // ===== Delete Confirmation =====
-        case 'DELETE_CONFIRM':
-            if (action.confirmed) {
-                const deleteState = getState(phone);
-                await executeProductDeletion(phone, deleteState.data.productId, sellerContext);
-            } else {
-                clearState(phone);
-                await sendMessage(phone, "❌ Delete cancelled.");
-                await sendMainMenu(phone, sellerContext);
+/**
+ * List products (read-only), one page at a time
+ */
+async function handleListProducts(phone, sellerContext, page = 0) {
+    const lang = sellerContext.language;
+    
+    try {
+        const seller = await Seller.findOne({ phone: phone });
+        // Unfinished drafts are continued from the "hi" prompt, not managed from here
+        const query = { seller: seller._id, status: { $ne: 'draft' } };
+        const totalProducts = await Product.countDocuments(query);
+
+        if (totalProducts === 0) {
+            await sendMessage(phone, t(lang, 'inventory.empty'));
+            await sendMainMenu(phone, sellerContext);
+            return;
+        }
+
+        const totalPages = Math.ceil(totalProducts / INVENTORY_PAGE_SIZE);
+        const currentPage = Math.min(Math.max(page, 0), totalPages - 1);
+        const products = await Product.find(query)
+            .sort({ createdAt: -1 })
+            .skip(currentPage * INVENTORY_PAGE_SIZE)
+            .limit(INVENTORY_PAGE_SIZE);
+
+        const pageLabel = t(lang, 'general.page', { page: currentPage + 1, total: totalPages });
+        let listMsg = t(lang, 'inventory.title', { count: totalProducts }) + '\n';
+        if (totalPages > 1) {
+            listMsg += `_${pageLabel}_\n`;
+        }
+        listMsg += '\n';
+        
+        products.forEach((p, i) => {
+            listMsg += `${currentPage * INVENTORY_PAGE_SIZE + i + 1}. *${p.name}*\n`;
+            listMsg += '   ' + t(lang, 'inventory.line', { price: p.price.toLocaleString(), stock: p.stock });
+            if (p.status !== 'active') {
+                listMsg += ' | ' + t(lang, 'productStatus.' + p.status);
             }
-            break;
+            listMsg += '\n\n';
+        });
+        listMsg += t(lang, 'inventory.bulkTip');
 
-        default:
-            console.log('⚠️ [EXECUTE] Unknown intent:', intent);
+        await sendMessage(phone, listMsg);
+
+        if (totalPages === 1) {
             await sendMainMenu(phone, sellerContext);
-            break;
+            return;
+        }
+
+        const navButtons = [];
+        if (currentPage > 0) {
+            navButtons.push({ id: `LIST_PAGE_${currentPage - 1}`, title: t(lang, 'btn.previous') });
+        }
+        if (currentPage < totalPages - 1) {
+            navButtons.push({ id: `LIST_PAGE_${currentPage + 1}`, title: t(lang, 'btn.next') });
+        }
+        navButtons.push({ id: 'MAIN_MENU', title: t(lang, 'btn.menu') });
+
+        await sendInteractiveButtons(phone, null, pageLabel, null, navButtons);
+
+    } catch (error) {
+        console.error('❌ [PRODUCT] List error:', error);
+        await sendMessage(phone, t(lang, 'inventory.failed'));
     }
 }
 
-// ============ Intent Handlers (Button-Driven) ============
+// ============ Bulk Inventory Updates ============
+
+const BULK_REPORT_LINES = 30; // Keeps the report well inside WhatsApp's 4096-char text limit
 
 /**
- * Complete seller onboarding with name and storeName
+ * "stock 5, price PKR 22,000" for a successful row
  */
-async function completeOnboarding(phone, name, storeName) {
-    try {
-        const newSeller = new Seller({
-            phone: phone,
-            name: name,
-            storeName: storeName,
-            password: 'whatsapp-' + Date.now(),
-            onboardingStep: 'complete',
-            status: 'pending'
-        });
-
-        await newSeller.save();
-        clearState(phone);
-        pendingSellerContext.delete(phone);
-        console.log('👤 [SELLER] New seller created:', phone);
+function formatInventoryChanges(changes, lang) {
+    return Object.entries(changes)
+        .map(([field, value]) => t(lang, `bulk.change.${field}`, { value: value.toLocaleString() }))
+        .join(', ');
+}
 
-        const welcomeMsg = `🎉 *Welcome, ${name}!*\n\n` +
-            `Your store *${storeName}* has been created.\n\n` +
-            `📌 *Status:* Pending admin approval\n` +
-            `_Your products are private until verified._`;
+/**
+ * One report line for a bulk update result
+ */
+function formatInventoryResult(result, lang) {
+    if (result.ok) {
+        return t(lang, 'bulk.rowOk', { row: result.row, name: result.name, changes: formatInventoryChanges(result.changes, lang) });
+    }
+    return t(lang, 'bulk.rowFailed', {
+        row: result.row,
+        label: result.name || result.label || '-',
+        reason: t(lang, `bulk.error.${result.error}`, { matches: (result.matches || []).slice(0, 3).join(', ') })
+    });
+}
 
-        await sendMessage(phone, welcomeMsg);
+/**
+ * Apply a single "stock <product> <qty>" / "price <product> <amount>" command
+ */
+async function handleInventoryCommand(phone, text, sellerContext) {
+    const lang = sellerContext.language;
+    const command = parseInventoryCommand(text);
+    
+    if (!command) {
+        await sendMessage(phone, t(lang, 'bulk.usage'));
+        return;
+    }
+    
+    try {
+        const [result] = await applyInventoryUpdates(sellerContext.id, [
+            { product: command.query, [command.field]: command.value }
+        ]);
         
-        // Refresh context and show main menu
-        const newContext = await getSellerContext(phone);
-        await sendMainMenu(phone, newContext);
+        if (result.ok) {
+            await sendMessage(phone, t(lang, 'bulk.commandOk', {
+                name: result.name,
+                changes: formatInventoryChanges(result.changes, lang)
+            }));
+        } else {
+            await sendMessage(phone, t(lang, 'bulk.commandFailed', {
+                query: command.query,
+                reason: t(lang, `bulk.error.${result.error}`, { matches: (result.matches || []).slice(0, 3).join(', ') })
+            }));
+        }
+    } catch (error) {
+        console.error('❌ [BULK] Command error:', error);
+        await sendMessage(phone, t(lang, 'update.failed'));
+    }
+}
 
+/**
+ * Apply a CSV / XLSX sheet of stock and price changes and report every row
+ */
+async function handleInventoryDocument(phone, document, sellerContext) {
+    const lang = sellerContext.language;
+    const sheetType = getSheetType(document.mime_type, document.filename);
+    
+    if (!sheetType) {
+        await sendMessage(phone, t(lang, 'bulk.unsupportedFile'));
+        await sendMainMenu(phone, sellerContext);
+        return;
+    }
+    
+    try {
+        await sendMessage(phone, t(lang, 'bulk.processing'));
+        
+        const { buffer, fileSize } = await downloadWhatsAppMedia(document.id);
+        if (fileSize > MAX_SHEET_SIZE) {
+            await sendMessage(phone, t(lang, 'bulk.fileTooLarge', { size: (fileSize / 1024 / 1024).toFixed(2) }));
+            await sendMainMenu(phone, sellerContext);
+            return;
+        }
+        
+        let rows;
+        try {
+            rows = await parseInventorySheet(buffer, sheetType);
+        } catch (error) {
+            console.warn('⚠️ [BULK] Unusable sheet from', phone + ':', error.message);
+            await sendMessage(phone, t(lang, `bulk.sheetError.${error.code || 'unreadable'}`, { max: MAX_SHEET_ROWS }));
+            await sendMainMenu(phone, sellerContext);
+            return;
+        }
+        
+        const results = await applyInventoryUpdates(sellerContext.id, rows);
+        const updated = results.filter(r => r.ok).length;
+        
+        let report = t(lang, 'bulk.reportTitle', { updated, total: results.length }) + '\n\n';
+        // Failures first so they survive the line cap
+        const ordered = [...results.filter(r => !r.ok), ...results.filter(r => r.ok)];
+        report += ordered.slice(0, BULK_REPORT_LINES).map(r => formatInventoryResult(r, lang)).join('\n');
+        if (results.length > BULK_REPORT_LINES) {
+            report += '\n' + t(lang, 'bulk.reportMore', { count: results.length - BULK_REPORT_LINES });
+        }
+        
+        await sendMessage(phone, report);
+        await sendMainMenu(phone, sellerContext);
+        
     } catch (error) {
-        console.error('❌ [ONBOARD] Error:', error);
-        await sendMessage(phone, "Failed to complete registration. Please try again.");
+        console.error('❌ [BULK] Sheet error:', error);
+        await sendMessage(phone, t(lang, 'bulk.failed'));
+    }
+}
+
+// ============ Seller Menu: Orders, Stats & Store ============
+
+const SELLER_ORDERS_LIMIT = 5;
+
+// Order item statuses and seller statuses that have their own catalog entry
+const ORDER_STATUSES = ['pending', 'processing', 'shipped', 'delivered', 'cancelled'];
+const SELLER_STATUSES = ['pending', 'active', 'deactivated'];
+
+/**
+ * Public base URL of the site, for links sent over WhatsApp
+ */
+function getAppUrl() {
+    return (process.env.APP_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/$/, '');
+}
+
+/**
+ * Public URL of a seller's storefront
+ */
+function getStoreUrl(sellerId) {
+    return `${getAppUrl()}/store/${sellerId}`;
+}
+
+/**
+ * Orders containing the seller's products, each with only the seller's items
+ */
+async function getSellerOrderSummaries(sellerId, limit) {
+    const productIds = (await Product.find({ seller: sellerId }).select('_id')).map(p => p._id);
+    
+    let query = Order.find({ 'items.product': { $in: productIds } }).sort({ createdAt: -1 });
+    if (limit) {
+        query = query.limit(limit);
     }
+    const orders = await query;
+    
+    return orders.map(order => {
+        const sellerItems = order.items.filter(item =>
+            productIds.some(id => id.equals(item.product))
+        );
+        return {
+            order,
+            sellerItems,
+            sellerTotal: sellerItems
+                .filter(item => item.status !== 'cancelled')
+                .reduce((sum, item) => sum + (item.price * item.quantity), 0)
+        };
+    });
 }
 
 /**
- * Parse text input and create product
+ * Send the seller's most recent orders
  */
-async function createProductFromText(phone, text, imageUrl, sellerContext) {
+async function sendSellerOrders(phone, sellerContext) {
+    const lang = sellerContext.language;
+    
     try {
-        const seller = await Seller.findOne({ phone: phone });
+        const summaries = await getSellerOrderSummaries(sellerContext.id, SELLER_ORDERS_LIMIT);
         
-        // Parse the text for product details
-        // Expected format: "Product name, price, description" or just description
-        const parsed = parseProductDetails(text);
+        if (summaries.length === 0) {
+            await sendInteractiveButtons(phone, null, t(lang, 'orders.none'), null, [
+                { id: 'STORE_LINK', title: t(lang, 'btn.shareStore') },
+                { id: 'MAIN_MENU', title: t(lang, 'btn.menu') }
+            ]);
+            return;
+        }
         
-        const newProduct = new Product({
-            name: parsed.name || 'New Product',
-            description: parsed.description || text,
-            price: parsed.price || 0,
-            stock: parsed.stock || 1,
-            category: 'accessories',
-            brand: 'Generic',
-            images: [imageUrl],
-            seller: seller._id
+        let message = t(lang, 'orders.title', { count: summaries.length }) + '\n\n';
+        summaries.forEach(({ order, sellerItems, sellerTotal }) => {
+            const orderNumber = order._id.toString().slice(-8).toUpperCase();
+            const status = sellerItems[0]?.status || order.status;
+            message += `*#${orderNumber}* · ${order.createdAt.toLocaleDateString('en-GB')}\n`;
+            sellerItems.forEach(item => {
+                message += `  📦 ${item.name} × ${item.quantity}\n`;
+            });
+            const statusLabel = ORDER_STATUSES.includes(status) ? t(lang, `orderStatus.${status}`) : status;
+            message += `  💰 PKR ${sellerTotal.toLocaleString()} · ${statusLabel}\n` +
+                `  👤 ${order.shippingAddress.firstName}, ${order.shippingAddress.city}\n\n`;
         });
+        
+        if (summaries.some(({ sellerItems }) => sellerItems.some(item => item.status === 'pending'))) {
+            message += t(lang, 'orders.pendingHint');
+        }
+        
+        await sendInteractiveButtons(phone, null, message.trim(), null, [
+            { id: 'MY_STATS', title: t(lang, 'btn.storeStats') },
+            { id: 'MAIN_MENU', title: t(lang, 'btn.menu') }
+        ]);
+    } catch (error) {
+        console.error('❌ [SELLER] Orders error:', error);
+        await sendMessage(phone, t(lang, 'orders.failed'));
+    }
+}
 
-        await newProduct.save();
-        clearState(phone);
-        console.log('✅ [PRODUCT] Created:', newProduct.name);
+/**
+ * Send inventory and sales figures for the seller's store
+ */
+async function sendSellerStats(phone, sellerContext) {
+    const lang = sellerContext.language;
+    
+    try {
+        const sellerId = sellerContext.id;
+        // Sold and archived items stay at stock 0, so stock figures only count live listings
+        const listed = { seller: sellerId, ...listedFilter() };
+        const [totalProducts, lowStock, outOfStock, sold, summaries] = await Promise.all([
+            Product.countDocuments(listed),
+            Product.countDocuments({ ...listed, stock: { $gt: 0, $lt: 5 } }),
+            Product.countDocuments({ ...listed, stock: 0 }),
+            Product.countDocuments({ seller: sellerId, status: 'sold' }),
+            getSellerOrderSummaries(sellerId)
+        ]);
+        
+        const pendingOrders = summaries.filter(({ sellerItems }) =>
+            sellerItems.some(item => item.status === 'pending')
+        ).length;
+        const totalRevenue = summaries.reduce((sum, { sellerTotal }) => sum + sellerTotal, 0);
+        
+        const message = t(lang, 'stats.body', {
+            store: sellerContext.storeName || t(lang, 'general.yourStore'),
+            products: totalProducts,
+            lowStock,
+            outOfStock,
+            sold,
+            orders: summaries.length,
+            pending: pendingOrders,
+            revenue: totalRevenue.toLocaleString()
+        });
+        
+        await sendInteractiveButtons(phone, null, message, null, [
+            { id: 'MY_ORDERS', title: t(lang, 'btn.myOrders') },
+            { id: 'DIGEST_SETTINGS', title: t(lang, 'btn.digest') },
+            { id: 'MAIN_MENU', title: t(lang, 'btn.menu') }
+        ]);
+    } catch (error) {
+        console.error('❌ [SELLER] Stats error:', error);
+        await sendMessage(phone, t(lang, 'stats.failed'));
+    }
+}
 
-        const successMsg = `✅ *Product Created!*\n\n` +
-            `📦 *${newProduct.name}*\n` +
-            `💰 Price: PKR ${newProduct.price.toLocaleString()}\n` +
-            `📊 Stock: ${newProduct.stock}\n\n` +
-            (newProduct.price === 0 ? '_💡 Tip: Update the price using the menu._\n\n' : '');
+/**
+ * Send the public storefront link
+ */
+async function sendStoreLink(phone, sellerContext) {
+    const lang = sellerContext.language;
+    let message = `🔗 *${sellerContext.storeName || t(lang, 'general.yourStore')}*\n\n${getStoreUrl(sellerContext.id)}\n\n`;
+    
+    if (sellerContext.status === 'active') {
+        message += t(lang, 'store.shareHint');
+    } else {
+        message += t(lang, 'store.pendingHint');
+    }
+    
+    await sendInteractiveButtons(phone, null, message, null, [
+        { id: 'MAIN_MENU', title: t(lang, 'btn.menu') }
+    ]);
+}
 
-        await sendMessage(phone, successMsg);
-        await sendMainMenu(phone, sellerContext);
+/**
+ * Send a one-time login code and magic link for the seller portal
+ */
+async function sendWebLogin(phone, sellerContext) {
+    const lang = sellerContext.language;
+    
+    try {
+        if (sellerContext.status === 'deactivated') {
+            await sendMessage(phone, t(lang, 'webLogin.disabled'));
+            return;
+        }
+        
+        const seller = await Seller.findById(sellerContext.id);
+        const { code, token } = await issueWebLogin(seller);
+        const minutes = Math.round(LOGIN_TTL / 60000);
+        console.log('🔑 [WEB LOGIN] Issued login for seller:', phone);
+        
+        const message = t(lang, 'webLogin.body', {
+            link: `${getAppUrl()}/seller/login/link/${token}`,
+            codeUrl: `${getAppUrl()}/seller/login/code`,
+            code,
+            minutes
+        }) + (seller.passwordSet ? '' : '\n\n' + t(lang, 'webLogin.setPassword'));
+        
+        await sendInteractiveButtons(phone, null, message, null, [
+            { id: 'MAIN_MENU', title: t(lang, 'btn.menu') }
+        ]);
+    } catch (error) {
+        console.error('❌ [WEB LOGIN] Error:', error);
+        await sendMessage(phone, t(lang, 'webLogin.failed'));
+    }
+}
 
+/**
+ * Show the current digest setting with Daily / Weekly / Off buttons
+ */
+async function sendDigestSettings(phone, sellerContext) {
+    const lang = sellerContext.language;
+    
+    try {
+        const seller = await Seller.findById(sellerContext.id).select('digest');
+        const current = seller?.digest?.frequency || 'off';
+        
+        await sendInteractiveButtons(
+            phone,
+            t(lang, 'digest.settingsHeader'),
+            t(lang, 'digest.settingsBody', { current: t(lang, `digest.frequency.${current}`) }),
+            null,
+            [
+                { id: 'DIGEST_SET_daily', title: t(lang, 'btn.digestDaily') },
+                { id: 'DIGEST_SET_weekly', title: t(lang, 'btn.digestWeekly') },
+                { id: 'DIGEST_SET_off', title: t(lang, 'btn.digestOff') }
+            ]
+        );
     } catch (error) {
-        console.error('❌ [PRODUCT] Create error:', error);
-        await sendMessage(phone, "Failed to create product. Please try again.");
-        await sendMainMenu(phone, sellerContext);
+        console.error('❌ [DIGEST] Settings error:', error);
+        await sendMessage(phone, t(lang, 'digest.failed'));
     }
 }
 
 /**
- * Parse product details from free text
- * Supports: "Name, 5000, description" or "Name - 5000 - description" or just text
+ * Save the tapped digest frequency
  */
-function parseProductDetails(text) {
-    const result = { name: null, price: 0, description: text, stock: 1 };
+async function applyDigestChoice(phone, frequency, sellerContext) {
+    const lang = sellerContext.language;
     
-    // Try comma-separated format: "Name, 5000, description"
-    const commaparts = text.split(',').map(p => p.trim());
-    if (commaparts.length >= 2) {
-        result.name = commaparts[0];
-        // Look for price in remaining parts
-        for (let i = 1; i < commaparts.length; i++) {
-            const priceMatch = commaparts[i].match(/(\d+)/);
-            if (priceMatch && !result.price) {
-                result.price = parseInt(priceMatch[1]);
-            } else if (result.name && !result.price) {
-                result.description = commaparts.slice(i).join(', ');
-            }
-        }
-        if (commaparts.length > 2) {
-            result.description = commaparts.slice(2).join(', ');
-        }
-        return result;
+    if (!DIGEST_FREQUENCIES.includes(frequency)) {
+        await sendMainMenu(phone, sellerContext);
+        return;
     }
     
-    // Try to extract price from text (e.g., "5000 rupees" or "Rs 5000" or just "5000")
-    const pricePatterns = [
-        /(\d+)\s*(?:rupees?|rs\.?|pkr)/i,
-        /(?:rupees?|rs\.?|pkr)\s*(\d+)/i,
-        /\b(\d{3,})\b/  // Any 3+ digit number
-    ];
+    try {
+        await setDigestFrequency(sellerContext.id, frequency);
+        await sendMessage(phone, t(lang, `digest.saved.${frequency}`));
+        await sendMainMenu(phone, sellerContext);
+    } catch (error) {
+        console.error('❌ [DIGEST] Save error:', error);
+        await sendMessage(phone, t(lang, 'digest.failed'));
+    }
+}
+
+/**
+ * Send the seller's approval status
+ */
+async function sendApprovalStatus(phone, sellerContext) {
+    const lang = sellerContext.language;
+    const message = SELLER_STATUSES.includes(sellerContext.status)
+        ? t(lang, `approval.${sellerContext.status}`)
+        : t(lang, 'approval.other', { status: sellerContext.status });
     
-    for (const pattern of pricePatterns) {
-        const match = text.match(pattern);
-        if (match) {
-            result.price = parseInt(match[1]);
-            break;
+    await sendInteractiveButtons(phone, null, message, null, [
+        { id: 'MAIN_MENU', title: t(lang, 'btn.menu') }
+    ]);
+}
+
+// ============ Buyer Shopping Flow ============
+
+// Buyers have no language setting, so their messages use the default catalog
+const BUYER_LANGUAGE = DEFAULT_LANGUAGE;
+
+/**
+ * Build the catalog filter for buyers: orderable, in-stock products from active sellers only
+ */
+async function getBuyerCatalogQuery() {
+    const activeSellers = await Seller.find({ status: 'active' }).select('_id');
+    return {
+        seller: { $in: activeSellers.map(s => s._id) },
+        stock: { $gt: 0 },
+        ...orderableFilter()
+    };
+}
+
+/**
+ * Find a product a buyer is allowed to view/order
+ */
+async function findBuyerProduct(productId) {
+    const query = await getBuyerCatalogQuery();
+    return Product.findOne({ _id: productId, ...query }).populate('seller', 'storeName');
+}
+
+/**
+ * Escape user input for use inside a RegExp
+ */
+function escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Send a list of products a buyer can tap to view
+ */
+async function sendBuyerProductList(phone, products, header, body) {
+    const lang = BUYER_LANGUAGE;
+    const sections = [{
+        title: t(lang, 'section.products'),
+        rows: products.map(p => ({
+            id: 'BUY_VIEW_' + p._id.toString(),
+            title: p.name.substring(0, 24),
+            description: t(lang, 'desc.buyerProduct', {
+                price: p.price.toLocaleString(),
+                store: p.seller?.storeName || 'RacketBazaar'
+            })
+        }))
+    }];
+
+    await sendInteractiveList(
+        phone,
+        header,
+        body,
+        t(lang, 'buyer.productsFound', { count: products.length }),
+        t(lang, 'list.viewProducts'),
+        sections
+    );
+}
+
+/**
+ * Search the catalog by free text (name, brand or description)
+ */
+async function handleBuyerSearch(phone, text) {
+    const lang = BUYER_LANGUAGE;
+    
+    try {
+        await clearState(phone);
+        const query = await getBuyerCatalogQuery();
+        const pattern = { $regex: escapeRegex(text.trim()), $options: 'i' };
+
+        const products = await Product.find({
+            ...query,
+            $or: [{ name: pattern }, { brand: pattern }, { description: pattern }]
+        })
+            .populate('seller', 'storeName')
+            .sort({ createdAt: -1 })
+            .limit(LIST_PAGE_SIZE);
+
+        if (products.length === 0) {
+            await sendMessage(phone, t(lang, 'buyer.noResults', { query: text.trim() }));
+            await sendBuyerMenu(phone);
+            return;
         }
+
+        await sendBuyerProductList(phone, products, t(lang, 'buyer.searchHeader'), t(lang, 'buyer.searchBody', { query: text.trim() }));
+
+    } catch (error) {
+        console.error('❌ [BUYER] Search error:', error);
+        await sendMessage(phone, t(lang, 'buyer.searchFailed'));
     }
+}
+
+/**
+ * Send the category picker with product counts
+ */
+async function sendBuyerCategories(phone) {
+    const lang = BUYER_LANGUAGE;
     
-    // Use first few words as name if no comma format
-    const words = text.split(/\s+/);
-    if (words.length > 0) {
-        result.name = words.slice(0, Math.min(4, words.length)).join(' ');
+    try {
+        const query = await getBuyerCatalogQuery();
+
+        const rows = await Promise.all(Object.keys(CATEGORY_LABELS).map(async category => {
+            const count = await Product.countDocuments({ ...query, category });
+            return {
+                id: 'BUY_CAT_' + category,
+                title: t(lang, 'row.category.' + category),
+                description: t(lang, 'desc.itemsAvailable', { count })
+            };
+        }));
+
+        await sendInteractiveList(
+            phone,
+            t(lang, 'buyer.categoriesHeader'),
+            t(lang, 'buyer.categoriesBody'),
+            null,
+            t(lang, 'list.browse'),
+            [{ title: t(lang, 'section.categories'), rows }]
+        );
+
+    } catch (error) {
+        console.error('❌ [BUYER] Categories error:', error);
+        await sendMessage(phone, t(lang, 'buyer.categoriesFailed'));
     }
-    
-    return result;
 }
 
 /**
- * Apply update to a product field
+ * Send the newest products in a category
  */
-async function applyProductUpdate(phone, productId, field, value, sellerContext) {
+async function sendBuyerCategoryProducts(phone, category) {
+    const lang = BUYER_LANGUAGE;
+    
     try {
-        const product = await Product.findById(productId);
-        
-        if (!product) {
-            await sendMessage(phone, "❌ Product not found.");
-            clearState(phone);
-            await sendMainMenu(phone, sellerContext);
+        if (!CATEGORY_LABELS[category]) {
+            await sendBuyerCategories(phone);
             return;
         }
 
-        // Apply the update based on field
-        switch (field) {
-            case 'price':
-                const priceNum = parseInt(value.replace(/[^\d]/g, ''));
-                if (isNaN(priceNum)) {
-                    await sendMessage(phone, "❌ Invalid price. Please enter numbers only.");
-                    return;
-                }
-                product.price = priceNum;
-                break;
-            case 'stock':
-                const stockNum = parseInt(value);
-                if (isNaN(stockNum) || stockNum < 0) {
-                    await sendMessage(phone, "❌ Invalid stock. Please enter a valid number.");
-                    return;
-                }
-                product.stock = stockNum;
-                break;
-            case 'name':
-                product.name = value.trim();
-                break;
-            default:
-                await sendMessage(phone, "❌ Unknown field.");
-                clearState(phone);
-                return;
-        }
+        const query = await getBuyerCatalogQuery();
+        const products = await Product.find({ ...query, category })
+            .populate('seller', 'storeName')
+            .sort({ createdAt: -1 })
+            .limit(LIST_PAGE_SIZE);
 
-        await product.save();
-        clearState(phone);
-        console.log('✅ [PRODUCT] Updated:', product.name, field, '=', value);
+        if (products.length === 0) {
+            await sendMessage(phone, t(lang, 'buyer.categoryEmpty', { category: t(lang, 'row.category.' + category) }));
+            await sendBuyerMenu(phone);
+            return;
+        }
 
-        await sendMessage(phone, 
-            `✅ *${product.name}* updated!\n\n` +
-            `💰 Price: PKR ${product.price.toLocaleString()}\n` +
-            `📊 Stock: ${product.stock}`
-        );
-        await sendMainMenu(phone, sellerContext);
+        await sendBuyerProductList(phone, products, t(lang, 'row.category.' + category), t(lang, 'buyer.categoryBody'));
 
     } catch (error) {
-        console.error('❌ [PRODUCT] Update error:', error);
-        await sendMessage(phone, "Failed to update product. Please try again.");
-        clearState(phone);
+        console.error('❌ [BUYER] Category error:', error);
+        await sendMessage(phone, t(lang, 'buyer.productsFailed'));
     }
 }
 
 /**
- * Execute product deletion
+ * Send a product card (image + details) with an order button
  */
-async function executeProductDeletion(phone, productId, sellerContext) {
+async function sendBuyerProductCard(phone, productId) {
+    const lang = BUYER_LANGUAGE;
+    
     try {
-        const product = await Product.findByIdAndDelete(productId);
-        
+        const product = await findBuyerProduct(productId);
+
         if (!product) {
-            await sendMessage(phone, "❌ Product not found.");
-            clearState(phone);
-            await sendMainMenu(phone, sellerContext);
+            await sendMessage(phone, t(lang, 'buyer.productUnavailable'));
+            await sendBuyerMenu(phone);
             return;
         }
 
-        // Delete images from Cloudinary
-        for (const imageUrl of product.images) {
-            try {
-                const publicId = imageUrl.split('/').slice(-2).join('/').split('.')[0];
-                await deleteFromCloudinary(publicId);
-            } catch (e) {
-                console.log('⚠️ Could not delete image from Cloudinary');
-            }
+        recordProductView(product);
+
+        const description = product.description.length > 300
+            ? product.description.substring(0, 300) + '...'
+            : product.description;
+
+        const caption = `*${product.name}*\n\n` +
+            t(lang, 'product.price', { price: product.price.toLocaleString() }) + '\n' +
+            t(lang, 'product.brand', { brand: product.brand }) + '\n' +
+            t(lang, 'product.condition', { condition: formatCondition(lang, product) }) + '\n' +
+            t(lang, 'product.stock', { stock: product.stock }) + '\n' +
+            t(lang, 'buyer.seller', { store: product.seller?.storeName || 'RacketBazaar' }) +
+            (description ? `\n\n${description}` : '');
+
+        if (product.images.length > 0) {
+            await sendImageMessage(phone, product.images[0], caption);
+        } else {
+            await sendMessage(phone, caption);
         }
 
-        clearState(phone);
-        console.log('✅ [PRODUCT] Deleted:', product.name);
-        await sendMessage(phone, `✅ *${product.name}* has been deleted.`);
-        await sendMainMenu(phone, sellerContext);
+        await sendInteractiveButtons(
+            phone,
+            null,
+            t(lang, 'buyer.orderPrompt'),
+            t(lang, 'buyer.cashOnDelivery'),
+            [
+                { id: 'BUY_ORDER_' + product._id.toString(), title: t(lang, 'btn.orderNow') },
+                { id: 'BUY_CATEGORIES', title: t(lang, 'btn.keepBrowsing') },
+                { id: 'BUY_MENU', title: t(lang, 'btn.menu') }
+            ]
+        );
 
     } catch (error) {
-        console.error('❌ [PRODUCT] Delete error:', error);
-        await sendMessage(phone, "Failed to delete product. Please try again.");
-        clearState(phone);
+        console.error('❌ [BUYER] Product card error:', error);
+        await sendMessage(phone, t(lang, 'product.loadFailed'));
     }
 }
 
 /**
- * List products (read-only)
+ * Start the order flow for a product - ask for quantity
  */
-async function handleListProducts(phone, sellerContext) {
+async function startBuyerOrder(phone, productId) {
+    const lang = BUYER_LANGUAGE;
+    
     try {
-        const seller = await Seller.findOne({ phone: phone });
-        const products = await Product.find({ seller: seller._id }).limit(20).sort({ createdAt: -1 });
+        const product = await findBuyerProduct(productId);
 
-        if (products.length === 0) {
-            await sendMessage(phone, 
-                "📦 *Your inventory is empty!*\n\n" +
-                "Tap 'Add Product' to add your first item."
-            );
-            await sendMainMenu(phone, sellerContext);
+        if (!product) {
+            await sendMessage(phone, t(lang, 'buyer.outOfStock'));
+            await sendBuyerMenu(phone);
             return;
         }
 
-        let listMsg = `📦 *Your Products (${products.length})*\n\n`;
-        
-        products.forEach((p, i) => {
-            listMsg += `${i + 1}. *${p.name}*\n`;
-            listMsg += `   💰 PKR ${p.price.toLocaleString()} | 📊 Stock: ${p.stock}\n\n`;
+        await clearState(phone);
+        await setState(phone, 'AWAITING_ORDER_QUANTITY', 'BUYER_ORDER', {
+            productId: product._id.toString(),
+            productName: product.name
         });
 
-        await sendMessage(phone, listMsg);
-        await sendMainMenu(phone, sellerContext);
+        const quantityButtons = [1, 2, 3]
+            .filter(qty => qty <= product.stock)
+            .map(qty => ({ id: `BUY_QTY_${qty}`, title: `${qty}` }));
+
+        await sendInteractiveButtons(
+            phone,
+            t(lang, 'buyer.orderHeader'),
+            t(lang, 'buyer.askQuantity', { name: product.name, stock: product.stock }),
+            null,
+            quantityButtons
+        );
 
     } catch (error) {
-        console.error('❌ [PRODUCT] List error:', error);
-        await sendMessage(phone, "Failed to fetch products. Please try again.");
+        console.error('❌ [BUYER] Order start error:', error);
+        await sendMessage(phone, t(lang, 'buyer.orderStartFailed'));
     }
 }
 
-// ============ Helper Functions ============
+/**
+ * Validate the requested quantity and ask for the buyer's name
+ */
+async function handleBuyerQuantity(phone, quantity) {
+    const lang = BUYER_LANGUAGE;
+    const state = await getState(phone);
+
+    if (state.step !== 'AWAITING_ORDER_QUANTITY' || !state.data.productId) {
+        await sendBuyerMenu(phone);
+        return;
+    }
+
+    const product = await findBuyerProduct(state.data.productId);
+    if (!product) {
+        await clearState(phone);
+        await sendMessage(phone, t(lang, 'buyer.outOfStock'));
+        await sendBuyerMenu(phone);
+        return;
+    }
+
+    if (isNaN(quantity) || quantity < 1 || quantity > product.stock) {
+        await sendMessage(phone, t(lang, 'buyer.invalidQuantity', { max: product.stock }));
+        return;
+    }
+
+    await setState(phone, 'AWAITING_BUYER_NAME', 'BUYER_ORDER', { quantity });
+    await sendMessage(phone, t(lang, 'buyer.askName'));
+}
 
 /**
- * Download media from WhatsApp
+ * Send the order summary with confirm/cancel buttons
  */
-async function downloadWhatsAppMedia(mediaId) {
-    // Get media URL
-    const urlResponse = await axios({
-        method: 'GET',
-        url: `https://graph.facebook.com/v17.0/${mediaId}`,
-        headers: {
-            'Authorization': `Bearer ${process.env.WHATSAPP_ACCESS_TOKEN}`,
-        },
-    });
-    
-    // Download media
-    const mediaResponse = await axios({
-        method: 'GET',
-        url: urlResponse.data.url,
-        headers: {
-            'Authorization': `Bearer ${process.env.WHATSAPP_ACCESS_TOKEN}`,
-        },
-        responseType: 'arraybuffer',
-    });
-    
-    return {
-        buffer: Buffer.from(mediaResponse.data),
-        fileSize: urlResponse.data.file_size
-    };
+async function sendOrderConfirmation(phone) {
+    const lang = BUYER_LANGUAGE;
+    const { data } = await getState(phone);
+    const product = await findBuyerProduct(data.productId);
+
+    if (!product) {
+        await clearState(phone);
+        await sendMessage(phone, t(lang, 'buyer.productUnavailable'));
+        await sendBuyerMenu(phone);
+        return;
+    }
+
+    const total = product.price * data.quantity;
+
+    await sendInteractiveButtons(
+        phone,
+        t(lang, 'buyer.confirmHeader'),
+        `📦 *${product.name}* × ${data.quantity}\n` +
+        t(lang, 'buyer.total', { total: total.toLocaleString() }) + '\n\n' +
+        `👤 ${data.customerName}\n` +
+        `📍 ${data.street}, ${data.city}\n\n` +
+        t(lang, 'buyer.payment'),
+        null,
+        [
+            { id: 'BUY_CONFIRM_ORDER', title: t(lang, 'btn.placeOrder') },
+            { id: 'CANCEL', title: t(lang, 'btn.cancel') }
+        ]
+    );
 }
 
 /**
- * Send message to WhatsApp
+ * Create the Order document from the collected buyer details
  */
-async function sendMessage(to, text) {
-    console.log('📤 [SEND] To:', to, 'Text:', text.substring(0, 80) + '...');
-    
+async function placeBuyerOrder(phone) {
+    const lang = BUYER_LANGUAGE;
+    const state = await getState(phone);
+
+    if (state.step !== 'CONFIRM_ORDER') {
+        await sendMessage(phone, t(lang, 'buyer.sessionExpired'));
+        await sendBuyerMenu(phone);
+        return;
+    }
+
+    const { productId, quantity, customerName, street, city } = state.data;
+    let product = null;
+    let orderSaved = false;
+
     try {
-        await axios({
-            method: 'POST',
-            url: `https://graph.facebook.com/v17.0/${process.env.WHATSAPP_PHONE_NUMBER_ID}/messages`,
-            headers: {
-                'Authorization': `Bearer ${process.env.WHATSAPP_ACCESS_TOKEN}`,
-                'Content-Type': 'application/json',
-            },
-            data: {
-                messaging_product: 'whatsapp',
-                to: to,
-                text: { body: text },
+        const query = await getBuyerCatalogQuery();
+
+        // Reserve stock atomically so two buyers cannot order the last item
+        product = await Product.findOneAndUpdate(
+            { _id: productId, seller: query.seller, status: query.status, stock: { $gte: quantity } },
+            { $inc: { stock: -quantity } },
+            { new: true }
+        );
+
+        if (!product) {
+            await clearState(phone);
+            await sendMessage(phone, t(lang, 'buyer.notEnoughStock'));
+            await sendBuyerMenu(phone);
+            return;
+        }
+
+        const [firstName, ...lastName] = customerName.split(/\s+/);
+
+        const order = new Order({
+            items: [{
+                product: product._id,
+                name: product.name,
+                price: product.price,
+                quantity
+            }],
+            shippingAddress: {
+                firstName,
+                lastName: lastName.join(' '),
+                street,
+                city,
+                country: 'Pakistan',
+                phone
             },
+            totalAmount: product.price * quantity,
+            paymentMethod: 'cod'
         });
-        console.log('✅ [SEND] Success');
+
+        await order.save();
+        orderSaved = true;
+        await clearState(phone);
+        console.log('🛒 [ORDER] Created:', order._id.toString(), 'from', phone);
+
+        await sendMessage(phone,
+            t(lang, 'buyer.orderPlaced', { orderNumber: order._id.toString().slice(-8).toUpperCase() }) + '\n' +
+            `📦 ${product.name} × ${quantity}\n` +
+            t(lang, 'buyer.total', { total: order.totalAmount.toLocaleString() }) + '\n\n' +
+            t(lang, 'buyer.sellerWillContact')
+        );
+
+        await notifySellersOfOrder(order);
+
     } catch (error) {
-        console.error('❌ [SEND] Error:', error.response?.data || error.message);
+        console.error('❌ [ORDER] Create error:', error);
+
+        // The order stands once saved - only give the reserved stock back if the save failed
+        if (orderSaved) return;
+
+        if (product) {
+            await Product.updateOne({ _id: product._id }, { $inc: { stock: quantity } }).catch(() => {});
+        }
+
+        await sendMessage(phone, t(lang, 'buyer.orderFailed'));
     }
 }
 
-// ============ WhatsApp Interactive Messages ============
+// ============ Seller Order Notifications ============
 
 /**
- * Send interactive buttons (max 3 buttons)
+ * Send each seller in an order a WhatsApp summary of their items
+ * with Accept/Reject buttons
  */
-async function sendInteractiveButtons(to, header, body, footer, buttons) {
-    console.log('🔘 [BUTTONS] To:', to, 'Count:', buttons.length);
-    
+async function notifySellersOfOrder(order) {
     try {
-        const interactiveData = {
-            type: 'button',
-            body: { text: body }
-        };
-        
-        if (header) {
-            interactiveData.header = { type: 'text', text: header };
-        }
-        if (footer) {
-            interactiveData.footer = { text: footer };
+        const productIds = order.items.map(item => item.product);
+        const products = await Product.find({ _id: { $in: productIds } })
+            .populate('seller', 'name phone storeName language');
+
+        // Group this order's items by seller
+        const itemsBySeller = new Map();
+        for (const item of order.items) {
+            const product = products.find(p => p._id.equals(item.product));
+            if (!product || !product.seller) continue;
+
+            const sellerId = product.seller._id.toString();
+            if (!itemsBySeller.has(sellerId)) {
+                itemsBySeller.set(sellerId, { seller: product.seller, items: [] });
+            }
+            itemsBySeller.get(sellerId).items.push(item);
         }
-        
-        interactiveData.action = {
-            buttons: buttons.slice(0, 3).map(btn => ({
-                type: 'reply',
-                reply: {
-                    id: btn.id,
-                    title: btn.title.substring(0, 20) // Max 20 chars
+
+        const orderNumber = order._id.toString().slice(-8).toUpperCase();
+        const customer = order.shippingAddress;
+
+        for (const { seller, items } of itemsBySeller.values()) {
+            const sellerTotal = items.reduce((sum, item) => sum + (item.price * item.quantity), 0);
+            const lang = seller.language || DEFAULT_LANGUAGE;
+
+            let body = t(lang, 'newOrder.intro', { store: seller.storeName }) + '\n\n';
+            items.forEach(item => {
+                body += `📦 ${item.name} × ${item.quantity} — PKR ${(item.price * item.quantity).toLocaleString()}\n`;
+            });
+            body += '\n' + t(lang, 'newOrder.total', { total: sellerTotal.toLocaleString() }) + '\n\n' +
+                `👤 ${customer.firstName} ${customer.lastName || ''}`.trimEnd() + `\n` +
+                `📍 ${customer.street}, ${customer.city}` +
+                (customer.phone ? `\n📞 ${customer.phone}` : '');
+
+            await sendNotification(seller.phone, {
+                header: t(lang, 'newOrder.header', { orderNumber }),
+                body,
+                footer: t(lang, 'newOrder.footer'),
+                buttons: [
+                    { id: 'ORDER_ACCEPT_' + order._id.toString(), title: t(lang, 'btn.accept') },
+                    { id: 'ORDER_REJECT_' + order._id.toString(), title: t(lang, 'btn.reject') }
+                ]
+            }, {
+                template: 'seller_new_order',
+                params: {
+                    orderId: order._id.toString(),
+                    orderNumber,
+                    storeName: seller.storeName,
+                    items: items.map(item => `${item.name} × ${item.quantity}`).join(', '),
+                    total: sellerTotal.toLocaleString(),
+                    customer: `${customer.firstName}, ${customer.city}`
                 }
-            }))
-        };
+            });
+            console.log('🔔 [ORDER] Notified seller:', seller.phone, 'Order:', orderNumber);
+        }
 
-        await axios({
-            method: 'POST',
-            url: `https://graph.facebook.com/v17.0/${process.env.WHATSAPP_PHONE_NUMBER_ID}/messages`,
-            headers: {
-                'Authorization': `Bearer ${process.env.WHATSAPP_ACCESS_TOKEN}`,
-                'Content-Type': 'application/json',
-            },
-            data: {
-                messaging_product: 'whatsapp',
-                to: to,
-                type: 'interactive',
-                interactive: interactiveData,
-            },
-        });
-        console.log('✅ [BUTTONS] Sent');
     } catch (error) {
-        console.error('❌ [BUTTONS] Error:', error.response?.data || error.message);
+        console.error('❌ [ORDER] Seller notification error:', error);
     }
 }
 
 /**
- * Send interactive list (for product selection, max 10 items per section)
+ * Accept or reject the seller's part of an order
+ * Accepted items move to processing, rejected items are cancelled and restocked
  */
-async function sendInteractiveList(to, header, body, footer, buttonText, sections) {
-    console.log('📋 [LIST] To:', to, 'Sections:', sections.length);
+async function handleSellerOrderDecision(phone, orderId, accepted, sellerContext) {
+    const lang = sellerContext.language;
     
     try {
-        const interactiveData = {
-            type: 'list',
-            body: { text: body }
-        };
-        
-        if (header) {
-            interactiveData.header = { type: 'text', text: header };
+        const order = await Order.findById(orderId);
+
+        if (!order) {
+            await sendMessage(phone, t(lang, 'order.notFound'));
+            await sendMainMenu(phone, sellerContext);
+            return;
         }
-        if (footer) {
-            interactiveData.footer = { text: footer };
+
+        // Only the items that belong to this seller
+        const productIds = order.items.map(item => item.product);
+        // Items of products the seller has trashed since are still theirs to answer
+        const sellerProducts = await Product.find({
+            _id: { $in: productIds },
+            seller: sellerContext.id
+        }).select('_id').setOptions({ includeDeleted: true });
+        const sellerItems = order.items.filter(item =>
+            sellerProducts.some(p => p._id.equals(item.product))
+        );
+
+        if (sellerItems.length === 0) {
+            console.warn('⚠️ [ORDER] Seller', phone, 'has no items in order', orderId);
+            await sendMessage(phone, t(lang, 'order.notYours'));
+            await sendMainMenu(phone, sellerContext);
+            return;
         }
-        
-        interactiveData.action = {
-            button: buttonText.substring(0, 20),
-            sections: sections.map(section => ({
-                title: section.title.substring(0, 24),
-                rows: section.rows.slice(0, 10).map(row => ({
-                    id: row.id,
-                    title: row.title.substring(0, 24),
-                    description: row.description ? row.description.substring(0, 72) : undefined
-                }))
-            }))
-        };
 
-        await axios({
-            method: 'POST',
-            url: `https://graph.facebook.com/v17.0/${process.env.WHATSAPP_PHONE_NUMBER_ID}/messages`,
-            headers: {
-                'Authorization': `Bearer ${process.env.WHATSAPP_ACCESS_TOKEN}`,
-                'Content-Type': 'application/json',
-            },
-            data: {
-                messaging_product: 'whatsapp',
-                to: to,
-                type: 'interactive',
-                interactive: interactiveData,
-            },
-        });
-        console.log('✅ [LIST] Sent');
+        const orderNumber = order._id.toString().slice(-8).toUpperCase();
+        const pendingItems = sellerItems.filter(item => item.status === 'pending');
+
+        if (pendingItems.length === 0) {
+            await sendMessage(phone, t(lang, 'order.alreadyAnswered', { orderNumber }));
+            await sendMainMenu(phone, sellerContext);
+            return;
+        }
+
+        // Each item moves out of pending at most once, so a repeated tap (or a
+        // second webhook delivery) can neither answer it twice nor restock twice
+        const newStatus = accepted ? 'processing' : 'cancelled';
+        const decidedItems = [];
+        for (const item of pendingItems) {
+            const result = await Order.updateOne(
+                { _id: order._id, items: { $elemMatch: { _id: item._id, status: 'pending' } } },
+                { $set: { 'items.$.status': newStatus } }
+            );
+            if (result.modifiedCount !== 1) continue;
+
+            decidedItems.push(item);
+            // Put rejected items back in stock, trashed products included
+            if (!accepted) {
+                await Product.updateOne({ _id: item.product }, { $inc: { stock: item.quantity } })
+                    .setOptions({ includeDeleted: true });
+            }
+        }
+
+        if (decidedItems.length === 0) {
+            await sendMessage(phone, t(lang, 'order.alreadyAnswered', { orderNumber }));
+            await sendMainMenu(phone, sellerContext);
+            return;
+        }
+
+        // Roll the overall order status up from its items
+        const updated = await Order.findById(order._id).select('items.status');
+        if (updated.items.every(item => item.status === 'cancelled')) {
+            await Order.updateOne({ _id: order._id }, { $set: { status: 'cancelled' } });
+        } else if (updated.items.every(item => item.status !== 'pending')) {
+            await Order.updateOne({ _id: order._id, status: 'pending' }, { $set: { status: 'processing' } });
+        }
+
+        console.log('✅ [ORDER]', orderNumber, accepted ? 'accepted' : 'rejected', 'by', phone);
+
+        const itemNames = decidedItems.map(item => `${item.name} × ${item.quantity}`).join(', ');
+        await sendMessage(phone, t(lang, accepted ? 'order.accepted' : 'order.rejected', { orderNumber }));
+
+        // Let the buyer know
+        if (order.shippingAddress.phone) {
+            const vars = { store: sellerContext.storeName, orderNumber, items: itemNames };
+            const buyerMessage = t(BUYER_LANGUAGE, accepted ? 'buyerOrder.accepted' : 'buyerOrder.rejected', vars);
+            await sendNotification(order.shippingAddress.phone, { body: buyerMessage }, {
+                template: 'buyer_order_update',
+                params: {
+                    orderNumber,
+                    message: t(BUYER_LANGUAGE, accepted ? 'buyerOrder.acceptedUpdate' : 'buyerOrder.rejectedUpdate', vars)
+                }
+            });
+        }
+
+        await sendMainMenu(phone, sellerContext);
+
     } catch (error) {
-        console.error('❌ [LIST] Error:', error.response?.data || error.message);
+        console.error('❌ [ORDER] Decision error:', error);
+        await sendMessage(phone, t(lang, 'order.failed'));
     }
 }
 
@@ -954,17 +3539,73 @@ async function sendInteractiveList(to, header, body, footer, buttonText, section
  * Send main menu with action buttons
  */
 async function sendMainMenu(phone, sellerContext) {
-    const stoeName = sellerContext.storeName || 'Your Store';
+    // Numbers without a seller account are buyers
+    if (!sellerContext.exists) {
+        await sendBuyerMenu(phone);
+        return;
+    }
+    
+    const lang = sellerContext.language;
+    const storeName = sellerContext.storeName || t(lang, 'general.yourStore');
+    const row = (id, key) => ({ id, title: t(lang, `row.${key}`), description: t(lang, `desc.${key}`) });
+    
+    // WhatsApp lists allow 10 rows in total across all sections
+    await sendInteractiveList(
+        phone,
+        `🏪 ${storeName}`,
+        t(lang, 'menu.body', { name: sellerContext.name || t(lang, 'menu.there') }),
+        t(lang, 'menu.footer'),
+        t(lang, 'list.menu'),
+        [
+            {
+                title: t(lang, 'section.inventory'),
+                rows: [
+                    row('ADD_PRODUCT', 'addProduct'),
+                    row('LIST_PRODUCTS', 'viewProducts'),
+                    row('UPDATE_PRODUCT', 'updateProduct'),
+                    row('DELETE_PRODUCT', 'deleteProduct')
+                ]
+            },
+            {
+                title: t(lang, 'section.orders'),
+                rows: [
+                    row('MY_ORDERS', 'myOrders'),
+                    row('MY_STATS', 'storeStats')
+                ]
+            },
+            {
+                title: t(lang, 'section.store'),
+                rows: [
+                    row('STORE_LINK', 'storeLink')
+                ]
+            },
+            {
+                title: t(lang, 'section.account'),
+                rows: [
+                    row('APPROVAL_STATUS', 'approvalStatus'),
+                    row('WEB_LOGIN', 'webLogin'),
+                    row('LANGUAGE', 'language')
+                ]
+            }
+        ]
+    );
+}
+
+/**
+ * Send buyer menu (also offers seller registration)
+ */
+async function sendBuyerMenu(phone) {
+    const lang = BUYER_LANGUAGE;
     
     await sendInteractiveButtons(
         phone,
-        `🏪 ${stoeName}`,
-        `Hello ${sellerContext.name || 'there'}! What would you like to do?`,
-        'Tap a button below',
+        t(lang, 'buyer.menuHeader'),
+        t(lang, 'buyer.menuBody'),
+        t(lang, 'buyer.menuFooter'),
         [
-            { id: 'ADD_PRODUCT', title: '➕ Add Product' },
-            { id: 'LIST_PRODUCTS', title: '📦 View Products' },
-            { id: 'UPDATE_PRODUCT', title: '✏️ Update' }
+            { id: 'BUY_SEARCH', title: t(lang, 'btn.search') },
+            { id: 'BUY_CATEGORIES', title: t(lang, 'btn.categories') },
+            { id: 'START_ONBOARDING', title: t(lang, 'btn.sellWithUs') }
         ]
     );
 }
@@ -972,77 +3613,214 @@ async function sendMainMenu(phone, sellerContext) {
 /**
  * Send onboarding welcome for new users
  */
-async function sendOnboardingWelcome(phone) {
+async function sendOnboardingWelcome(phone, sellerContext) {
+    const lang = sellerContext.language;
+    
     await sendInteractiveButtons(
         phone,
-        '👋 Welcome!',
-        "I'm your inventory assistant. Let's set up your store in just 2 steps!",
+        t(lang, 'onboarding.welcomeHeader'),
+        t(lang, 'onboarding.welcomeBody'),
         null,
         [
-            { id: 'START_ONBOARDING', title: '🚀 Get Started' }
+            { id: 'START_ONBOARDING', title: t(lang, 'btn.getStarted') }
         ]
     );
 }
 
+/**
+ * Ask which language the bot should use
+ */
+async function sendLanguagePicker(phone, lang) {
+    await sendInteractiveButtons(
+        phone,
+        t(lang, 'language.header'),
+        t(lang, 'language.body'),
+        null,
+        Object.entries(LANGUAGES).map(([code, label]) => ({ id: 'LANG_' + code, title: label }))
+    );
+}
+
+/**
+ * Save the tapped language: during onboarding it is kept in the state until the
+ * seller record is created, otherwise it is stored on the seller straight away
+ */
+async function applyLanguageChoice(phone, language, sellerContext) {
+    const state = await getState(phone);
+    
+    if (!LANGUAGES[language] || state.step !== 'AWAITING_LANGUAGE') {
+        await sendMainMenu(phone, sellerContext);
+        return;
+    }
+    
+    if (state.intent === 'ONBOARDING') {
+        await setState(phone, 'AWAITING_NAME', 'ONBOARDING', { language });
+        await sendMessage(phone, t(language, 'onboarding.askName'));
+        return;
+    }
+    
+    if (!sellerContext.exists) {
+        await clearState(phone);
+        await sendMainMenu(phone, sellerContext);
+        return;
+    }
+    
+    await Seller.updateOne({ _id: sellerContext.id }, { language });
+    await clearState(phone);
+    console.log('🌐 [LANGUAGE] Seller', phone, 'switched to', language);
+    
+    await sendMessage(phone, t(language, 'language.saved'));
+    await sendMainMenu(phone, { ...sellerContext, language });
+}
+
 /**
  * Send product selection list for update/delete operations
+ * Paginated (PICKER_PAGE_SIZE per page) and optionally filtered by a name search
  */
-async function sendProductSelectionList(phone, operation, sellerContext) {
+async function sendProductSelectionList(phone, operation, sellerContext, options = {}) {
+    const { page = 0, search = null } = options;
+    const lang = sellerContext.language;
+    
     try {
         const seller = await Seller.findOne({ phone: phone });
-        const products = await Product.find({ seller: seller._id }).limit(10).sort({ createdAt: -1 });
+        // Drafts only go live through the Add Product flow, so they can't be picked here
+        const query = { seller: seller._id, status: { $ne: 'draft' } };
+        
+        if (search) {
+            const pattern = { $regex: escapeRegex(search), $options: 'i' };
+            query.$or = [{ name: pattern }, { brand: pattern }, { description: pattern }];
+        }
+        
+        const totalProducts = await Product.countDocuments(query);
+        const intent = operation === 'delete' ? 'DELETE_PRODUCT' : 'UPDATE_PRODUCT';
 
-        if (products.length === 0) {
-            await sendMessage(phone, "📦 You don't have any products yet!");
-            await sendMainMenu(phone, sellerContext);
+        if (totalProducts === 0) {
+            if (!search) {
+                await sendMessage(phone, t(lang, 'picker.noProducts'));
+                await sendMainMenu(phone, sellerContext);
+                return;
+            }
+            
+            await setState(phone, 'AWAITING_PRODUCT_SELECTION', intent, { operation, page: 0, search: null });
+            await sendInteractiveButtons(
+                phone,
+                null,
+                t(lang, 'picker.noMatch', { search }),
+                null,
+                [
+                    { id: 'PICK_SEARCH', title: t(lang, 'btn.searchAgain') },
+                    { id: 'PICK_ALL', title: t(lang, 'btn.showAll') },
+                    { id: 'CANCEL', title: t(lang, 'btn.cancel') }
+                ]
+            );
             return;
         }
 
+        const totalPages = Math.ceil(totalProducts / PICKER_PAGE_SIZE);
+        const currentPage = Math.min(Math.max(page, 0), totalPages - 1);
+        const products = await Product.find(query)
+            .sort({ createdAt: -1 })
+            .skip(currentPage * PICKER_PAGE_SIZE)
+            .limit(PICKER_PAGE_SIZE);
+
         const prefix = operation === 'delete' ? 'DELETE_PRODUCT_' : 'UPDATE_PRODUCT_';
-        const actionText = operation === 'delete' ? 'Delete' : 'Update';
         
         const sections = [{
-            title: 'Your Products',
+            title: t(lang, search ? 'section.searchResults' : 'section.yourProducts'),
             rows: products.map(p => ({
                 id: prefix + p._id.toString(),
                 title: p.name.substring(0, 24),
-                description: `PKR ${p.price.toLocaleString()} | Stock: ${p.stock}`
+                description: t(lang, 'picker.rowDescription', { price: p.price.toLocaleString(), stock: p.stock }) +
+                    (p.status !== 'active' ? ' | ' + t(lang, 'productStatus.' + p.status) : '')
             }))
         }];
+        
+        // Navigation rows
+        const navRows = [];
+        if (currentPage > 0) {
+            navRows.push({
+                id: `PICK_PAGE_${currentPage - 1}`,
+                title: t(lang, 'row.previousPage'),
+                description: t(lang, 'general.page', { page: currentPage, total: totalPages })
+            });
+        }
+        if (currentPage < totalPages - 1) {
+            navRows.push({
+                id: `PICK_PAGE_${currentPage + 1}`,
+                title: t(lang, 'row.nextPage'),
+                description: t(lang, 'general.page', { page: currentPage + 2, total: totalPages })
+            });
+        }
+        navRows.push(search
+            ? { id: 'PICK_ALL', title: t(lang, 'row.showAll') }
+            : { id: 'PICK_SEARCH', title: t(lang, 'row.searchByName') }
+        );
+        sections.push({ title: t(lang, 'section.more'), rows: navRows });
 
         await sendInteractiveList(
             phone,
-            `${actionText} Product`,
-            `Select a product to ${operation}:`,
-            `${products.length} products found`,
-            'Select Product',
+            t(lang, `picker.header.${operation}`),
+            search
+                ? t(lang, `picker.bodySearch.${operation}`, { search })
+                : t(lang, `picker.body.${operation}`),
+            t(lang, 'picker.footer', { count: totalProducts, page: currentPage + 1, total: totalPages }),
+            t(lang, 'list.selectProduct'),
             sections
         );
         
-        // Store intent for the flow
-        setState(phone, 'AWAITING_PRODUCT_SELECTION', operation === 'delete' ? 'DELETE_PRODUCT' : 'UPDATE_PRODUCT');
+        // Store intent and paging position for the flow
+        await setState(phone, 'AWAITING_PRODUCT_SELECTION', intent, { operation, page: currentPage, search });
 
     } catch (error) {
         console.error('❌ [LIST] Error:', error);
-        await sendMessage(phone, "Failed to load products. Please try again.");
+        await sendMessage(phone, t(lang, 'picker.failed'));
     }
 }
 
 /**
- * Send update field selection buttons
+ * Send the list of fields (and the listing status) the seller can change
  */
-async function sendUpdateFieldButtons(phone, productId) {
-    setState(phone, 'AWAITING_UPDATE_FIELD', 'UPDATE_PRODUCT', { productId });
+async function sendUpdateFieldList(phone, productId, sellerContext) {
+    const lang = sellerContext.language;
+    let product;
     
-    await sendInteractiveButtons(
+    try {
+        product = await findOwnedProduct(phone, productId, sellerContext, 'update');
+        if (!product) return;
+        
+        await setState(phone, 'AWAITING_UPDATE_FIELD', 'UPDATE_PRODUCT', { productId: product._id.toString() });
+    } catch (error) {
+        console.error('❌ [UPDATE] Error:', error);
+        await sendMessage(phone, t(lang, 'product.loadFailed'));
+        return;
+    }
+    
+    await sendInteractiveList(
         phone,
-        'Update Product',
-        'What do you want to change?',
+        t(lang, 'update.header'),
+        `*${product.name}*\n\n${t(lang, 'update.body')}`,
         null,
+        t(lang, 'list.choose'),
         [
-            { id: 'UPDATE_PRICE', title: '💰 Price' },
-            { id: 'UPDATE_STOCK', title: '📊 Stock' },
-            { id: 'UPDATE_NAME', title: '📝 Name' }
+            {
+                title: t(lang, 'section.details'),
+                rows: [
+                    { id: 'UPDATE_PRICE', title: t(lang, 'row.field.price'), description: t(lang, 'desc.field.price', { price: product.price.toLocaleString() }) },
+                    { id: 'UPDATE_STOCK', title: t(lang, 'row.field.stock'), description: t(lang, 'desc.field.stock', { stock: product.stock }) },
+                    { id: 'UPDATE_NAME', title: t(lang, 'row.field.name'), description: product.name },
+                    { id: 'UPDATE_DESCRIPTION', title: t(lang, 'row.field.description'), description: product.description.replace(/\s+/g, ' ') || t(lang, 'desc.notSet') },
+                    { id: 'UPDATE_BRAND', title: t(lang, 'row.field.brand'), description: product.brand },
+                    { id: 'UPDATE_CATEGORY', title: t(lang, 'row.field.category'), description: t(lang, 'row.category.' + product.category) },
+                    { id: 'UPDATE_CONDITION', title: t(lang, 'row.field.condition'), description: formatCondition(lang, product) },
+                    { id: 'UPDATE_SPECS', title: t(lang, 'row.field.specs'), description: formatProductSpecs(product) || t(lang, 'desc.notSet') },
+                    { id: 'UPDATE_PHOTOS', title: t(lang, 'row.field.photos'), description: t(lang, 'desc.field.photos', { count: product.images.length, max: MAX_IMAGES }) }
+                ]
+            },
+            {
+                title: t(lang, 'section.listing'),
+                rows: [
+                    { id: 'UPDATE_STATUS', title: t(lang, 'row.field.status'), description: t(lang, 'desc.field.status', { status: t(lang, 'productStatus.' + product.status) }) }
+                ]
+            }
         ]
     );
 }
@@ -1050,29 +3828,37 @@ async function sendUpdateFieldButtons(phone, productId) {
 /**
  * Send delete confirmation buttons
  */
-async function sendDeleteConfirmation(phone, productId) {
+async function sendDeleteConfirmation(phone, productId, sellerContext) {
+    const lang = sellerContext.language;
+    
     try {
-        const product = await Product.findById(productId);
-        if (!product) {
-            await sendMessage(phone, "❌ Product not found.");
-            return;
-        }
+        const product = await findOwnedProduct(phone, productId, sellerContext, 'delete');
+        if (!product) return;
         
-        setState(phone, 'CONFIRM_DELETE', 'DELETE_PRODUCT', { productId, productName: product.name });
+        await setState(phone, 'CONFIRM_DELETE', 'DELETE_PRODUCT', {
+            productId: product._id.toString(),
+            productName: product.name
+        });
+        
+        // Sellers often delete listings they sold - offer to keep them as sold instead
+        const offerSold = product.status !== 'sold';
+        const buttons = [{ id: 'CONFIRM_DELETE_YES', title: t(lang, 'btn.confirmDelete') }];
+        if (offerSold) {
+            buttons.push({ id: 'SET_STATUS_SOLD', title: t(lang, 'btn.markSold') });
+        }
+        buttons.push({ id: 'CONFIRM_DELETE_NO', title: t(lang, 'btn.cancel') });
         
         await sendInteractiveButtons(
             phone,
-            '⚠️ Confirm Delete',
-            `Are you sure you want to delete *${product.name}*?\n\nThis action cannot be undone.`,
+            t(lang, 'delete.header'),
+            t(lang, 'delete.body', { name: product.name, days: getTrashDays() }) +
+                (offerSold ? '\n\n' + t(lang, 'delete.soldHint') : ''),
             null,
-            [
-                { id: 'CONFIRM_DELETE_YES', title: '🗑️ Yes, Delete' },
-                { id: 'CONFIRM_DELETE_NO', title: '❌ Cancel' }
-            ]
+            buttons
         );
     } catch (error) {
         console.error('❌ [DELETE] Error:', error);
-        await sendMessage(phone, "Failed to load product. Please try again.");
+        await sendMessage(phone, t(lang, 'product.loadFailed'));
     }
 }
 
@@ -1081,34 +3867,46 @@ async function sendDeleteConfirmation(phone, productId) {
 /**
  * Health check endpoint
  */
-router.get('/health', (req, res) => {
-    res.json({
-        status: 'ok',
-        timestamp: new Date().toISOString(),
-        architecture: 'button-driven-deterministic',
-        activeStates: userState.size,
-        pendingImages: pendingImageContext.size
-    });
+router.get('/health', async (req, res) => {
+    try {
+        res.json({
+            status: 'ok',
+            timestamp: new Date().toISOString(),
+            architecture: 'button-driven-deterministic',
+            activeStates: await ConversationState.countDocuments({ expiresAt: { $gt: new Date() } })
+        });
+    } catch (error) {
+        console.error('❌ [HEALTH] Error:', error);
+        res.status(500).json({ status: 'error', error: error.message });
+    }
 });
 
 /**
  * Clear conversation state for a phone (for testing)
  */
-router.post('/clear-context/:phone', (req, res) => {
+router.post('/clear-context/:phone', async (req, res) => {
     const phone = req.params.phone;
-    userState.delete(phone);
-    pendingImageContext.delete(phone);
-    pendingSellerContext.delete(phone);
-    res.json({ success: true, message: 'All local context cleared for ' + phone });
+    try {
+        await clearState(phone);
+        res.json({ success: true, message: 'Conversation state cleared for ' + phone });
+    } catch (error) {
+        console.error('❌ [STATE] Clear error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
 });
 
 /**
  * Get current state for a phone (for debugging)
  */
-router.get('/state/:phone', (req, res) => {
+router.get('/state/:phone', async (req, res) => {
     const phone = req.params.phone;
-    const state = getState(phone);
-    res.json({ phone, state });
+    try {
+        const state = await getState(phone);
+        res.json({ phone, state });
+    } catch (error) {
+        console.error('❌ [STATE] Fetch error:', error);
+        res.status(500).json({ error: error.message });
+    }
 });
 
 module.exports = router;
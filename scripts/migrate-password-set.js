@@ -0,0 +1,32 @@
+/**
+ * One-off migration: backfill Seller.passwordSet for sellers saved before the
+ * field existed (see backfillPasswordSet in services/sellerWebLogin.js)
+ *
+ * Run once after deploying:   npm run migrate:password-set
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { backfillPasswordSet } = require('../services/sellerWebLogin');
+
+async function main() {
+    const MONGODB_URI = process.env.MONGODB_URI;
+    if (!MONGODB_URI) {
+        console.error('❌ Missing MONGODB_URI in environment');
+        process.exit(1);
+    }
+
+    await mongoose.connect(MONGODB_URI);
+    console.log('✅ Connected to MongoDB');
+
+    try {
+        await backfillPasswordSet();
+    } finally {
+        await mongoose.connection.close();
+    }
+}
+
+main().catch(err => {
+    console.error('❌ [WEB LOGIN] passwordSet migration error:', err);
+    process.exit(1);
+});
@@ -0,0 +1,289 @@
+/**
+ * Bulk Inventory Updates
+ * Lets WhatsApp sellers change stock and prices without walking the
+ * update flow one product at a time:
+ *
+ *   "stock astrox 88d 5"        -> stock of the matching product = 5
+ *   "price nanoflare 700 22000" -> price = 22000
+ *
+ * or by sending a CSV / XLSX file whose first row names the columns:
+ *
+ *   product,stock,price
+ *   Astrox 88D,5,
+ *   Nanoflare 700,,22000
+ *
+ * Products are looked up in the seller's own catalog only - by id, exact
+ * name, then a partial name that matches a single product. Every row gets
+ * its own result so one bad line never blocks the rest of the sheet.
+ */
+
+const { Readable } = require('stream');
+const mongoose = require('mongoose');
+const ExcelJS = require('exceljs');
+const Product = require('../models/Product');
+const { parsePrice } = require('./productTextParser');
+
+const UPDATABLE_FIELDS = ['stock', 'price'];
+const MAX_SHEET_ROWS = 200;
+const MAX_SHEET_SIZE = 1024 * 1024; // 1MB
+
+// "stock <product> <qty>" / "price <product> <amount>" - the amount may be "15k" or "1.5 lac"
+const COMMAND_PATTERN = /^(stock|price)\s+(.+?)\s+((?:rs\.?|pkr)?\s*-?\d[\d,.]*\s*(?:k|lacs?|lakhs?|rs|pkr)?)$/i;
+
+// Thousands commas in a stock count ("1,000")
+const GROUPED_NUMBER_PATTERN = /^\d{1,3}(?:,\d{3})+$/;
+
+// Header spellings accepted for each column
+const COLUMN_ALIASES = {
+    id: ['id', 'product id', 'product_id', '_id', 'sku'],
+    product: ['product', 'name', 'product name', 'product_name', 'item'],
+    stock: ['stock', 'qty', 'quantity'],
+    price: ['price', 'price (pkr)', 'pkr']
+};
+
+const SHEET_TYPES = {
+    csv: ['text/csv', 'text/comma-separated-values', 'application/csv'],
+    xlsx: ['application/vnd.openxmlformats-officedocument.spreadsheetml.sheet']
+};
+
+/**
+ * Validate a stock or price value; resolves to a number, or null if invalid
+ */
+function parseFieldValue(field, value) {
+    if (value === null || value === undefined) return null;
+
+    if (field === 'price') {
+        if (typeof value === 'number') {
+            return value < 0 ? null : Math.round(value);
+        }
+        return parsePrice(value);
+    }
+
+    if (field === 'stock') {
+        if (typeof value === 'number') {
+            return Number.isInteger(value) && value >= 0 ? value : null;
+        }
+        // Whole counts only - "5.9" or "1,0" is a typo, not 5 or 1
+        let text = String(value).trim();
+        if (GROUPED_NUMBER_PATTERN.test(text)) {
+            text = text.replace(/,/g, '');
+        }
+        return /^\d+$/.test(text) ? parseInt(text) : null;
+    }
+
+    return null;
+}
+
+/**
+ * Parse a quick command; null if the text isn't one
+ */
+function parseInventoryCommand(text) {
+    const match = text.trim().match(COMMAND_PATTERN);
+    if (!match) return null;
+
+    return {
+        field: match[1].toLowerCase(),
+        query: match[2].trim(),
+        value: match[3]
+    };
+}
+
+/**
+ * True for text that starts like a command but didn't parse (to show usage)
+ */
+function looksLikeInventoryCommand(text) {
+    return /^(stock|price)\b/i.test(text.trim());
+}
+
+/**
+ * Resolve "csv" / "xlsx" from a WhatsApp document's mime type or file name
+ */
+function getSheetType(mimeType, fileName) {
+    for (const [type, mimeTypes] of Object.entries(SHEET_TYPES)) {
+        if (mimeTypes.includes((mimeType || '').split(';')[0].trim().toLowerCase())) {
+            return type;
+        }
+    }
+
+    const extension = (fileName || '').split('.').pop().toLowerCase();
+    return SHEET_TYPES[extension] ? extension : null;
+}
+
+/**
+ * Plain text of an ExcelJS cell value (formulas, rich text and links included)
+ */
+function cellText(value) {
+    if (value === null || value === undefined) return '';
+    if (typeof value !== 'object') return String(value).trim();
+    if (value instanceof Date) return value.toISOString();
+    if (value.result !== undefined) return cellText(value.result);
+    if (value.richText) return value.richText.map(part => part.text).join('').trim();
+    if (value.text !== undefined) return cellText(value.text);
+    return '';
+}
+
+/**
+ * Numbers stay numbers so "1500.0" from a sheet isn't re-parsed as text
+ */
+function cellValue(value) {
+    if (value && typeof value === 'object' && value.result !== undefined) return cellValue(value.result);
+    return typeof value === 'number' ? value : cellText(value);
+}
+
+/**
+ * Read the first worksheet into [{ row, id, product, stock, price }].
+ * Throws an Error with a `code` the bot can translate when the sheet is unusable.
+ */
+async function parseInventorySheet(buffer, type) {
+    const workbook = new ExcelJS.Workbook();
+    const worksheet = type === 'csv'
+        ? await workbook.csv.read(Readable.from([buffer.toString('utf8').replace(/^\uFEFF/, '')]))
+        : (await workbook.xlsx.load(buffer), workbook.worksheets[0]);
+
+    if (!worksheet || worksheet.rowCount === 0) {
+        throw Object.assign(new Error('Spreadsheet is empty'), { code: 'empty' });
+    }
+
+    // Map header cells to the columns we understand
+    const columns = {};
+    worksheet.getRow(1).eachCell((cell, colNumber) => {
+        const header = cellText(cell.value).toLowerCase();
+        for (const [column, aliases] of Object.entries(COLUMN_ALIASES)) {
+            if (aliases.includes(header) && !columns[column]) {
+                columns[column] = colNumber;
+            }
+        }
+    });
+
+    if (!columns.id && !columns.product) {
+        throw Object.assign(new Error('No product or id column'), { code: 'noProductColumn' });
+    }
+    if (!columns.stock && !columns.price) {
+        throw Object.assign(new Error('No stock or price column'), { code: 'noValueColumn' });
+    }
+
+    const rows = [];
+    worksheet.eachRow((row, rowNumber) => {
+        if (rowNumber === 1) return;
+
+        const read = column => columns[column] ? cellValue(row.getCell(columns[column]).value) : '';
+        const entry = {
+            row: rowNumber,
+            id: String(read('id')),
+            product: String(read('product')),
+            stock: read('stock') === '' ? null : read('stock'),
+            price: read('price') === '' ? null : read('price')
+        };
+
+        // Skip blank lines
+        if (entry.id || entry.product || entry.stock !== null || entry.price !== null) {
+            rows.push(entry);
+        }
+    });
+
+    if (rows.length === 0) {
+        throw Object.assign(new Error('Spreadsheet has no data rows'), { code: 'empty' });
+    }
+    if (rows.length > MAX_SHEET_ROWS) {
+        throw Object.assign(new Error('Spreadsheet has too many rows'), { code: 'tooManyRows' });
+    }
+
+    return rows;
+}
+
+/**
+ * Find one product in the seller's catalog by id or name
+ */
+function matchProduct(products, { id, product: query }) {
+    if (id && mongoose.isValidObjectId(id)) {
+        const byId = products.find(p => p._id.toString() === id);
+        if (byId) return { product: byId };
+    }
+
+    const needle = (query || '').trim().toLowerCase();
+    if (!needle) return { error: 'notFound' };
+
+    const exact = products.filter(p => (p.name || '').toLowerCase() === needle);
+    if (exact.length === 1) return { product: exact[0] };
+
+    const partial = exact.length > 1
+        ? exact
+        : products.filter(p => (p.name || '').toLowerCase().includes(needle));
+
+    if (partial.length === 1) return { product: partial[0] };
+    if (partial.length > 1) return { error: 'ambiguous', matches: partial.map(p => p.name) };
+    return { error: 'notFound' };
+}
+
+/**
+ * Apply updates to the seller's products.
+ * updates: [{ row?, id?, product?, stock?, price? }] (null = leave unchanged)
+ * Resolves to [{ row, label, ok, name?, changes?, error?, matches? }]
+ */
+async function applyInventoryUpdates(sellerId, updates) {
+    // Unfinished WhatsApp drafts (e.g. "New Product" at price 0) are not inventory yet
+    const products = await Product.find({ seller: sellerId, status: { $ne: 'draft' } }).select('name price stock');
+    const results = [];
+
+    for (const [index, update] of updates.entries()) {
+        const result = {
+            row: update.row || index + 1,
+            label: update.product || update.id,
+            ok: false
+        };
+        results.push(result);
+
+        const match = matchProduct(products, update);
+        if (!match.product) {
+            result.error = match.error;
+            result.matches = match.matches;
+            continue;
+        }
+
+        const product = match.product;
+        result.name = product.name;
+
+        const changes = {};
+        for (const field of UPDATABLE_FIELDS) {
+            if (update[field] === null || update[field] === undefined) continue;
+
+            const value = parseFieldValue(field, update[field]);
+            if (value === null) {
+                result.error = field === 'price' ? 'invalidPrice' : 'invalidStock';
+                break;
+            }
+            changes[field] = value;
+        }
+        if (result.error) continue;
+
+        if (Object.keys(changes).length === 0) {
+            result.error = 'noChanges';
+            continue;
+        }
+
+        try {
+            Object.assign(product, changes);
+            await product.save();
+            result.ok = true;
+            result.changes = changes;
+        } catch (error) {
+            console.error('❌ [BULK] Save failed for', product._id.toString(), error.message);
+            result.error = 'saveFailed';
+        }
+    }
+
+    const updated = results.filter(r => r.ok).length;
+    console.log('📦 [BULK] Seller', sellerId.toString(), 'updated', updated, 'of', results.length, 'rows');
+    return results;
+}
+
+module.exports = {
+    MAX_SHEET_ROWS,
+    MAX_SHEET_SIZE,
+    parseFieldValue,
+    parseInventoryCommand,
+    looksLikeInventoryCommand,
+    getSheetType,
+    parseInventorySheet,
+    applyInventoryUpdates
+};
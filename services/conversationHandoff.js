@@ -0,0 +1,126 @@
+/**
+ * Human Handoff
+ * An admin can take a WhatsApp conversation over from the bot in /admin.
+ * While it is taken over, processMessage() skips the state machine for that
+ * phone: inbound messages only land in the transcript and the admin inbox,
+ * and admins answer from /admin/conversations/:phone with the regular send
+ * helpers. Releasing hands the phone back to the bot with a fresh state.
+ */
+
+const ConversationHandoff = require('../models/ConversationHandoff');
+const Seller = require('../models/Seller');
+const { isConversationWindowOpen, sendMessage } = require('./whatsappClient');
+const { t, DEFAULT_LANGUAGE } = require('./i18n');
+const { clearState } = require('./conversationState');
+
+/**
+ * The phone's active handoff, or null while the bot is in charge
+ */
+async function getHandoff(phone) {
+    return ConversationHandoff.findOne({ phone }).lean();
+}
+
+/**
+ * Tell the user who they are talking to now - skipped once the 24h window
+ * has closed, since a free-form message would only be dead-lettered
+ */
+async function notifyUser(phone, key) {
+    if (!await isConversationWindowOpen(phone)) return;
+
+    const seller = await Seller.findOne({ phone }).select('language').lean();
+    await sendMessage(phone, t(seller?.language || DEFAULT_LANGUAGE, key));
+}
+
+/**
+ * Pause the bot for this phone. Resolves to the handoff; taking over a
+ * conversation that is already taken over keeps the original admin.
+ */
+async function takeOverConversation(phone, takenBy) {
+    const existing = await getHandoff(phone);
+    if (existing) return existing;
+
+    const handoff = await ConversationHandoff.findOneAndUpdate(
+        { phone },
+        { $setOnInsert: { takenBy, takenAt: new Date(), unreadCount: 0 } },
+        { upsert: true, new: true }
+    ).lean();
+
+    // Whatever flow was in progress would be stale by the time the bot is back
+    await clearState(phone);
+    console.log('🙋 [HANDOFF]', takenBy, 'took over', phone);
+
+    await notifyUser(phone, 'handoff.started');
+    return handoff;
+}
+
+/**
+ * Hand the conversation back to the bot; resolves to false if it wasn't taken over
+ */
+async function releaseConversation(phone, releasedBy) {
+    const handoff = await ConversationHandoff.findOneAndDelete({ phone });
+    if (!handoff) return false;
+
+    await clearState(phone);
+    console.log('🤖 [HANDOFF]', releasedBy, 'released', phone, 'back to the bot');
+
+    await notifyUser(phone, 'handoff.released');
+    return true;
+}
+
+/**
+ * Count an inbound message for the admin inbox; resolves to false when the
+ * bot should handle the message itself
+ */
+async function recordHandoffMessage(phone, receivedAt = new Date()) {
+    const result = await ConversationHandoff.updateOne(
+        { phone },
+        { $inc: { unreadCount: 1 }, $max: { lastInboundAt: receivedAt } }
+    );
+    return result.matchedCount > 0;
+}
+
+/**
+ * Clear the unread count once an admin has opened the conversation
+ */
+async function markHandoffRead(phone) {
+    await ConversationHandoff.updateOne({ phone, unreadCount: { $gt: 0 } }, { $set: { unreadCount: 0 } });
+}
+
+/**
+ * Conversations taken over by admins, most recent inbound message first
+ */
+async function listHandoffs() {
+    return ConversationHandoff.find().sort({ lastInboundAt: -1, takenAt: -1 }).lean();
+}
+
+/**
+ * Send an admin's reply. Throws an Error with code 'notTakenOver' or
+ * 'windowClosed'; resolves to false if the message was dead-lettered.
+ */
+async function sendAdminReply(phone, text, sentBy) {
+    if (!await getHandoff(phone)) {
+        const error = new Error('Conversation is not taken over');
+        error.code = 'notTakenOver';
+        throw error;
+    }
+
+    // Outside the 24h window Meta only accepts templates
+    if (!await isConversationWindowOpen(phone)) {
+        const error = new Error('Conversation window is closed');
+        error.code = 'windowClosed';
+        throw error;
+    }
+
+    console.log('💬 [HANDOFF]', sentBy, 'replied to', phone);
+    return sendMessage(phone, text);
+}
+
+module.exports = {
+    getHandoff,
+    takeOverConversation,
+    releaseConversation,
+    recordHandoffMessage,
+    markHandoffRead,
+    listHandoffs,
+    sendAdminReply
+};
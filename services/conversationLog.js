@@ -0,0 +1,132 @@
+/**
+ * Conversation Transcripts
+ * Stores each inbound WhatsApp message and each reply we send, together with
+ * the phone's state step and intent at that moment, so a seller's complaint
+ * can be replayed in /admin/conversations.
+ *
+ * Logging never throws - a transcript failure must not break a bot reply.
+ * Messages exchanged while an admin has taken the conversation over are
+ * logged with step HANDOFF (services/conversationHandoff.js).
+ */
+
+const mongoose = require('mongoose');
+const ConversationMessage = require('../models/ConversationMessage');
+const ConversationState = require('../models/ConversationState');
+const ConversationHandoff = require('../models/ConversationHandoff');
+
+const MAX_BODY_LENGTH = 2000;
+
+/**
+ * Step and intent the phone is in right now (IDLE once the state expired,
+ * HANDOFF while an admin has it)
+ */
+async function getCurrentState(phone) {
+    if (await ConversationHandoff.exists({ phone })) {
+        return { step: 'HANDOFF', intent: null };
+    }
+
+    const state = await ConversationState.findOne({ phone }).select('step intent expiresAt').lean();
+    if (state && state.expiresAt > new Date()) {
+        return { step: state.step, intent: state.intent };
+    }
+    return { step: 'IDLE', intent: null };
+}
+
+/**
+ * Readable text of an inbound webhook message
+ */
+function summarizeInbound(message) {
+    switch (message.type) {
+        case 'text':
+            return message.text?.body || '';
+        case 'interactive': {
+            const reply = message.interactive?.button_reply || message.interactive?.list_reply || {};
+            return `${reply.title || ''} (${reply.id || ''})`;
+        }
+        case 'button':
+            return `${message.button?.text || ''} (${message.button?.payload || ''})`;
+        case 'image':
+        case 'video':
+            return message[message.type]?.caption || `[${message.type}]`;
+        case 'document':
+            return `[document] ${message.document?.filename || ''}`;
+        default:
+            return `[${message.type}]`;
+    }
+}
+
+/**
+ * Readable text of an outbound Graph API payload, buttons and list rows included
+ */
+function summarizeOutbound(payload) {
+    switch (payload.type) {
+        case 'image':
+            return [payload.image?.caption, payload.image?.link].filter(Boolean).join('\n');
+        case 'interactive': {
+            const interactive = payload.interactive || {};
+            const lines = [interactive.header?.text, interactive.body?.text, interactive.footer?.text].filter(Boolean);
+            const buttons = (interactive.action?.buttons || []).map(b => `[${b.reply.title}]`);
+            const rows = (interactive.action?.sections || []).flatMap(s => s.rows.map(r => `• ${r.title}`));
+            return [...lines, buttons.join(' '), ...rows].filter(Boolean).join('\n');
+        }
+        case 'template': {
+            const params = (payload.template?.components || [])
+                .filter(c => c.type === 'body')
+                .flatMap(c => c.parameters.map(p => p.text));
+            return `[template ${payload.template?.name}] ${params.join(' | ')}`;
+        }
+        default:
+            return payload.text?.body || `[${payload.type}]`;
+    }
+}
+
+/**
+ * Store a transcript entry with the phone's current step (and intent, unless given)
+ */
+async function saveEntry(entry) {
+    if (mongoose.connection.readyState !== 1) return;
+
+    try {
+        const { step, intent } = await getCurrentState(entry.phone);
+        await ConversationMessage.create({
+            ...entry,
+            step,
+            intent: entry.intent || intent,
+            body: entry.body.slice(0, MAX_BODY_LENGTH)
+        });
+    } catch (error) {
+        console.error('❌ [TRANSCRIPT] Could not log', entry.direction, 'message for', entry.phone + ':', error.message);
+    }
+}
+
+/**
+ * Log a message received on the webhook. `intent` is the button's intent, if any.
+ */
+async function logInboundMessage(phone, message, intent = null) {
+    await saveEntry({
+        phone,
+        direction: 'in',
+        type: message.type,
+        body: summarizeInbound(message),
+        intent,
+        createdAt: new Date()
+    });
+}
+
+/**
+ * Log a payload we are sending (includes `to`)
+ */
+async function logOutboundMessage(payload) {
+    await saveEntry({
+        phone: payload.to,
+        direction: 'out',
+        type: payload.type || 'text',
+        body: summarizeOutbound(payload),
+        createdAt: new Date()
+    });
+}
+
+module.exports = {
+    logInboundMessage,
+    logOutboundMessage
+};
@@ -0,0 +1,48 @@
+/**
+ * Conversation State Cleanup
+ * Ending a bot conversation - from the bot itself or from the admin handoff -
+ * goes through clearState(), so media a flow uploaded but never saved to a
+ * product is deleted along with the state instead of staying in Cloudinary.
+ */
+
+const ConversationState = require('../models/ConversationState');
+const { deleteFromCloudinary, getPublicIdFromUrl } = require('../config/cloudinary');
+
+/**
+ * Remove photos a product no longer uses from Cloudinary
+ */
+async function deleteProductPhotos(imageUrls) {
+    for (const imageUrl of imageUrls) {
+        const publicId = getPublicIdFromUrl(imageUrl);
+        if (publicId) await deleteFromCloudinary(publicId, 'image');
+    }
+}
+
+/**
+ * Delete the photos a "Replace all" update collected but never saved to the
+ * product (cancelled, or left for another flow)
+ */
+async function discardPendingPhotos(phone, state) {
+    const images = state.data?.images || [];
+    if (state.step !== 'AWAITING_UPDATE_IMAGES' || state.data.photoMode !== 'replace' || images.length === 0) return;
+
+    await deleteProductPhotos(images);
+    console.log('🧹 [PHOTOS] Deleted', images.length, 'unsaved replacement photos of', phone);
+}
+
+/**
+ * Drop the phone's conversation state, expired or not
+ */
+async function clearState(phone) {
+    const state = await ConversationState.findOneAndDelete({ phone }).lean();
+    if (state) {
+        await discardPendingPhotos(phone, state);
+    }
+    console.log('🧹 [STATE] Cleared:', phone);
+}
+
+module.exports = {
+    deleteProductPhotos,
+    discardPendingPhotos,
+    clearState
+};
@@ -0,0 +1,86 @@
+/**
+ * WhatsApp Bot Translations
+ * Seller-facing bot messages live in locales/whatsapp/<code>.js, keyed by
+ * dotted ids such as 'media.start'. t(lang, key, vars) fills {placeholders};
+ * an entry may also be a function of vars (English uses that for plurals).
+ *
+ * Keys missing from a catalog fall back to English, so a new message only
+ * has to be added to en.js to ship.
+ */
+
+const en = require('../locales/whatsapp/en');
+const ur = require('../locales/whatsapp/ur');
+const romanUr = require('../locales/whatsapp/roman-ur');
+
+const DEFAULT_LANGUAGE = 'en';
+
+// Code -> label shown on the language picker buttons
+const LANGUAGES = {
+    en: 'English',
+    ur: 'اردو',
+    'roman-ur': 'Roman Urdu'
+};
+
+const CATALOGS = {
+    en,
+    ur,
+    'roman-ur': romanUr
+};
+
+// WhatsApp rejects interactive messages whose titles exceed these lengths
+const TITLE_LIMITS = {
+    btn: 20,
+    row: 24,
+    desc: 72,
+    section: 24,
+    list: 20
+};
+
+/**
+ * Fill {name} placeholders from vars
+ */
+function interpolate(text, vars) {
+    return text.replace(/\{(\w+)\}/g, (match, name) =>
+        vars[name] === undefined || vars[name] === null ? match : String(vars[name])
+    );
+}
+
+/**
+ * Translate a message key for a language code
+ */
+function t(lang, key, vars = {}) {
+    const catalog = CATALOGS[lang] || CATALOGS[DEFAULT_LANGUAGE];
+    let entry = catalog[key];
+
+    if (entry === undefined) {
+        entry = CATALOGS[DEFAULT_LANGUAGE][key];
+        if (entry === undefined) {
+            console.error('❌ [I18N] Missing message key:', key);
+            return key;
+        }
+    }
+
+    return typeof entry === 'function' ? entry(vars) : interpolate(entry, vars);
+}
+
+/**
+ * Log catalog entries that are too long for a button, row, section or list title
+ */
+function validateCatalogs() {
+    for (const [lang, catalog] of Object.entries(CATALOGS)) {
+        for (const [key, value] of Object.entries(catalog)) {
+            const limit = TITLE_LIMITS[key.split('.')[0]];
+            if (limit && typeof value === 'string' && value.length > limit) {
+                console.error(`❌ [I18N] ${lang} "${key}" is ${value.length} chars (WhatsApp limit ${limit})`);
+            }
+        }
+    }
+}
+
+validateCatalogs();
+
+module.exports = {
+    t,
+    LANGUAGES,
+    DEFAULT_LANGUAGE
+};
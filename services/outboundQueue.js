@@ -0,0 +1,343 @@
+/**
+ * Outbound WhatsApp Queue
+ * Every message the helpers in services/whatsappClient.js send is stored
+ * first, then delivered. A Graph API 429 / 5xx or a network error no longer
+ * loses the message:
+ *
+ * - retries use exponential backoff (with jitter) up to MAX_ATTEMPTS, after
+ *   which the message is dead-lettered and shows up in /admin/messages
+ * - messages to one phone go out in order; a message waiting for a retry holds
+ *   back the ones queued after it, so a menu never arrives before its reply
+ * - each phone has a token bucket matching Meta's pair rate limit (bursts are
+ *   fine, sustained sends are spaced out)
+ * - status webhooks move sent messages to delivered / read, or to dead when
+ *   WhatsApp reports the delivery failed
+ *
+ * Messages are claimed with a conditional update before sending, so several
+ * app instances can share the queue without double-sending.
+ */
+
+const mongoose = require('mongoose');
+const OutboundMessage = require('../models/OutboundMessage');
+
+const MAX_ATTEMPTS = parseInt(process.env.WHATSAPP_SEND_MAX_ATTEMPTS) || 6;
+const BASE_BACKOFF = 5 * 1000; // 5s, 10s, 20s, 40s...
+const MAX_BACKOFF = 15 * 60 * 1000; // 15 minutes
+const SEND_LOCK = 60 * 1000; // 1 minute
+const WORKER_INTERVAL = 5 * 1000; // 5 seconds
+
+// Per-phone token bucket: PHONE_BURST messages at once, then one per PHONE_REFILL
+const PHONE_BURST = 10;
+const PHONE_REFILL = parseInt(process.env.WHATSAPP_PER_PHONE_INTERVAL_MS) || 6 * 1000;
+
+// Graph API error codes worth retrying: rate limits and temporary outages
+const RETRYABLE_ERROR_CODES = [1, 2, 4, 80007, 130429, 131000, 131016, 131056];
+
+// Status webhooks only move a message forward
+const STATUS_PREDECESSORS = {
+    delivered: ['sent'],
+    read: ['sent', 'delivered']
+};
+
+const phoneBuckets = new Map();
+const phoneChains = new Map();
+
+/**
+ * Delay before retry number `attempts` (1-based), with up to 20% jitter
+ */
+function getBackoff(attempts) {
+    const delay = Math.min(MAX_BACKOFF, BASE_BACKOFF * Math.pow(2, attempts - 1));
+    return Math.round(delay * (1 + Math.random() * 0.2));
+}
+
+/**
+ * Network errors, 429s, 5xx and Graph rate-limit codes are temporary
+ */
+function isRetryable(error) {
+    if (!error.response) return true;
+
+    const status = error.response.status;
+    const code = error.response.data?.error?.code;
+    return status === 429 || status >= 500 || RETRYABLE_ERROR_CODES.includes(code);
+}
+
+/**
+ * Short description of a send error for the admin panel
+ */
+function describeError(error) {
+    const graphError = error.response?.data?.error;
+    if (graphError) {
+        return `${graphError.code || error.response.status}: ${graphError.message || 'Graph API error'}`;
+    }
+    return error.response ? `HTTP ${error.response.status}` : error.message;
+}
+
+/**
+ * One-line preview of a queued payload (admin panel / logs)
+ */
+function describePayload(payload) {
+    switch (payload.type) {
+        case 'image':
+            return `[image] ${payload.image?.caption || payload.image?.link || ''}`;
+        case 'interactive':
+            return `[${payload.interactive?.type}] ${payload.interactive?.body?.text || ''}`;
+        case 'template':
+            return `[template] ${payload.template?.name || ''}`;
+        default:
+            return payload.text?.body || `[${payload.type}]`;
+    }
+}
+
+// ============ Per-phone Throttle ============
+
+function refillBucket(phone) {
+    const now = Date.now();
+    const bucket = phoneBuckets.get(phone) || { tokens: PHONE_BURST, updatedAt: now };
+    bucket.tokens = Math.min(PHONE_BURST, bucket.tokens + (now - bucket.updatedAt) / PHONE_REFILL);
+    bucket.updatedAt = now;
+    phoneBuckets.set(phone, bucket);
+    return bucket;
+}
+
+/**
+ * Milliseconds until this phone may be sent another message (0 = now)
+ */
+function getThrottleDelay(phone) {
+    const bucket = refillBucket(phone);
+    return bucket.tokens >= 1 ? 0 : Math.ceil((1 - bucket.tokens) * PHONE_REFILL);
+}
+
+function consumeToken(phone) {
+    refillBucket(phone).tokens -= 1;
+}
+
+/**
+ * Run tasks for one phone one after another (in this process)
+ */
+function runForPhone(phone, task) {
+    // A failed task doesn't stop the ones queued behind it
+    const next = (phoneChains.get(phone) || Promise.resolve()).catch(() => {}).then(task);
+    phoneChains.set(phone, next);
+    next.catch(() => {}).then(() => {
+        if (phoneChains.get(phone) === next) phoneChains.delete(phone);
+    });
+    return next;
+}
+
+// ============ Delivery ============
+
+/**
+ * Send one claimed message and record the outcome
+ */
+async function attemptDelivery(message) {
+    const { getTransport } = require('./whatsappClient');
+
+    try {
+        consumeToken(message.to);
+        const response = await getTransport().sendMessage(message.payload);
+
+        await OutboundMessage.updateOne({ _id: message._id, status: 'sending' }, {
+            $set: { status: 'sent', wamid: response?.messages?.[0]?.id, sentAt: new Date() },
+            $unset: { lockedUntil: 1, lastError: 1 }
+        });
+        return 'sent';
+    } catch (error) {
+        const lastError = describeError(error);
+
+        if (isRetryable(error) && message.attempts < MAX_ATTEMPTS) {
+            const delay = getBackoff(message.attempts);
+            console.warn('⏳ [QUEUE] Attempt', message.attempts, 'to', message.to, 'failed (' + lastError + '), retrying in', Math.round(delay / 1000) + 's');
+            await OutboundMessage.updateOne({ _id: message._id }, {
+                $set: { status: 'queued', nextAttemptAt: new Date(Date.now() + delay), lastError },
+                $unset: { lockedUntil: 1 }
+            });
+            return 'queued';
+        }
+
+        console.error('💀 [QUEUE] Dead-lettered message', message._id.toString(), 'to', message.to + ':', lastError);
+        await OutboundMessage.updateOne({ _id: message._id }, {
+            $set: { status: 'dead', failedAt: new Date(), lastError },
+            $unset: { lockedUntil: 1 }
+        });
+        return 'dead';
+    }
+}
+
+/**
+ * Send this phone's queued messages in order until one has to wait
+ */
+async function drainPhone(phone) {
+    for (;;) {
+        const head = await OutboundMessage.findOne({ to: phone, status: { $in: ['queued', 'sending'] } })
+            .sort({ createdAt: 1, _id: 1 });
+        if (!head) return;
+
+        const now = new Date();
+        // In flight elsewhere, or waiting out a backoff - later messages wait too
+        if (head.status === 'sending' && head.lockedUntil > now) return;
+        if (head.status === 'queued' && head.nextAttemptAt > now) return;
+
+        const delay = getThrottleDelay(phone);
+        if (delay > 0) {
+            await OutboundMessage.updateOne({ _id: head._id, status: 'queued' }, {
+                $set: { nextAttemptAt: new Date(now.getTime() + delay) }
+            });
+            return;
+        }
+
+        // Claim it - only one sender wins
+        const message = await OutboundMessage.findOneAndUpdate({
+            _id: head._id,
+            $or: [
+                { status: 'queued', nextAttemptAt: { $lte: now } },
+                { status: 'sending', lockedUntil: { $lte: now } }
+            ]
+        }, {
+            $set: { status: 'sending', lockedUntil: new Date(now.getTime() + SEND_LOCK) },
+            $inc: { attempts: 1 }
+        }, { new: true });
+        if (!message) return;
+
+        if (await attemptDelivery(message) === 'queued') return;
+    }
+}
+
+/**
+ * Queue a Graph API payload (must include `to`) and try to send it right away.
+ * Resolves to 'sent', 'queued' (will be retried) or 'dead'.
+ */
+async function enqueueMessage(payload) {
+    // No database (scripts, outbox transport) - send directly, without retries
+    if (mongoose.connection.readyState !== 1) {
+        const { getTransport } = require('./whatsappClient');
+        await getTransport().sendMessage(payload);
+        return 'sent';
+    }
+
+    const message = await OutboundMessage.create({ to: payload.to, payload });
+    try {
+        await runForPhone(payload.to, () => drainPhone(payload.to));
+    } catch (error) {
+        // Stored, so the worker picks it up once the database is reachable again
+        console.error('❌ [QUEUE] Drain error for', payload.to + ':', error.message);
+        return 'queued';
+    }
+
+    const { status } = await OutboundMessage.findById(message._id).select('status').lean();
+    return ['sending', 'queued'].includes(status) ? 'queued' : status;
+}
+
+/**
+ * Send every phone's due retries (called by the worker)
+ */
+async function processDueMessages() {
+    const now = new Date();
+    const phones = await OutboundMessage.distinct('to', {
+        $or: [
+            { status: 'queued', nextAttemptAt: { $lte: now } },
+            { status: 'sending', lockedUntil: { $lte: now } }
+        ]
+    });
+
+    for (const phone of phones) {
+        await runForPhone(phone, () => drainPhone(phone)).catch(error => {
+            console.error('❌ [QUEUE] Drain error for', phone + ':', error.message);
+        });
+    }
+    return phones.length;
+}
+
+/**
+ * Put a dead-lettered message back in the queue with fresh attempts
+ */
+async function retryDeadMessage(messageId) {
+    const message = await OutboundMessage.findOneAndUpdate({ _id: messageId, status: 'dead' }, {
+        $set: { status: 'queued', attempts: 0, nextAttemptAt: new Date() },
+        $unset: { failedAt: 1, lockedUntil: 1 }
+    }, { new: true });
+    if (!message) return false;
+
+    console.log('🔁 [QUEUE] Admin requeued message', messageId, 'to', message.to);
+    runForPhone(message.to, () => drainPhone(message.to)).catch(error => {
+        console.error('❌ [QUEUE] Drain error for', message.to + ':', error.message);
+    });
+    return true;
+}
+
+// ============ Delivery Status Webhooks ============
+
+/**
+ * Apply a status webhook entry ({ id, status, timestamp, errors? })
+ */
+async function recordDeliveryStatus(status) {
+    const at = status.timestamp ? new Date(Number(status.timestamp) * 1000) : new Date();
+
+    if (status.status === 'failed') {
+        const error = status.errors?.[0];
+        const lastError = error ? `${error.code}: ${error.error_data?.details || error.message || error.title}` : 'Delivery failed';
+        const result = await OutboundMessage.updateOne({ wamid: status.id }, {
+            $set: { status: 'dead', failedAt: at, lastError }
+        });
+        if (result.matchedCount > 0) {
+            console.error('💀 [QUEUE] WhatsApp could not deliver', status.id, 'to', status.recipient_id + ':', lastError);
+        }
+        return;
+    }
+
+    const predecessors = STATUS_PREDECESSORS[status.status];
+    if (!predecessors) return;
+
+    await OutboundMessage.updateOne({ wamid: status.id, status: { $in: predecessors } }, {
+        $set: { status: status.status, [`${status.status}At`]: at }
+    });
+}
+
+/**
+ * Apply every status in a webhook delivery; never throws
+ */
+async function recordDeliveryStatuses(statuses) {
+    for (const status of statuses) {
+        try {
+            await recordDeliveryStatus(status);
+        } catch (error) {
+            console.error('❌ [QUEUE] Status update error:', error.message);
+        }
+    }
+}
+
+// ============ Worker ============
+
+let workerTimer = null;
+
+/**
+ * Poll for due retries (and messages abandoned mid-send)
+ */
+function startOutboundWorker() {
+    if (workerTimer) return;
+
+    let running = false;
+    workerTimer = setInterval(async () => {
+        if (running) return;
+        running = true;
+        try {
+            await processDueMessages();
+        } catch (error) {
+            console.error('❌ [QUEUE] Worker error:', error);
+        } finally {
+            running = false;
+        }
+    }, WORKER_INTERVAL);
+    workerTimer.unref();
+
+    console.log('📨 [QUEUE] Outbound worker started');
+}
+
+module.exports = {
+    MAX_ATTEMPTS,
+    describePayload,
+    enqueueMessage,
+    processDueMessages,
+    retryDeadMessage,
+    recordDeliveryStatuses,
+    startOutboundWorker
+};
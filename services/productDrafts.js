@@ -0,0 +1,223 @@
+/**
+ * WhatsApp Product Drafts
+ * Once the first photo arrives, the Add Product flow is mirrored into a
+ * product with status 'draft' (off the storefront) together with a snapshot
+ * of the conversation state. When the flow times out nothing is lost: the
+ * seller's next "hi" offers to continue the draft, and finishing the flow
+ * publishes that same product.
+ *
+ * Drafts are kept for DRAFT_RETENTION after the last change. The seller is
+ * reminded DRAFT_REMINDER_LEAD before that; drafts still untouched then go to
+ * the trash (services/productTrash.js), which purges their media later.
+ *
+ * Reminders are claimed by setting draftRemindedAt with a conditional update,
+ * so several app instances can run the job without sending one twice.
+ */
+
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const ConversationState = require('../models/ConversationState');
+const { trashProduct, trashProducts } = require('./productTrash');
+const { sendNotification } = require('./whatsappClient');
+const { t, DEFAULT_LANGUAGE } = require('./i18n');
+
+const HOUR = 60 * 60 * 1000;
+const DRAFT_RETENTION = (parseInt(process.env.PRODUCT_DRAFT_DAYS) || 7) * 24 * HOUR;
+const DRAFT_REMINDER_LEAD = Math.min(24 * HOUR, DRAFT_RETENTION / 2);
+const CHECK_INTERVAL = HOUR;
+const DRAFT_FIELDS = { draftFlow: 1, draftExpiresAt: 1, draftRemindedAt: 1 };
+
+/**
+ * Draft ID of the phone's Add Product flow, assigning one on first use.
+ * Photos arrive in parallel webhooks, so the ID is claimed atomically in the
+ * state - otherwise each of them would create its own draft.
+ */
+async function claimDraftId(phone) {
+    const now = new Date();
+    const claimed = await ConversationState.findOneAndUpdate(
+        { phone, intent: 'CREATE_PRODUCT', expiresAt: { $gt: now }, 'data.draftId': null },
+        { $set: { 'data.draftId': new mongoose.Types.ObjectId().toString() } },
+        { new: true }
+    ).lean();
+    if (claimed) return claimed.data.draftId;
+
+    const state = await ConversationState.findOne({ phone, intent: 'CREATE_PRODUCT' }).lean();
+    return state?.data?.draftId || null;
+}
+
+/**
+ * Save the product fields collected so far and the flow snapshot
+ * ({ step, data }) to the phone's draft; resolves to the draft, or null
+ * when the flow has ended or its draft was published or trashed meanwhile
+ */
+async function saveProductDraft(phone, sellerId, fields, flow) {
+    const draftId = await claimDraftId(phone);
+    if (!draftId) return null;
+
+    try {
+        // Upserts by _id: the first save creates the draft, with the schema defaults
+        return await Product.findOneAndUpdate(
+            { _id: draftId, seller: sellerId, status: 'draft' },
+            {
+                $set: { ...fields, draftFlow: flow, draftExpiresAt: new Date(Date.now() + DRAFT_RETENTION) },
+                $unset: { draftRemindedAt: 1 }
+            },
+            { upsert: true, new: true }
+        );
+    } catch (error) {
+        // Duplicate key - the product with this ID is no longer a live draft
+        if (error.code === 11000) {
+            return null;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Publish a draft with the final fields; resolves to the product, or null if
+ * it is no longer a draft of this seller (e.g. discarded from the reminder)
+ */
+async function publishProductDraft(draftId, sellerId, fields) {
+    const product = await Product.findOneAndUpdate(
+        { _id: draftId, seller: sellerId, status: 'draft' },
+        { $set: { ...fields, status: 'active', createdAt: new Date() }, $unset: DRAFT_FIELDS },
+        { new: true }
+    );
+
+    if (product) {
+        console.log('📝 [DRAFT] Published', product._id.toString(), `"${product.name}"`);
+    }
+    return product;
+}
+
+/**
+ * The seller's most recently saved draft that can still be continued, or null
+ */
+async function findResumableDraft(sellerId) {
+    return Product.findOne({
+        seller: sellerId,
+        status: 'draft',
+        draftFlow: { $ne: null },
+        draftExpiresAt: { $gt: new Date() }
+    }).sort({ draftExpiresAt: -1 });
+}
+
+/**
+ * Move one of the seller's drafts to the trash; resolves to it, or null
+ */
+async function discardProductDraft(draftId, sellerId) {
+    if (!mongoose.isValidObjectId(draftId)) return null;
+    return trashProduct({ _id: draftId, seller: sellerId, status: 'draft' }, 'whatsapp');
+}
+
+// ============ Reminders & Expiry ============
+
+/**
+ * Remind the seller that a draft is about to be deleted, with Continue / Discard buttons
+ */
+async function sendDraftReminder(draft, now) {
+    const lang = draft.seller.language || DEFAULT_LANGUAGE;
+    const params = {
+        draftId: draft._id.toString(),
+        name: draft.name,
+        photos: (draft.images || []).length,
+        hours: Math.max(1, Math.round((draft.draftExpiresAt - now) / HOUR))
+    };
+
+    console.log('📝 [DRAFT] Reminding', draft.seller.phone, 'about', params.draftId);
+    return sendNotification(draft.seller.phone, {
+        body: t(lang, 'draft.reminder', params),
+        buttons: [
+            { id: `DRAFT_CONTINUE_${params.draftId}`, title: t(lang, 'btn.continueDraft') },
+            { id: `DRAFT_DISCARD_${params.draftId}`, title: t(lang, 'btn.discardDraft') }
+        ]
+    }, {
+        template: 'seller_draft_reminder',
+        params
+    });
+}
+
+/**
+ * Send a reminder for every draft within DRAFT_REMINDER_LEAD of expiring
+ */
+async function remindExpiringDrafts(now = new Date()) {
+    let reminded = 0;
+
+    for (;;) {
+        // Only the instance that sets draftRemindedAt sends this reminder
+        const draft = await Product.findOneAndUpdate(
+            {
+                status: 'draft',
+                draftFlow: { $ne: null },
+                draftRemindedAt: null,
+                draftExpiresAt: { $gt: now, $lte: new Date(now.getTime() + DRAFT_REMINDER_LEAD) }
+            },
+            { $set: { draftRemindedAt: now } },
+            { new: true }
+        ).populate('seller', 'phone language');
+        if (!draft) break;
+        if (!draft.seller) continue;
+
+        try {
+            await sendDraftReminder(draft, now);
+            reminded++;
+        } catch (error) {
+            console.error('❌ [DRAFT] Reminder error for', draft._id.toString(), error);
+        }
+    }
+
+    return reminded;
+}
+
+/**
+ * Move drafts nobody continued to the trash
+ */
+async function expireDrafts(now = new Date()) {
+    const filter = { status: 'draft', draftFlow: { $ne: null }, draftExpiresAt: { $lte: now } };
+    if (!(await Product.exists(filter))) return 0;
+
+    return trashProducts(filter, 'system');
+}
+
+let draftTimer = null;
+
+/**
+ * Send reminders and expire drafts every CHECK_INTERVAL (and once at startup)
+ */
+function startDraftScheduler() {
+    if (draftTimer) return;
+
+    let running = false;
+    const tick = async () => {
+        if (running) return;
+        running = true;
+        try {
+            const reminded = await remindExpiringDrafts();
+            if (reminded > 0) {
+                console.log('📝 [DRAFT] Sent', reminded, 'draft reminders');
+            }
+            await expireDrafts();
+        } catch (error) {
+            console.error('❌ [DRAFT] Scheduler error:', error);
+        } finally {
+            running = false;
+        }
+    };
+
+    draftTimer = setInterval(tick, CHECK_INTERVAL);
+    draftTimer.unref();
+    tick();
+
+    console.log('⏰ [DRAFT] Reminder job started');
+}
+
+module.exports = {
+    DRAFT_RETENTION,
+    saveProductDraft,
+    publishProductDraft,
+    findResumableDraft,
+    discardProductDraft,
+    remindExpiringDrafts,
+    expireDrafts,
+    startDraftScheduler
+};
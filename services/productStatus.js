@@ -0,0 +1,64 @@
+/**
+ * Product Lifecycle
+ * A listing moves between draft, active, reserved, sold and archived instead
+ * of being deleted (or left at stock 0) once a used racket is gone:
+ *
+ * - active: on the storefront and orderable
+ * - reserved: still listed, marked as held for a buyer, not orderable
+ * - sold / archived: off the storefront, kept in the seller's inventory
+ * - draft: not published yet
+ *
+ * Products saved before the status field existed have none; the filters
+ * below treat them as active.
+ */
+
+const Product = require('../models/Product');
+
+const PRODUCT_STATUSES = Product.schema.path('status').enumValues;
+const LISTED_STATUSES = ['active', 'reserved'];
+const ORDERABLE_STATUSES = ['active'];
+
+/**
+ * Query filter for listings shown on the storefront
+ */
+function listedFilter() {
+    return { status: { $in: [...LISTED_STATUSES, null] } };
+}
+
+/**
+ * Query filter for listings buyers can order
+ */
+function orderableFilter() {
+    return { status: { $in: [...ORDERABLE_STATUSES, null] } };
+}
+
+/**
+ * Set the status of one product matching filter; resolves to it, or null.
+ * Throws an Error with code 'invalidStatus' for unknown statuses.
+ */
+async function setProductStatus(filter, status) {
+    if (!PRODUCT_STATUSES.includes(status)) {
+        const error = new Error(`Unknown product status: ${status}`);
+        error.code = 'invalidStatus';
+        throw error;
+    }
+
+    const update = status === 'sold'
+        ? { $set: { status, soldAt: new Date() } }
+        : { $set: { status }, $unset: { soldAt: 1 } };
+
+    const product = await Product.findOneAndUpdate(filter, update, { new: true });
+    if (product) {
+        console.log('🏷️ [STATUS] Product', product._id.toString(), `"${product.name}"`, '→', status);
+    }
+    return product;
+}
+
+module.exports = {
+    PRODUCT_STATUSES,
+    LISTED_STATUSES,
+    ORDERABLE_STATUSES,
+    listedFilter,
+    orderableFilter,
+    setProductStatus
+};
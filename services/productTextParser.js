@@ -0,0 +1,250 @@
+/**
+ * Free-text Product Parser
+ * Turns a seller's WhatsApp listing text into product fields, e.g.
+ *
+ *   "Astrox 88D 4U, 15k, used 8/10, 2 pcs"
+ *   -> { name: 'Astrox 88D', brand: 'Yonex', price: 15000, stock: 2,
+ *        condition: 'used', conditionRating: 8, racketSpecs: { weightClass: '4U' } }
+ *
+ * Understands:
+ * - prices with k / lac / lakh suffixes and Rs / PKR / rupees markers
+ * - known brands, and popular model lines that imply a brand (Astrox -> Yonex)
+ * - condition ("new", "used", "second hand") and ratings ("8/10")
+ * - stock quantities ("2 pcs", "qty 3", "x2")
+ * - racket weight classes ("4U") and grip sizes ("G5")
+ */
+
+const KNOWN_BRANDS = ['Yonex', 'Li-Ning', 'Victor', 'Apacs', 'Mizuno', 'Kawasaki', 'Felet', 'Carlton', 'Ashaway'];
+
+// Spellings sellers use for each brand
+const BRAND_ALIASES = {
+    'Yonex': ['yonex'],
+    'Li-Ning': ['li-ning', 'li ning', 'lining'],
+    'Victor': ['victor'],
+    'Apacs': ['apacs'],
+    'Mizuno': ['mizuno'],
+    'Kawasaki': ['kawasaki'],
+    'Felet': ['felet', 'fleet'],
+    'Carlton': ['carlton'],
+    'Ashaway': ['ashaway']
+};
+
+// Model lines that identify the brand on their own
+const MODEL_LINES = {
+    'Yonex': ['astrox', 'nanoflare', 'arcsaber', 'voltric', 'duora', 'nanoray', 'power cushion', 'bg65', 'bg80', 'aerobite', 'exbolt'],
+    'Li-Ning': ['aeronaut', 'axforce', 'halbertec', 'windstorm', 'turbo charging', 'tectonic', 'bladex'],
+    'Victor': ['thruster', 'jetspeed', 'auraspeed', 'brave sword', 'drivex', 'hypernano']
+};
+
+const PRICE_MULTIPLIERS = {
+    k: 1000,
+    lac: 100000,
+    lacs: 100000,
+    lakh: 100000,
+    lakhs: 100000
+};
+
+const CURRENCY = '(?:rs\\.?|pkr|rupees?)';
+const AMOUNT = '(\\d[\\d,]*(?:\\.\\d+)?)';
+const SUFFIX = '(k|lacs?|lakhs?)?';
+
+// A currency marker and/or suffix makes a number a price
+const PRICE_PATTERNS = [
+    new RegExp(`${CURRENCY}\\s*${AMOUNT}\\s*${SUFFIX}\\b`, 'i'),
+    new RegExp(`\\b${AMOUNT}\\s*${SUFFIX}\\s*${CURRENCY}(?![a-z])`, 'i'),
+    new RegExp(`\\b${AMOUNT}\\s*(k|lacs?|lakhs?)\\b`, 'i')
+];
+
+// A value that is nothing but a price ("15k", "Rs 22,000", "1.5 lac")
+const PRICE_VALUE_PATTERN = new RegExp(`^${CURRENCY}?\\s*${AMOUNT}\\s*${SUFFIX}\\s*${CURRENCY}?$`, 'i');
+
+// Otherwise the last plain 3+ digit number is the price ("Nanoflare 700 - 22000")
+const BARE_PRICE_PATTERN = /\b(\d{1,3}(?:,\d{3})+|\d{3,})\b/g;
+
+// Commas inside numbers ("18,500") are not separators
+const SEGMENT_SEPARATOR = /,(?!\d{3}(?!\d))|\n|\||\s+-\s+/;
+
+const STOCK_PATTERNS = [
+    /\b(\d+)\s*(?:pcs|pc|pieces?|units?|nos?)\b/i,
+    /\b(?:qty|quantity|stock)\s*[:=]?\s*(\d+)\b/i,
+    /(?:^|\s)x\s*(\d+)\b/i
+];
+
+const RATING_PATTERN = /\b(\d{1,2})\s*\/\s*10\b/;
+const NEW_PATTERN = /\b(?:brand\s*new|bnib|box\s*packed|sealed|new)\b/i;
+const USED_PATTERN = /\b(?:used|second\s*hand|2nd\s*hand|pre-?owned)\b/i;
+const WEIGHT_PATTERN = /\b([2-5])\s*u\b/i;
+const GRIP_PATTERN = /\bg\s*([4-7])\b/i;
+
+/**
+ * Convert "15,000" / "1.5" + "lac" to a number
+ */
+function toAmount(amount, suffix) {
+    const value = parseFloat(amount.replace(/,/g, ''));
+    const multiplier = suffix ? PRICE_MULTIPLIERS[suffix.toLowerCase()] : 1;
+    return Math.round(value * multiplier);
+}
+
+/**
+ * Parse a price on its own, the way listings write it; null if it isn't one
+ */
+function parsePrice(text) {
+    const match = String(text).trim().match(PRICE_VALUE_PATTERN);
+    return match ? toAmount(match[1], match[2]) : null;
+}
+
+/**
+ * Find the first pattern that matches; returns the match and text with it removed
+ */
+function extract(text, patterns) {
+    for (const pattern of patterns) {
+        const match = text.match(pattern);
+        if (match) {
+            return { match, rest: text.replace(match[0], ' ') };
+        }
+    }
+    return { match: null, rest: text };
+}
+
+function escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Detect the brand from brand names first, then from model lines
+ */
+function detectBrand(text) {
+    const lower = text.toLowerCase();
+    const hasWord = word => new RegExp(`\\b${escapeRegex(word)}\\b`).test(lower);
+
+    for (const [brand, aliases] of Object.entries(BRAND_ALIASES)) {
+        if (aliases.some(hasWord)) return brand;
+    }
+    for (const [brand, lines] of Object.entries(MODEL_LINES)) {
+        if (lines.some(hasWord)) return brand;
+    }
+    return null;
+}
+
+/**
+ * Tidy up what is left of a segment after fields were pulled out of it
+ */
+function cleanSegment(text) {
+    return text
+        .replace(/\s+/g, ' ')
+        .replace(/^[\s\-–:;.]+|[\s\-–:;.]+$/g, '')
+        .trim();
+}
+
+/**
+ * Parse product details from free text
+ * Segments are separated by commas, new lines, "|" or " - ".
+ */
+function parseProductDetails(text) {
+    const result = {
+        name: null,
+        price: 0,
+        description: text.trim(),
+        stock: 1,
+        brand: detectBrand(text),
+        condition: null,
+        conditionRating: null,
+        racketSpecs: {}
+    };
+
+    const segments = text.split(SEGMENT_SEPARATOR);
+    const rests = [...segments];
+
+    for (let i = 0; i < rests.length && !result.price; i++) {
+        const found = extract(rests[i], PRICE_PATTERNS);
+        if (found.match) {
+            result.price = toAmount(found.match[1], found.match[2]);
+            rests[i] = found.rest;
+        }
+    }
+
+    for (let i = rests.length - 1; i >= 0 && !result.price; i--) {
+        const matches = rests[i].match(BARE_PRICE_PATTERN);
+        if (matches) {
+            const last = matches[matches.length - 1];
+            result.price = toAmount(last);
+            rests[i] = rests[i].slice(0, rests[i].lastIndexOf(last)) + ' ' +
+                rests[i].slice(rests[i].lastIndexOf(last) + last.length);
+        }
+    }
+
+    const leftovers = [];
+
+    for (let rest of rests) {
+        let found;
+
+        if (result.conditionRating === null) {
+            found = extract(rest, [RATING_PATTERN]);
+            const rating = found.match ? parseInt(found.match[1]) : null;
+            if (rating >= 1 && rating <= 10) {
+                result.conditionRating = rating;
+                rest = found.rest;
+            }
+        }
+
+        if (!result.condition) {
+            found = extract(rest, [USED_PATTERN]);
+            if (found.match) {
+                result.condition = 'used';
+                rest = found.rest;
+            } else {
+                found = extract(rest, [NEW_PATTERN]);
+                if (found.match) {
+                    result.condition = 'new';
+                    rest = found.rest;
+                }
+            }
+        }
+
+        found = extract(rest, STOCK_PATTERNS);
+        if (found.match) {
+            result.stock = parseInt(found.match[1]) || 1;
+            rest = found.rest;
+        }
+
+        if (!result.racketSpecs.weightClass) {
+            found = extract(rest, [WEIGHT_PATTERN]);
+            if (found.match) {
+                result.racketSpecs.weightClass = `${found.match[1]}U`;
+                rest = found.rest;
+            }
+        }
+
+        if (!result.racketSpecs.gripSize) {
+            found = extract(rest, [GRIP_PATTERN]);
+            if (found.match) {
+                result.racketSpecs.gripSize = `G${found.match[1]}`;
+                rest = found.rest;
+            }
+        }
+
+        const cleaned = cleanSegment(rest.replace(/\bcondition\b/i, ''));
+        if (cleaned) {
+            leftovers.push(cleaned);
+        }
+    }
+
+    // A rating implies the item is used unless the seller said otherwise
+    if (result.conditionRating !== null && !result.condition) {
+        result.condition = 'used';
+    }
+
+    if (leftovers.length > 0) {
+        const words = leftovers[0].split(/\s+/);
+        // Without separators the whole listing is one segment - keep the name short
+        result.name = segments.length > 1 ? leftovers[0] : words.slice(0, Math.min(4, words.length)).join(' ');
+    }
+
+    return result;
+}
+
+module.exports = {
+    KNOWN_BRANDS,
+    parsePrice,
+    parseProductDetails
+};
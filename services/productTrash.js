@@ -0,0 +1,176 @@
+/**
+ * Product Trash (soft delete)
+ * Deleting a product from WhatsApp, the seller portal, the agent API or the
+ * admin panel only moves it to the trash: it disappears from every listing
+ * (see the query hooks in models/Product.js) but can be restored for
+ * TRASH_RETENTION. After that the purge job removes the document and its
+ * Cloudinary images / video.
+ *
+ * Purges claim each product with findOneAndDelete, so several app instances
+ * can run the job without deleting media twice.
+ */
+
+const Product = require('../models/Product');
+const { deleteFromCloudinary, getPublicIdFromUrl } = require('../config/cloudinary');
+
+const TRASH_RETENTION = (parseInt(process.env.PRODUCT_TRASH_DAYS) || 7) * 24 * 60 * 60 * 1000;
+const PURGE_INTERVAL = 60 * 60 * 1000; // 1 hour
+const PURGE_BATCH_SIZE = 50;
+
+/**
+ * Move one product matching filter to the trash; resolves to it, or null
+ * deletedBy: 'seller' | 'whatsapp' | 'agent' | 'admin' | 'system'
+ */
+async function trashProduct(filter, deletedBy) {
+    const now = new Date();
+    const product = await Product.findOneAndUpdate(
+        { ...filter, deletedAt: null },
+        { $set: { deletedAt: now, deletedBy, purgeAt: new Date(now.getTime() + TRASH_RETENTION) } },
+        { new: true }
+    );
+
+    if (product) {
+        console.log('🗑️ [TRASH] Product', product._id.toString(), `"${product.name}"`, 'trashed by', deletedBy);
+    }
+    return product;
+}
+
+/**
+ * Trash every product matching filter (e.g. a rejected seller's catalog)
+ */
+async function trashProducts(filter, deletedBy) {
+    const now = new Date();
+    const result = await Product.updateMany(
+        { ...filter, deletedAt: null },
+        { $set: { deletedAt: now, deletedBy, purgeAt: new Date(now.getTime() + TRASH_RETENTION) } }
+    );
+
+    console.log('🗑️ [TRASH]', result.modifiedCount, 'products trashed by', deletedBy);
+    return result.modifiedCount;
+}
+
+/**
+ * Bring a trashed product back while its restore window is open; resolves to it, or null
+ */
+async function restoreProduct(filter) {
+    const product = await Product.findOneAndUpdate(
+        { ...filter, deletedAt: { $ne: null }, purgeAt: { $gt: new Date() } },
+        { $set: { deletedAt: null, deletedBy: null }, $unset: { purgeAt: 1 } },
+        { new: true }
+    );
+
+    if (product) {
+        console.log('♻️ [TRASH] Product', product._id.toString(), `"${product.name}"`, 'restored');
+    }
+    return product;
+}
+
+/**
+ * Trashed products matching filter, most recently deleted first
+ */
+async function listTrash(filter = {}) {
+    return Product.find({ ...filter, deletedAt: { $ne: null } })
+        .sort({ deletedAt: -1 })
+        .populate('seller', 'storeName name');
+}
+
+/**
+ * Remove a product's images and video from Cloudinary
+ */
+async function deleteProductMedia(product) {
+    for (const imageUrl of product.images || []) {
+        const publicId = getPublicIdFromUrl(imageUrl);
+        if (publicId) {
+            await deleteFromCloudinary(publicId, 'image');
+        }
+    }
+
+    if (product.video && product.video.publicId) {
+        await deleteFromCloudinary(product.video.publicId, 'video');
+    }
+}
+
+/**
+ * Delete a trashed product and its media now, skipping the rest of the window
+ */
+async function purgeProduct(filter) {
+    const product = await Product.findOneAndDelete({ ...filter, deletedAt: { $ne: null } });
+    if (!product) return null;
+
+    await deleteProductMedia(product);
+    console.log('🔥 [TRASH] Product', product._id.toString(), `"${product.name}"`, 'purged');
+    return product;
+}
+
+/**
+ * Purge every product whose restore window has passed
+ */
+async function purgeExpiredProducts(now = new Date()) {
+    let purged = 0;
+    const failed = [];
+
+    for (;;) {
+        const expired = await Product.find({ _id: { $nin: failed }, deletedAt: { $ne: null }, purgeAt: { $lte: now } })
+            .select('_id')
+            .limit(PURGE_BATCH_SIZE)
+            .lean();
+
+        for (const { _id } of expired) {
+            try {
+                if (await purgeProduct({ _id, purgeAt: { $lte: now } })) {
+                    purged++;
+                }
+            } catch (error) {
+                // Left for the next run
+                console.error('❌ [TRASH] Purge failed for', _id.toString(), error);
+                failed.push(_id);
+            }
+        }
+
+        if (expired.length < PURGE_BATCH_SIZE) break;
+    }
+
+    return purged;
+}
+
+let purgeTimer = null;
+
+/**
+ * Run the purge every PURGE_INTERVAL (and once at startup)
+ */
+function startTrashPurger() {
+    if (purgeTimer) return;
+
+    let running = false;
+    const tick = async () => {
+        if (running) return;
+        running = true;
+        try {
+            const purged = await purgeExpiredProducts();
+            if (purged > 0) {
+                console.log('🔥 [TRASH] Purged', purged, 'expired products');
+            }
+        } catch (error) {
+            console.error('❌ [TRASH] Purge error:', error);
+        } finally {
+            running = false;
+        }
+    };
+
+    purgeTimer = setInterval(tick, PURGE_INTERVAL);
+    purgeTimer.unref();
+    tick();
+
+    console.log('⏰ [TRASH] Purge job started');
+}
+
+module.exports = {
+    TRASH_RETENTION,
+    trashProduct,
+    trashProducts,
+    restoreProduct,
+    listTrash,
+    purgeProduct,
+    purgeExpiredProducts,
+    startTrashPurger
+};
@@ -0,0 +1,64 @@
+/**
+ * Product View Counter
+ * Counts listing views (website product page and WhatsApp product card)
+ * per product per UTC day, so sellers can see views over a period.
+ */
+
+const mongoose = require('mongoose');
+const ProductView = require('../models/ProductView');
+
+/**
+ * Midnight UTC of the given date
+ */
+function startOfDay(date) {
+    const day = new Date(date);
+    day.setUTCHours(0, 0, 0, 0);
+    return day;
+}
+
+/**
+ * Count one view of a product; never throws, so callers need not await it
+ */
+async function recordProductView(product) {
+    if (!product?._id) return;
+
+    try {
+        await ProductView.updateOne(
+            { product: product._id, day: startOfDay(new Date()) },
+            {
+                $inc: { count: 1 },
+                $setOnInsert: { seller: product.seller?._id || product.seller }
+            },
+            { upsert: true }
+        );
+    } catch (error) {
+        console.error('❌ [VIEWS] Record error:', error.message);
+    }
+}
+
+/**
+ * Views of a seller's listings on the whole days between since and until
+ * Resolves to { total, byProduct: [{ product, views }] } sorted by views
+ */
+async function getSellerViews(sellerId, since, until) {
+    const byProduct = await ProductView.aggregate([
+        {
+            $match: {
+                seller: new mongoose.Types.ObjectId(sellerId),
+                day: { $gte: startOfDay(since), $lt: startOfDay(until) }
+            }
+        },
+        { $group: { _id: '$product', views: { $sum: '$count' } } },
+        { $sort: { views: -1 } }
+    ]);
+
+    return {
+        total: byProduct.reduce((sum, row) => sum + row.views, 0),
+        byProduct: byProduct.map(row => ({ product: row._id, views: row.views }))
+    };
+}
+
+module.exports = {
+    recordProductView,
+    getSellerViews
+};
@@ -0,0 +1,245 @@
+/**
+ * Seller Performance Digest
+ * Opt-in daily or weekly WhatsApp summary of a seller's store: new orders,
+ * revenue, low-stock items, listings without a price and listing views.
+ *
+ * Every instance runs the scheduler. A digest is claimed by moving the
+ * seller's digest.nextRunAt forward with a compare-and-set on its current
+ * value, so when several instances tick together only one of them sends it.
+ *
+ * Digests go out at DIGEST_HOUR (server local time, default 9); weekly ones
+ * on Mondays.
+ */
+
+const Seller = require('../models/Seller');
+const Product = require('../models/Product');
+const Order = require('../models/Order');
+const { getSellerViews } = require('./productViews');
+const { listedFilter } = require('./productStatus');
+const { sendNotification } = require('./whatsappClient');
+const { t, DEFAULT_LANGUAGE } = require('./i18n');
+
+const DIGEST_FREQUENCIES = ['off', 'daily', 'weekly'];
+const DIGEST_PERIODS = {
+    daily: 24 * 60 * 60 * 1000,
+    weekly: 7 * 24 * 60 * 60 * 1000
+};
+const DIGEST_HOUR = Number.isInteger(parseInt(process.env.DIGEST_HOUR)) ? parseInt(process.env.DIGEST_HOUR) : 9;
+const DIGEST_WEEKDAY = 1; // Monday
+const CHECK_INTERVAL = 5 * 60 * 1000; // 5 minutes
+const BATCH_SIZE = 50;
+const LOW_STOCK_THRESHOLD = 5; // Same as the seller dashboard
+const LIST_PREVIEW = 3; // Product names listed per section
+
+let running = false;
+
+/**
+ * When the next digest is due after `from`
+ */
+function getNextDigestAt(frequency, from = new Date()) {
+    const next = new Date(from);
+    next.setHours(DIGEST_HOUR, 0, 0, 0);
+    if (next <= from) {
+        next.setDate(next.getDate() + 1);
+    }
+    if (frequency === 'weekly') {
+        while (next.getDay() !== DIGEST_WEEKDAY) {
+            next.setDate(next.getDate() + 1);
+        }
+    }
+    return next;
+}
+
+/**
+ * Turn the digest on (daily / weekly) or off for a seller
+ * Resolves to false for an unknown frequency
+ */
+async function setDigestFrequency(sellerId, frequency) {
+    if (!DIGEST_FREQUENCIES.includes(frequency)) {
+        return false;
+    }
+
+    const update = frequency === 'off'
+        ? { $set: { 'digest.frequency': 'off' }, $unset: { 'digest.nextRunAt': 1 } }
+        : { $set: { 'digest.frequency': frequency, 'digest.nextRunAt': getNextDigestAt(frequency) } };
+
+    await Seller.updateOne({ _id: sellerId }, update);
+    console.log('🔔 [DIGEST] Seller', sellerId, 'set to', frequency);
+    return true;
+}
+
+/**
+ * Collect the figures for one seller between since and until
+ */
+async function buildSellerDigest(sellerId, since, until) {
+    // Drafts are not on the storefront yet, so they have no orders or views to report
+    const products = await Product.find({ seller: sellerId, status: { $ne: 'draft' } }).select('name price stock');
+    const productIds = products.map(p => p._id);
+
+    // Stock and price warnings only concern listings buyers can see - sold and
+    // archived items sit at stock 0 for good
+    const [orders, views, listed, sold] = await Promise.all([
+        Order.find({ 'items.product': { $in: productIds }, createdAt: { $gte: since, $lt: until } }),
+        getSellerViews(sellerId, since, until),
+        Product.find({ seller: sellerId, ...listedFilter() }).select('name price stock'),
+        Product.countDocuments({ seller: sellerId, status: 'sold', soldAt: { $gte: since, $lt: until } })
+    ]);
+
+    let revenue = 0;
+    orders.forEach(order => {
+        order.items.forEach(item => {
+            if (item.status !== 'cancelled' && productIds.some(id => id.equals(item.product))) {
+                revenue += item.price * item.quantity;
+            }
+        });
+    });
+
+    const topViewed = views.byProduct[0];
+    const topProduct = topViewed && products.find(p => p._id.equals(topViewed.product));
+
+    return {
+        orders: orders.length,
+        revenue,
+        views: views.total,
+        topProduct: topProduct ? { name: topProduct.name, views: topViewed.views } : null,
+        sold,
+        lowStock: listed
+            .filter(p => p.stock < LOW_STOCK_THRESHOLD)
+            .sort((a, b) => a.stock - b.stock),
+        zeroPrice: listed.filter(p => p.price === 0)
+    };
+}
+
+/**
+ * Bullet list of the first few product names
+ */
+function formatProductList(lang, products, describe) {
+    const lines = products.slice(0, LIST_PREVIEW).map(p => `  • ${p.name.substring(0, 40)}${describe ? describe(p) : ''}`);
+    if (products.length > LIST_PREVIEW) {
+        lines.push('  ' + t(lang, 'digest.andMore', { count: products.length - LIST_PREVIEW }));
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Digest message text in the seller's language
+ */
+function formatDigest(lang, frequency, storeName, stats) {
+    let message = t(lang, `digest.title.${frequency}`, { store: storeName }) + '\n\n' +
+        t(lang, 'digest.orders', { count: stats.orders }) + '\n' +
+        t(lang, 'digest.revenue', { revenue: stats.revenue.toLocaleString() }) + '\n' +
+        t(lang, 'digest.views', { count: stats.views });
+
+    if (stats.topProduct) {
+        message += '\n' + t(lang, 'digest.topProduct', { name: stats.topProduct.name, count: stats.topProduct.views });
+    }
+    if (stats.sold > 0) {
+        message += '\n' + t(lang, 'digest.sold', { count: stats.sold });
+    }
+    if (stats.lowStock.length > 0) {
+        message += '\n\n' + t(lang, 'digest.lowStock', { count: stats.lowStock.length }) + '\n' +
+            formatProductList(lang, stats.lowStock, p => ` (${p.stock})`);
+    }
+    if (stats.zeroPrice.length > 0) {
+        message += '\n\n' + t(lang, 'digest.zeroPrice', { count: stats.zeroPrice.length }) + '\n' +
+            formatProductList(lang, stats.zeroPrice);
+    }
+
+    return message + '\n\n' + t(lang, 'digest.footer');
+}
+
+/**
+ * Build and send one seller's digest for the period ending at `until`
+ */
+async function sendSellerDigest(seller, frequency, until = new Date()) {
+    const since = new Date(until.getTime() - DIGEST_PERIODS[frequency]);
+    const stats = await buildSellerDigest(seller._id, since, until);
+    const lang = seller.language || DEFAULT_LANGUAGE;
+
+    console.log('📊 [DIGEST] Sending', frequency, 'digest to', seller.phone);
+    return sendNotification(seller.phone, {
+        body: formatDigest(lang, frequency, seller.storeName, stats),
+        buttons: [
+            { id: 'MY_STATS', title: t(lang, 'btn.storeStats') },
+            { id: 'DIGEST_SETTINGS', title: t(lang, 'btn.digest') }
+        ]
+    }, {
+        template: 'seller_digest',
+        params: {
+            period: frequency,
+            storeName: seller.storeName,
+            orders: stats.orders,
+            revenue: stats.revenue.toLocaleString(),
+            views: stats.views,
+            lowStock: stats.lowStock.length,
+            zeroPrice: stats.zeroPrice.length
+        }
+    });
+}
+
+/**
+ * Send every digest that is due; safe to run on several instances at once
+ */
+async function runDueDigests(now = new Date()) {
+    let due;
+    do {
+        due = await Seller.find({
+            'digest.frequency': { $in: ['daily', 'weekly'] },
+            'digest.nextRunAt': { $lte: now },
+            status: { $ne: 'deactivated' }
+        }).select('phone storeName language digest').limit(BATCH_SIZE);
+
+        for (const seller of due) {
+            const { frequency, nextRunAt } = seller.digest;
+
+            // Only the instance that moves nextRunAt forward sends this digest
+            const claimed = await Seller.findOneAndUpdate(
+                { _id: seller._id, 'digest.frequency': frequency, 'digest.nextRunAt': nextRunAt },
+                { $set: { 'digest.nextRunAt': getNextDigestAt(frequency, now), 'digest.lastSentAt': now } }
+            );
+            if (!claimed) continue;
+
+            try {
+                await sendSellerDigest(seller, frequency, now);
+            } catch (error) {
+                console.error('❌ [DIGEST] Send error for', seller.phone, error);
+            }
+        }
+    } while (due.length === BATCH_SIZE);
+}
+
+/**
+ * Check for due digests every CHECK_INTERVAL
+ * Set DIGEST_SCHEDULER=off to keep an instance from sending digests
+ */
+function startDigestScheduler() {
+    if (process.env.DIGEST_SCHEDULER === 'off') {
+        console.log('⏸️ [DIGEST] Scheduler disabled on this instance');
+        return;
+    }
+
+    const tick = async () => {
+        if (running) return;
+        running = true;
+        try {
+            await runDueDigests();
+        } catch (error) {
+            console.error('❌ [DIGEST] Scheduler error:', error);
+        } finally {
+            running = false;
+        }
+    };
+
+    setInterval(tick, CHECK_INTERVAL).unref();
+    console.log(`⏰ [DIGEST] Scheduler started (digests at ${DIGEST_HOUR}:00)`);
+}
+
+module.exports = {
+    DIGEST_FREQUENCIES,
+    getNextDigestAt,
+    setDigestFrequency,
+    buildSellerDigest,
+    sendSellerDigest,
+    runDueDigests,
+    startDigestScheduler
+};
@@ -0,0 +1,57 @@
+/**
+ * Seller Notifications
+ * WhatsApp messages sent to sellers when an admin changes their account status
+ */
+
+const { sendNotification } = require('./whatsappClient');
+const { t, DEFAULT_LANGUAGE } = require('./i18n');
+
+const MAX_REASON_LENGTH = 500;
+
+// Events with a message in the catalogs (accountStatus.<event>)
+const STATUS_EVENTS = ['approved', 'reactivated', 'deactivated', 'rejected'];
+
+/**
+ * Clean up the optional reason typed by the admin
+ */
+function normalizeReason(reason) {
+    if (typeof reason !== 'string') return null;
+    const trimmed = reason.trim();
+    return trimmed ? trimmed.substring(0, MAX_REASON_LENGTH) : null;
+}
+
+/**
+ * Tell a seller about a status change
+ * event: 'approved' | 'reactivated' | 'deactivated' | 'rejected'
+ * Resolves to true when the message was sent; never throws
+ */
+async function notifySellerStatusChange(seller, event, reason) {
+    if (!STATUS_EVENTS.includes(event) || !seller?.phone) {
+        return false;
+    }
+
+    const lang = seller.language || DEFAULT_LANGUAGE;
+    let message = t(lang, 'accountStatus.' + event, { store: seller.storeName });
+    const note = normalizeReason(reason);
+    if (note) {
+        message += '\n\n' + t(lang, 'accountStatus.adminNote', { note });
+    }
+    if (event === 'deactivated' || event === 'rejected') {
+        message += '\n\n' + t(lang, 'accountStatus.questions');
+    }
+
+    console.log('📣 [SELLER NOTIFY]', event, 'to', seller.phone);
+    return sendNotification(seller.phone, { body: message }, {
+        template: 'seller_status_update',
+        language: lang,
+        params: {
+            storeName: seller.storeName,
+            status: t(lang, 'accountStatus.label.' + event),
+            note: note || ''
+        }
+    });
+}
+
+module.exports = {
+    notifySellerStatusChange
+};
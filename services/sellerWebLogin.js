@@ -0,0 +1,173 @@
+/**
+ * Seller Web Login
+ * One-time codes and signed magic links that let WhatsApp-onboarded sellers
+ * into the seller portal, where they can then set a real password.
+ *
+ * Issuing a login replaces any earlier one. A code or link works once and
+ * expires after LOGIN_TTL. Only a hash of the code is stored.
+ *
+ * Magic link token: <sellerId>.<expiresAtMs>.<nonce>.<hmac>
+ * signed with WEB_LOGIN_SECRET (falls back to SESSION_SECRET)
+ */
+
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const Seller = require('../models/Seller');
+
+const LOGIN_TTL = 15 * 60 * 1000; // 15 minutes
+const MAX_CODE_ATTEMPTS = 5;
+
+// Sellers onboarded over WhatsApp before passwordSet existed got the placeholder
+// password 'whatsapp-' + Date.now(), taken just before their createdAt default
+const LEGACY_PASSWORD_PREFIX = 'whatsapp-';
+const LEGACY_PASSWORD_SKEW = 10; // ms
+
+function getSecret() {
+    const secret = process.env.WEB_LOGIN_SECRET || process.env.SESSION_SECRET;
+    if (!secret) {
+        throw new Error('WEB_LOGIN_SECRET or SESSION_SECRET must be configured');
+    }
+    return secret;
+}
+
+function hashCode(code) {
+    return crypto.createHash('sha256').update(String(code)).digest('hex');
+}
+
+function sign(payload) {
+    return crypto.createHmac('sha256', getSecret()).update(payload).digest('hex');
+}
+
+function safeEqual(a, b) {
+    const bufferA = Buffer.from(String(a));
+    const bufferB = Buffer.from(String(b));
+    return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+/**
+ * Create a fresh code and magic link token for a seller
+ * Resolves to { code, token, expiresAt }
+ */
+async function issueWebLogin(seller) {
+    const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+    const nonce = crypto.randomBytes(16).toString('hex');
+    const expiresAt = new Date(Date.now() + LOGIN_TTL);
+
+    await Seller.updateOne(
+        { _id: seller._id },
+        { $set: { webLogin: { codeHash: hashCode(code), nonce, expiresAt, attempts: 0 } } }
+    );
+
+    const payload = `${seller._id}.${expiresAt.getTime()}.${nonce}`;
+    return { code, token: `${payload}.${sign(payload)}`, expiresAt };
+}
+
+/**
+ * Atomically use up the pending login so it cannot be replayed
+ */
+async function consumeWebLogin(sellerId, nonce) {
+    return Seller.findOneAndUpdate(
+        { _id: sellerId, 'webLogin.nonce': nonce, 'webLogin.expiresAt': { $gt: new Date() } },
+        { $unset: { webLogin: 1 } },
+        { new: true }
+    );
+}
+
+/**
+ * Verify a magic link token; resolves to the seller or null
+ */
+async function verifyLoginToken(token) {
+    const parts = String(token || '').split('.');
+    if (parts.length !== 4) return null;
+
+    const [sellerId, expiresAtMs, nonce, signature] = parts;
+    if (!safeEqual(sign(`${sellerId}.${expiresAtMs}.${nonce}`), signature)) {
+        console.warn('⚠️ [WEB LOGIN] Invalid link signature for seller:', sellerId);
+        return null;
+    }
+    if (Number(expiresAtMs) < Date.now()) {
+        return null;
+    }
+
+    return consumeWebLogin(sellerId, nonce);
+}
+
+/**
+ * Verify a one-time code typed at /seller/login/code; resolves to the seller or null
+ */
+async function verifyLoginCode(phone, code) {
+    const seller = await Seller.findOne({ phone });
+    const pending = seller?.webLogin;
+
+    if (!pending?.codeHash || pending.expiresAt < new Date()) {
+        return null;
+    }
+    if (pending.attempts >= MAX_CODE_ATTEMPTS) {
+        console.warn('⚠️ [WEB LOGIN] Too many code attempts for:', phone);
+        return null;
+    }
+
+    if (!safeEqual(hashCode(String(code).trim()), pending.codeHash)) {
+        await Seller.updateOne({ _id: seller._id }, { $inc: { 'webLogin.attempts': 1 } });
+        return null;
+    }
+
+    return consumeWebLogin(seller._id, pending.nonce);
+}
+
+/**
+ * Whether a seller still has the legacy WhatsApp placeholder password
+ */
+async function hasLegacyPlaceholderPassword(seller) {
+    if (!seller.password || !seller.createdAt) return false;
+
+    const createdAt = new Date(seller.createdAt).getTime();
+    for (let skew = 0; skew <= LEGACY_PASSWORD_SKEW; skew++) {
+        if (await bcrypt.compare(LEGACY_PASSWORD_PREFIX + (createdAt - skew), seller.password)) {
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Migration (npm run migrate:password-set): set passwordSet on sellers saved
+ * before the field existed. Only portal signups could give an email, so
+ * sellers without one - everyone onboarded over WhatsApp or by the agent -
+ * get false. The guessable WhatsApp placeholder password is replaced with an
+ * unusable random one. Sellers that already have the field are left alone.
+ */
+async function backfillPasswordSet() {
+    let migrated = 0;
+    let withoutPassword = 0;
+    let placeholders = 0;
+
+    const cursor = Seller.find({ passwordSet: { $exists: false } }).select('email password createdAt').lean().cursor();
+    for await (const seller of cursor) {
+        const update = { passwordSet: Boolean(seller.email) };
+
+        if (await hasLegacyPlaceholderPassword(seller)) {
+            update.passwordSet = false;
+            // updateOne skips the pre-save hook, so hash it here
+            update.password = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10);
+            placeholders++;
+        }
+
+        await Seller.updateOne({ _id: seller._id, passwordSet: { $exists: false } }, { $set: update });
+
+        migrated++;
+        if (!update.passwordSet) withoutPassword++;
+    }
+
+    console.log('🔑 [WEB LOGIN] Backfilled passwordSet for', migrated, 'sellers,', withoutPassword,
+        'without a real password,', placeholders, 'placeholder passwords replaced');
+    return migrated;
+}
+
+module.exports = {
+    LOGIN_TTL,
+    issueWebLogin,
+    verifyLoginToken,
+    verifyLoginCode,
+    backfillPasswordSet
+};
@@ -0,0 +1,347 @@
+/**
+ * WhatsApp Messaging Client
+ * Single place that talks to the WhatsApp Cloud API.
+ *
+ * The wire transport is swappable:
+ * - graph  (default) - HTTP calls to the Graph API. Point WHATSAPP_API_URL at the
+ *                      local mock server (services/whatsappMock.js) to run offline.
+ * - outbox           - in-process; records outbound messages instead of sending
+ *                      them and serves fake media (scripts/tests).
+ *
+ * A transport implements:
+ *   sendMessage(payload)     -> Promise<response data>   (throws on failure)
+ *   downloadMedia(mediaId)   -> Promise<{ buffer, fileSize, mimeType }>
+ *
+ * Free-form messages are only delivered within 24 hours of the user's last
+ * inbound message (the "conversation window"). The webhook records every inbound
+ * message here; sendNotification() falls back to a registered template
+ * (services/whatsappTemplates.js) once the window has closed.
+ *
+ * The send helpers go through the persistent outbound queue
+ * (services/outboundQueue.js), which retries failed sends; postMessage() is
+ * the direct, unqueued call.
+ */
+
+const axios = require('axios');
+const ConversationWindow = require('../models/ConversationWindow');
+const { buildTemplateMessage } = require('./whatsappTemplates');
+const { enqueueMessage } = require('./outboundQueue');
+const { logOutboundMessage } = require('./conversationLog');
+
+const DEFAULT_API_URL = 'https://graph.facebook.com/v17.0';
+const CONVERSATION_WINDOW = 24 * 60 * 60 * 1000; // 24 hours
+
+// ============ Transports ============
+
+/**
+ * HTTP transport for the Graph API (or anything that speaks it, like the mock server)
+ */
+function createGraphTransport(options = {}) {
+    const baseUrl = () => options.baseUrl || process.env.WHATSAPP_API_URL || DEFAULT_API_URL;
+    const authHeader = () => ({
+        'Authorization': `Bearer ${options.accessToken || process.env.WHATSAPP_ACCESS_TOKEN}`
+    });
+
+    return {
+        name: 'graph',
+
+        async sendMessage(payload) {
+            const phoneNumberId = options.phoneNumberId || process.env.WHATSAPP_PHONE_NUMBER_ID;
+            const response = await axios({
+                method: 'POST',
+                url: `${baseUrl()}/${phoneNumberId}/messages`,
+                headers: {
+                    ...authHeader(),
+                    'Content-Type': 'application/json',
+                },
+                data: payload,
+            });
+            return response.data;
+        },
+
+        async downloadMedia(mediaId) {
+            // Get media URL
+            const urlResponse = await axios({
+                method: 'GET',
+                url: `${baseUrl()}/${mediaId}`,
+                headers: authHeader(),
+            });
+
+            // Download media
+            const mediaResponse = await axios({
+                method: 'GET',
+                url: urlResponse.data.url,
+                headers: authHeader(),
+                responseType: 'arraybuffer',
+            });
+
+            return {
+                buffer: Buffer.from(mediaResponse.data),
+                fileSize: urlResponse.data.file_size,
+                mimeType: urlResponse.data.mime_type
+            };
+        }
+    };
+}
+
+/**
+ * Pick the transport configured by WHATSAPP_TRANSPORT
+ */
+function createDefaultTransport() {
+    if (process.env.WHATSAPP_TRANSPORT === 'outbox') {
+        return require('./whatsappMock').createOutboxTransport();
+    }
+    return createGraphTransport();
+}
+
+let transport = null;
+
+function getTransport() {
+    if (!transport) {
+        transport = createDefaultTransport();
+        console.log('📡 [WHATSAPP] Using transport:', transport.name);
+    }
+    return transport;
+}
+
+/**
+ * Swap the transport (e.g. an outbox transport in scripts/tests)
+ */
+function setTransport(newTransport) {
+    transport = newTransport;
+}
+
+// ============ Low-level API ============
+
+/**
+ * Send a raw message object to a recipient. Throws on failure.
+ * `message` is everything except messaging_product/to, e.g. { type: 'text', text: { body } }
+ */
+async function postMessage(to, message) {
+    const payload = {
+        messaging_product: 'whatsapp',
+        to: to,
+        ...message
+    };
+    logOutboundMessage(payload);
+    return getTransport().sendMessage(payload);
+}
+
+/**
+ * Download media from WhatsApp
+ */
+async function downloadWhatsAppMedia(mediaId) {
+    return getTransport().downloadMedia(mediaId);
+}
+
+// ============ Conversation Window ============
+
+/**
+ * Record an inbound message - (re)opens the 24h window for that phone
+ */
+async function recordInboundMessage(phone, receivedAt = new Date()) {
+    // $max keeps the latest time if deliveries arrive out of order
+    await ConversationWindow.updateOne(
+        { phone },
+        { $max: { lastInboundAt: receivedAt } },
+        { upsert: true }
+    );
+}
+
+/**
+ * When the phone's current window opened (its last inbound message), or null
+ */
+async function getWindowOpenedAt(phone) {
+    const window = await ConversationWindow.findOne({ phone }).lean();
+    return window ? window.lastInboundAt : null;
+}
+
+/**
+ * Whether free-form messages can be sent to this phone right now
+ */
+async function isConversationWindowOpen(phone) {
+    const openedAt = await getWindowOpenedAt(phone);
+    return Boolean(openedAt) && Date.now() - openedAt.getTime() < CONVERSATION_WINDOW;
+}
+
+// ============ Message Helpers ============
+// These log and swallow errors so a failed reply never breaks a bot flow.
+// They resolve to true when the message was sent or queued for a retry, and
+// false once it has been dead-lettered.
+
+/**
+ * Queue a message for a recipient and log how the first attempt went
+ */
+async function queueMessage(tag, to, message) {
+    const payload = {
+        messaging_product: 'whatsapp',
+        to: to,
+        ...message
+    };
+    logOutboundMessage(payload);
+
+    try {
+        const status = await enqueueMessage(payload);
+
+        if (status === 'dead') {
+            console.error(`❌ [${tag}] Not delivered - dead-lettered`);
+            return false;
+        }
+        console.log(status === 'sent' ? `✅ [${tag}] Sent` : `⏳ [${tag}] Queued for retry`);
+        return true;
+    } catch (error) {
+        console.error(`❌ [${tag}] Error:`, error.response?.data || error.message);
+        return false;
+    }
+}
+
+/**
+ * Send message to WhatsApp
+ */
+async function sendMessage(to, text) {
+    console.log('📤 [SEND] To:', to, 'Text:', text.substring(0, 80) + '...');
+    return queueMessage('SEND', to, { text: { body: text } });
+}
+
+/**
+ * Send an image message with a caption
+ */
+async function sendImageMessage(to, imageUrl, caption) {
+    console.log('🖼️ [IMAGE] To:', to, 'URL:', imageUrl);
+    return queueMessage('IMAGE', to, {
+        type: 'image',
+        image: { link: imageUrl, caption: caption }
+    });
+}
+
+/**
+ * Send interactive buttons (max 3 buttons)
+ */
+async function sendInteractiveButtons(to, header, body, footer, buttons) {
+    console.log('🔘 [BUTTONS] To:', to, 'Count:', buttons.length);
+
+    const interactiveData = {
+        type: 'button',
+        body: { text: body }
+    };
+
+    if (header) {
+        interactiveData.header = { type: 'text', text: header };
+    }
+    if (footer) {
+        interactiveData.footer = { text: footer };
+    }
+
+    interactiveData.action = {
+        buttons: buttons.slice(0, 3).map(btn => ({
+            type: 'reply',
+            reply: {
+                id: btn.id,
+                title: btn.title.substring(0, 20) // Max 20 chars
+            }
+        }))
+    };
+
+    return queueMessage('BUTTONS', to, { type: 'interactive', interactive: interactiveData });
+}
+
+/**
+ * Send interactive list (for product selection, max 10 items per section)
+ */
+async function sendInteractiveList(to, header, body, footer, buttonText, sections) {
+    console.log('📋 [LIST] To:', to, 'Sections:', sections.length);
+
+    const interactiveData = {
+        type: 'list',
+        body: { text: body }
+    };
+
+    if (header) {
+        interactiveData.header = { type: 'text', text: header };
+    }
+    if (footer) {
+        interactiveData.footer = { text: footer };
+    }
+
+    interactiveData.action = {
+        button: buttonText.substring(0, 20),
+        sections: sections.map(section => ({
+            title: section.title.substring(0, 24),
+            rows: section.rows.slice(0, 10).map(row => ({
+                id: row.id,
+                title: row.title.substring(0, 24),
+                description: row.description ? row.description.substring(0, 72) : undefined
+            }))
+        }))
+    };
+
+    return queueMessage('LIST', to, { type: 'interactive', interactive: interactiveData });
+}
+
+/**
+ * Send a registered template message (see services/whatsappTemplates.js)
+ */
+async function sendTemplateMessage(to, templateKey, params, lang) {
+    console.log('📄 [TEMPLATE] To:', to, 'Template:', templateKey);
+
+    let message;
+    try {
+        message = buildTemplateMessage(templateKey, params, lang);
+    } catch (error) {
+        console.error('❌ [TEMPLATE] Error:', error.message);
+        return false;
+    }
+    return queueMessage('TEMPLATE', to, message);
+}
+
+/**
+ * Send a proactive notification (one the user didn't just ask for)
+ * Inside the conversation window the message goes out as text, or as buttons
+ * when `message.buttons` is set; outside it the fallback template is used.
+ *
+ * message:  { body, header?, footer?, buttons? }
+ * fallback: { template, params, language? } - a key of services/whatsappTemplates.js,
+ *           sent in the template language for the bot language given
+ */
+async function sendNotification(to, message, fallback) {
+    let windowOpen = true;
+    try {
+        windowOpen = await isConversationWindowOpen(to);
+    } catch (error) {
+        // Can't tell - try the free-form message rather than drop it
+        console.error('❌ [NOTIFY] Window lookup error:', error.message);
+    }
+
+    if (windowOpen) {
+        if (message.buttons) {
+            return sendInteractiveButtons(to, message.header, message.body, message.footer, message.buttons);
+        }
+        return sendMessage(to, message.body);
+    }
+
+    if (!fallback) {
+        console.warn('⚠️ [NOTIFY] Window closed and no template for:', to);
+        return false;
+    }
+
+    console.log('⏰ [NOTIFY] Window closed for', to, '- using template', fallback.template);
+    return sendTemplateMessage(to, fallback.template, fallback.params, fallback.language);
+}
+
+module.exports = {
+    CONVERSATION_WINDOW,
+    createGraphTransport,
+    getTransport,
+    setTransport,
+    postMessage,
+    downloadWhatsAppMedia,
+    recordInboundMessage,
+    getWindowOpenedAt,
+    isConversationWindowOpen,
+    sendMessage,
+    sendTemplateMessage,
+    sendNotification,
+    sendImageMessage,
+    sendInteractiveButtons,
+    sendInteractiveList
+};
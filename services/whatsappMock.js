@@ -0,0 +1,240 @@
+/**
+ * Local WhatsApp Cloud API Mock
+ * Lets the bot run and be tested without Meta:
+ *
+ * - createOutboxTransport()  in-process transport for services/whatsappClient.js
+ * - createMockGraphApp()     Express app that speaks the bits of the Graph API the
+ *                            bot uses, records outbound messages and serves fake media
+ *
+ * Run standalone:   npm run mock:whatsapp
+ * Then start the app with WHATSAPP_API_URL=http://localhost:4010
+ *
+ * Mock server endpoints:
+ *   POST   /:phoneNumberId/messages   record an outbound message
+ *   GET    /:mediaId                  media metadata (url, mime_type, file_size)
+ *   GET    /media-files/:mediaId      fake media bytes
+ *   GET    /outbox?to=<phone>         recorded outbound messages
+ *   DELETE /outbox                    clear recorded messages
+ *   POST   /simulate                  send a signed inbound message to the app webhook
+ *                                     { from, text } | { from, buttonId, title } |
+ *                                     { from, payload } (template quick reply) |
+ *                                     { from, image: true } | { from, video: true }
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const axios = require('axios');
+
+// 1x1 transparent PNG
+const FAKE_IMAGE = Buffer.from(
+    'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=',
+    'base64'
+);
+// Not a playable video, just enough bytes to exercise the upload path
+const FAKE_VIDEO = Buffer.from('00000018667479706d703432', 'hex');
+
+// Outbound messages recorded by the outbox transport / mock server
+const outbox = [];
+let messageCounter = 0;
+
+function recordOutbound(payload) {
+    const entry = {
+        id: `wamid.mock.${++messageCounter}`,
+        to: payload.to,
+        type: payload.type || 'text',
+        payload,
+        sentAt: new Date().toISOString()
+    };
+    outbox.push(entry);
+    return entry;
+}
+
+function getFakeMedia(mediaId) {
+    const isVideo = String(mediaId).startsWith('video');
+    const buffer = isVideo ? FAKE_VIDEO : FAKE_IMAGE;
+    return {
+        buffer,
+        fileSize: buffer.length,
+        mimeType: isVideo ? 'video/mp4' : 'image/png'
+    };
+}
+
+/**
+ * Response body the Graph API returns for a sent message
+ */
+function sendResponse(entry) {
+    return {
+        messaging_product: 'whatsapp',
+        contacts: [{ input: entry.to, wa_id: entry.to }],
+        messages: [{ id: entry.id }]
+    };
+}
+
+// ============ In-process Transport ============
+
+/**
+ * Transport that records messages in the outbox instead of sending them
+ */
+function createOutboxTransport() {
+    return {
+        name: 'outbox',
+
+        async sendMessage(payload) {
+            const entry = recordOutbound(payload);
+            console.log('📮 [MOCK] Recorded outbound', entry.type, 'to', entry.to);
+            return sendResponse(entry);
+        },
+
+        async downloadMedia(mediaId) {
+            return getFakeMedia(mediaId);
+        }
+    };
+}
+
+// ============ Mock Graph API Server ============
+
+/**
+ * Build a Meta-shaped webhook payload for a simulated inbound message
+ */
+function buildInboundPayload({ from, text, buttonId, title, payload, image, video }) {
+    const message = {
+        from,
+        id: `wamid.inbound.${Date.now()}.${Math.random().toString(36).slice(2, 8)}`,
+        timestamp: Math.floor(Date.now() / 1000).toString()
+    };
+
+    if (buttonId) {
+        message.type = 'interactive';
+        message.interactive = {
+            type: 'button_reply',
+            button_reply: { id: buttonId, title: title || buttonId }
+        };
+    } else if (payload) {
+        message.type = 'button';
+        message.button = { payload, text: title || payload };
+    } else if (image) {
+        message.type = 'image';
+        message.image = { id: `image-${message.id}`, mime_type: 'image/png' };
+    } else if (video) {
+        message.type = 'video';
+        message.video = { id: `video-${message.id}`, mime_type: 'video/mp4' };
+    } else {
+        message.type = 'text';
+        message.text = { body: text || '' };
+    }
+
+    return {
+        object: 'whatsapp_business_account',
+        entry: [{
+            id: 'mock-business-account',
+            changes: [{
+                field: 'messages',
+                value: {
+                    messaging_product: 'whatsapp',
+                    metadata: { phone_number_id: process.env.WHATSAPP_PHONE_NUMBER_ID || 'mock-phone-number' },
+                    contacts: [{ wa_id: from, profile: { name: 'Mock User' } }],
+                    messages: [message]
+                }
+            }]
+        }]
+    };
+}
+
+function createMockGraphApp(options = {}) {
+    const app = express();
+    app.use(express.json());
+
+    const webhookUrl = options.webhookUrl || process.env.MOCK_WEBHOOK_URL ||
+        `http://localhost:${process.env.PORT || 3000}/whatsapp/webhook`;
+
+    // Recorded outbound messages
+    app.get('/outbox', (req, res) => {
+        const { to } = req.query;
+        res.json({
+            count: outbox.length,
+            messages: to ? outbox.filter(m => m.to === to) : outbox
+        });
+    });
+
+    app.delete('/outbox', (req, res) => {
+        outbox.length = 0;
+        res.json({ success: true });
+    });
+
+    // Fake media bytes
+    app.get('/media-files/:mediaId', (req, res) => {
+        const media = getFakeMedia(req.params.mediaId);
+        res.type(media.mimeType).send(media.buffer);
+    });
+
+    // Simulate an inbound message - posted to the app webhook, signed like Meta does
+    app.post('/simulate', async (req, res) => {
+        if (!req.body.from) {
+            return res.status(400).json({ error: 'from is required' });
+        }
+
+        const payload = buildInboundPayload(req.body);
+        const rawBody = JSON.stringify(payload);
+        const headers = { 'Content-Type': 'application/json' };
+
+        if (process.env.WHATSAPP_APP_SECRET) {
+            headers['X-Hub-Signature-256'] = 'sha256=' + crypto
+                .createHmac('sha256', process.env.WHATSAPP_APP_SECRET)
+                .update(rawBody)
+                .digest('hex');
+        }
+
+        try {
+            const response = await axios.post(webhookUrl, rawBody, { headers });
+            res.json({ success: true, webhookStatus: response.status, payload });
+        } catch (error) {
+            console.error('❌ [MOCK] Webhook delivery failed:', error.message);
+            res.status(502).json({
+                success: false,
+                webhookStatus: error.response?.status,
+                error: error.message
+            });
+        }
+    });
+
+    // Outbound message (Graph: POST /{phone-number-id}/messages)
+    app.post('/:phoneNumberId/messages', (req, res) => {
+        if (!req.body.to) {
+            return res.status(400).json({ error: { message: 'Missing recipient', code: 100 } });
+        }
+        const entry = recordOutbound(req.body);
+        console.log('📮 [MOCK] Recorded outbound', entry.type, 'to', entry.to);
+        res.json(sendResponse(entry));
+    });
+
+    // Media metadata (Graph: GET /{media-id})
+    app.get('/:mediaId', (req, res) => {
+        const media = getFakeMedia(req.params.mediaId);
+        res.json({
+            id: req.params.mediaId,
+            messaging_product: 'whatsapp',
+            url: `${req.protocol}://${req.get('host')}/media-files/${encodeURIComponent(req.params.mediaId)}`,
+            mime_type: media.mimeType,
+            sha256: crypto.createHash('sha256').update(media.buffer).digest('hex'),
+            file_size: media.fileSize
+        });
+    });
+
+    return app;
+}
+
+// Standalone mode: `node services/whatsappMock.js`
+if (require.main === module) {
+    require('dotenv').config();
+    const port = process.env.MOCK_WHATSAPP_PORT || 4010;
+    createMockGraphApp().listen(port, () => {
+        console.log(`📮 Mock WhatsApp Graph API running on http://localhost:${port}`);
+    });
+}
+
+module.exports = {
+    outbox,
+    createOutboxTransport,
+    createMockGraphApp,
+    buildInboundPayload
+};
@@ -0,0 +1,156 @@
+/**
+ * WhatsApp Message Template Registry
+ * Meta only delivers free-form (text / interactive) messages within 24 hours of
+ * the user's last message. Outside that window a pre-approved template is the
+ * only option, so every proactive notification names a template to fall back to.
+ *
+ * Each entry maps our key to the template approved in WhatsApp Manager:
+ *   name        template name in WhatsApp Manager
+ *   language    template language code
+ *   parameters  keys of the params object, in body placeholder order ({{1}}, {{2}}, ...)
+ *   buttons     quick-reply buttons, in template order; payload(params) becomes the
+ *               button ID we receive back, so it routes through getIntentFromButton
+ *
+ * The template bodies in comments are what has to be registered with Meta.
+ * A send may ask for the recipient's bot language (services/i18n.js); the
+ * template then has to be registered in the matching TEMPLATE_LANGUAGES code too.
+ */
+
+const DEFAULT_LANGUAGE = process.env.WHATSAPP_TEMPLATE_LANGUAGE || 'en';
+
+// Bot language -> template language code; Meta has no Roman Urdu locale
+const TEMPLATE_LANGUAGES = {
+    en: DEFAULT_LANGUAGE,
+    ur: 'ur',
+    'roman-ur': DEFAULT_LANGUAGE
+};
+
+// Meta rejects empty parameters and ones with new lines, tabs or 4+ spaces
+const MAX_PARAMETER_LENGTH = 1000;
+
+const TEMPLATES = {
+    // "🛒 New order #{{1}} for {{2}}: {{3}}. Your total: PKR {{4}}. Customer: {{5}}."
+    // Buttons: [Accept] [Reject]
+    seller_new_order: {
+        name: 'seller_new_order',
+        language: DEFAULT_LANGUAGE,
+        parameters: ['orderNumber', 'storeName', 'items', 'total', 'customer'],
+        buttons: [
+            { payload: (params) => `ORDER_ACCEPT_${params.orderId}` },
+            { payload: (params) => `ORDER_REJECT_${params.orderId}` }
+        ]
+    },
+
+    // "Update on your RacketBazaar order #{{1}}: {{2}}"
+    buyer_order_update: {
+        name: 'buyer_order_update',
+        language: DEFAULT_LANGUAGE,
+        parameters: ['orderNumber', 'message']
+    },
+
+    // "Your RacketBazaar store {{1}} is now {{2}}. {{3}}"
+    seller_status_update: {
+        name: 'seller_status_update',
+        language: DEFAULT_LANGUAGE,
+        parameters: ['storeName', 'status', 'note']
+    },
+
+    // "Your {{1}} RacketBazaar summary for {{2}}: {{3}} new orders, PKR {{4}} revenue,
+    //  {{5}} listing views. {{6}} items low on stock, {{7}} listings without a price."
+    // Buttons: [Store Stats] [Digest Settings]
+    seller_digest: {
+        name: 'seller_digest',
+        language: DEFAULT_LANGUAGE,
+        parameters: ['period', 'storeName', 'orders', 'revenue', 'views', 'lowStock', 'zeroPrice'],
+        buttons: [
+            { payload: () => 'MY_STATS' },
+            { payload: () => 'DIGEST_SETTINGS' }
+        ]
+    },
+
+    // "Your RacketBazaar draft {{1}} is waiting ({{2}} photos). It will be deleted in {{3}} hours."
+    // Buttons: [Continue] [Discard]
+    seller_draft_reminder: {
+        name: 'seller_draft_reminder',
+        language: DEFAULT_LANGUAGE,
+        parameters: ['name', 'photos', 'hours'],
+        buttons: [
+            { payload: (params) => `DRAFT_CONTINUE_${params.draftId}` },
+            { payload: (params) => `DRAFT_DISCARD_${params.draftId}` }
+        ]
+    },
+
+    // "RacketBazaar update: {{1}}" - catch-all for other alerts
+    seller_alert: {
+        name: 'seller_alert',
+        language: DEFAULT_LANGUAGE,
+        parameters: ['message']
+    }
+};
+
+/**
+ * Make a value safe to use as a template body parameter
+ */
+function formatParameter(value) {
+    const text = (value === undefined || value === null ? '' : String(value))
+        .replace(/\s+/g, ' ')
+        .trim()
+        .substring(0, MAX_PARAMETER_LENGTH);
+    return text || '-';
+}
+
+/**
+ * Look up a registered template
+ */
+function getTemplate(key) {
+    return TEMPLATES[key] || null;
+}
+
+/**
+ * Build the `template` message object for the Cloud API, in the template
+ * language for the bot language lang (the template's own when not given)
+ * Throws if the template key is not registered
+ */
+function buildTemplateMessage(key, params = {}, lang = null) {
+    const template = getTemplate(key);
+    if (!template) {
+        throw new Error(`Unknown WhatsApp template: ${key}`);
+    }
+
+    const components = [];
+
+    if (template.parameters.length > 0) {
+        components.push({
+            type: 'body',
+            parameters: template.parameters.map(name => ({
+                type: 'text',
+                text: formatParameter(params[name])
+            }))
+        });
+    }
+
+    (template.buttons || []).forEach((button, index) => {
+        components.push({
+            type: 'button',
+            sub_type: 'quick_reply',
+            index: String(index),
+            parameters: [{ type: 'payload', payload: button.payload(params) }]
+        });
+    });
+
+    return {
+        type: 'template',
+        template: {
+            name: template.name,
+            language: { code: (lang && TEMPLATE_LANGUAGES[lang]) || template.language },
+            components
+        }
+    };
+}
+
+module.exports = {
+    TEMPLATES,
+    TEMPLATE_LANGUAGES,
+    getTemplate,
+    buildTemplateMessage
+};